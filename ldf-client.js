@@ -12,6 +12,7 @@ var exports = module.exports = {
   FragmentsClient: require('./lib/triple-pattern-fragments/federated/FederatedFragmentsClient'),
   Logger: require('./lib/util/Logger'),
   HttpClient: require('./lib/util/HttpClient'),
+  FragmentCache: require('./lib/cache/FragmentCache'),
   SparqlResultWriter: function () {
     var SparqlResultWriter = require('./lib/writers/SparqlResultWriter');
     SparqlResultWriter.register('application/json', './JSONResultWriter');
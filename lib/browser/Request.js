@@ -69,7 +69,9 @@ function createRequest(settings) {
     requestProxy.emit('error', new Error('Error requesting ' + settings.url));
   };
   request.ontimeout = function () {
-    requestProxy.emit('error', new Error('Timeout requesting ' + settings.url));
+    var error = new Error('Timeout requesting ' + settings.url);
+    error.code = 'ETIMEDOUT';
+    requestProxy.emit('error', error);
   };
 
   // Execute the request
@@ -1,14 +1,222 @@
 /*! @license MIT ©2015-2016 Ruben Verborgh, Ghent University - imec */
 /* Browser replacement for a subset of crypto. */
 
-exports.createHash = function () {
-  var contents;
+/* MD5, SHA-256, SHA-384, and SHA-512 implementations */
+
+// Per-round shift amounts of MD5
+var MD5_S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+// Per-round constants of MD5, derived from the sine function
+var MD5_K = new Array(64);
+for (var k = 0; k < 64; k++)
+  MD5_K[k] = Math.floor(Math.abs(Math.sin(k + 1)) * 0x100000000) | 0;
+
+// Round constants and initial hash values of SHA-256
+var SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+var SHA256_H = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+];
+
+// Round constants and initial hash values of SHA-512 and SHA-384,
+// as pairs of the high and low 32 bits of each 64-bit word
+var SHA512_K = [
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+];
+var SHA512_H = [
+  0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+  0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179,
+];
+var SHA384_H = [
+  0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+  0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4,
+];
+
+// Hash functions by algorithm name, which return the hexadecimal digest of a byte string
+var hashFunctions = {
+  md5: md5,
+  sha1: sha1,
+  sha256: sha256,
+  sha384: function (bytes) { return sha512(bytes, SHA384_H, 6); },
+  sha512: function (bytes) { return sha512(bytes, SHA512_H, 8); },
+};
+
+exports.createHash = function (algorithm) {
+  var hash = hashFunctions[algorithm], contents = '';
+  if (!hash)
+    throw new Error('Digest method not supported');
   return {
-    update: function (c) { contents ? (contents += c) : (contents = c); },
-    digest: function ()  { return sha1(contents); },
+    update: function (c) { contents += c; return this; },
+    // Strings are hashed as their UTF-8 bytes, as in Node.js
+    digest: function ()  { return hash(unescape(encodeURIComponent(contents))); },
   };
 };
 
+// Converts a byte string into padded blocks of 32-bit words, where
+// the message is followed by a 1 bit, zeroes, and its length in bits
+function toWords(bytes, blockSize, littleEndian) {
+  var bits = bytes.length * 8, lengthSize = blockSize / 8, i, length = '';
+  bytes += '\x80';
+  while ((bytes.length + lengthSize) % blockSize)
+    bytes += '\x00';
+  for (i = 0; i < lengthSize; i++)
+    length += String.fromCharCode(i < 6 ? Math.floor(bits / Math.pow(2, 8 * i)) % 256 : 0);
+  bytes += littleEndian ? length : length.split('').reverse().join('');
+
+  var words = new Array(bytes.length / 4);
+  for (i = 0; i < words.length; i++) {
+    var b0 = bytes.charCodeAt(4 * i),     b1 = bytes.charCodeAt(4 * i + 1),
+        b2 = bytes.charCodeAt(4 * i + 2), b3 = bytes.charCodeAt(4 * i + 3);
+    words[i] = littleEndian ? b0 | b1 << 8 | b2 << 16 | b3 << 24 : b0 << 24 | b1 << 16 | b2 << 8 | b3;
+  }
+  return words;
+}
+
+// Generates the MD5 hash of a byte string
+function md5(bytes) {
+  var M = toWords(bytes, 64, true), H = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  for (var i = 0; i < M.length; i += 16) {
+    var a = H[0], b = H[1], c = H[2], d = H[3];
+    for (var t = 0; t < 64; t++) {
+      var round = t >> 4, f, g;
+      switch (round) {
+      case 0:
+        f = (b & c) | (~b & d), g = t;
+        break;
+      case 1:
+        f = (d & b) | (~d & c), g = (5 * t + 1) % 16;
+        break;
+      case 2:
+        f = b ^ c ^ d, g = (3 * t + 5) % 16;
+        break;
+      default:
+        f = c ^ (b | ~d), g = (7 * t) % 16;
+      }
+      var T = (b + rotl((a + f + MD5_K[t] + M[i + g]) | 0, MD5_S[4 * round + t % 4])) | 0;
+      a = d, d = c, c = b, b = T;
+    }
+    H[0] = (H[0] + a) | 0, H[1] = (H[1] + b) | 0, H[2] = (H[2] + c) | 0, H[3] = (H[3] + d) | 0;
+  }
+  // MD5 words are little-endian
+  return H.map(function (n) {
+    return toHexStr((n & 0xff) << 24 | (n & 0xff00) << 8 | (n >>> 8) & 0xff00 | n >>> 24);
+  }).join('');
+}
+
+// Generates the SHA-256 hash of a byte string
+function sha256(bytes) {
+  var M = toWords(bytes, 64), H = SHA256_H.slice(), W = new Array(64);
+  for (var i = 0; i < M.length; i += 16) {
+    var t, s0, s1;
+    for (t = 0; t < 16; t++)
+      W[t] = M[i + t];
+    for (t = 16; t < 64; t++) {
+      s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+      s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+      W[t] = (W[t - 16] + s0 + W[t - 7] + s1) | 0;
+    }
+
+    var a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+    for (t = 0; t < 64; t++) {
+      s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      var T1 = (h + s1 + ((e & f) ^ (~e & g)) + SHA256_K[t] + W[t]) | 0,
+          T2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g, g = f, f = e, e = (d + T1) | 0, d = c, c = b, b = a, a = (T1 + T2) | 0;
+    }
+    H[0] = (H[0] + a) | 0, H[1] = (H[1] + b) | 0, H[2] = (H[2] + c) | 0, H[3] = (H[3] + d) | 0;
+    H[4] = (H[4] + e) | 0, H[5] = (H[5] + f) | 0, H[6] = (H[6] + g) | 0, H[7] = (H[7] + h) | 0;
+  }
+  return H.map(toHexStr).join('');
+}
+
+// Generates the SHA-512 hash (or, with other initial values, the SHA-384 hash)
+// of a byte string, consisting of the given number of 64-bit words
+function sha512(bytes, initial, length) {
+  var M = toWords(bytes, 128), H = new Array(8), W = new Array(80), i, t;
+  for (i = 0; i < 8; i++)
+    H[i] = [initial[2 * i], initial[2 * i + 1]];
+  for (i = 0; i < M.length; i += 32) {
+    var s0, s1;
+    for (t = 0; t < 16; t++)
+      W[t] = [M[i + 2 * t], M[i + 2 * t + 1]];
+    for (t = 16; t < 80; t++) {
+      s0 = xor64(rotr64(W[t - 15], 1), rotr64(W[t - 15], 8), shr64(W[t - 15], 7));
+      s1 = xor64(rotr64(W[t - 2], 19), rotr64(W[t - 2], 61), shr64(W[t - 2], 6));
+      W[t] = add64(W[t - 16], s0, W[t - 7], s1);
+    }
+
+    var a = H[0], b = H[1], c = H[2], d = H[3], e = H[4], f = H[5], g = H[6], h = H[7];
+    for (t = 0; t < 80; t++) {
+      s1 = xor64(rotr64(e, 14), rotr64(e, 18), rotr64(e, 41));
+      s0 = xor64(rotr64(a, 28), rotr64(a, 34), rotr64(a, 39));
+      var ch = [(e[0] & f[0]) ^ (~e[0] & g[0]), (e[1] & f[1]) ^ (~e[1] & g[1])],
+          maj = [(a[0] & b[0]) ^ (a[0] & c[0]) ^ (b[0] & c[0]), (a[1] & b[1]) ^ (a[1] & c[1]) ^ (b[1] & c[1])],
+          T1 = add64(h, s1, ch, [SHA512_K[2 * t], SHA512_K[2 * t + 1]], W[t]), T2 = add64(s0, maj);
+      h = g, g = f, f = e, e = add64(d, T1), d = c, c = b, b = a, a = add64(T1, T2);
+    }
+    H = [add64(H[0], a), add64(H[1], b), add64(H[2], c), add64(H[3], d),
+      add64(H[4], e), add64(H[5], f), add64(H[6], g), add64(H[7], h)];
+  }
+  return H.slice(0, length).map(function (n) { return toHexStr(n[0]) + toHexStr(n[1]); }).join('');
+}
+
+// Rotates right (circular right shift) value x by n positions
+function rotr(x, n) {
+  return rotl(x, 32 - n);
+}
+
+// Adds 64-bit words, represented as [high, low] pairs of 32-bit integers
+function add64() {
+  var high = 0, low = 0;
+  for (var i = 0; i < arguments.length; i++)
+    high += arguments[i][0], low += arguments[i][1] >>> 0;
+  return [(high + Math.floor(low / 0x100000000)) | 0, low | 0];
+}
+
+// Performs an exclusive or of three 64-bit words
+function xor64(x, y, z) {
+  return [x[0] ^ y[0] ^ z[0], x[1] ^ y[1] ^ z[1]];
+}
+
+// Rotates right the 64-bit word x by 0 < n < 64 positions (n ≠ 32)
+function rotr64(x, n) {
+  if (n > 32)
+    x = [x[1], x[0]], n -= 32;
+  return [(x[0] >>> n) | (x[1] << (32 - n)), (x[1] >>> n) | (x[0] << (32 - n))];
+}
+
+// Shifts right the 64-bit word x by 0 < n < 32 positions
+function shr64(x, n) {
+  return [x[0] >>> n, (x[1] >>> n) | (x[0] << (32 - n))];
+}
+
 /*! @license MIT ©2002-2014 Chris Veness */
 /* SHA-1 implementation */
 
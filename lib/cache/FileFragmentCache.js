@@ -0,0 +1,169 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* A FileFragmentCache stores fetched fragment pages on disk, such that they can be reused across runs. */
+
+var FragmentCache = require('./FragmentCache'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    _ = require('lodash');
+
+// Default limits of the cache size
+var DEFAULT_MAX_SIZE = 100 * 1024 * 1024, DEFAULT_MAX_ENTRIES = 10000;
+
+// Files of cached pages are named after the hash of their URL
+var PAGE_FILE = /^[0-9a-f]{40}\.json$/;
+
+// Cached pages can only be read and written by the user that stored them
+var FILE_MODE = parseInt('600', 8), DIRECTORY_MODE = parseInt('700', 8);
+
+/**
+ * Creates a new `FileFragmentCache`.
+ * @classdesc A `FileFragmentCache` stores pages as JSON files in a directory,
+ * which can be shared by subsequent and simultaneous runs of the client.
+ * If the cache grows beyond its limits, the least recently used pages are evicted;
+ * pages that other runs store at the same time only count towards the limits once they are read.
+ * @param {object} [options]
+ * @param {string} [options.directory] The directory of the cache
+ *                                     (defaults to `ldf-client-cache-<user ID>` in the system's temporary directory),
+ *                                     which must be owned by and only writable by the current user
+ * @param {integer} [options.maxSize=100 MiB] The maximum total size of the pages in bytes
+ * @param {integer} [options.maxEntries=10000] The maximum number of pages
+ * @param {integer} [options.defaultMaxAge=0] Seconds a page stays fresh if the server does not indicate it
+ * @constructor
+ * @augments FragmentCache
+ */
+function FileFragmentCache(options) {
+  if (!(this instanceof FileFragmentCache))
+    return new FileFragmentCache(options);
+  FragmentCache.call(this, options);
+
+  options = options || {};
+  this._directory = options.directory || path.join(os.tmpdir(), 'ldf-client-cache' + getUserSuffix());
+  this._maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  this._maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+
+  // Index the pages that are already in the cache by file name, from least to most recently used
+  // (the index relies on the insertion order of its keys)
+  this._files = Object.create(null);
+  this._size = this._count = 0;
+  createDirectory(this._directory);
+  checkDirectory(this._directory);
+  var pages = [];
+  fs.readdirSync(this._directory).forEach(function (file) {
+    if (PAGE_FILE.test(file)) {
+      try { pages.push({ file: file, stats: fs.statSync(path.join(this._directory, file)) }); }
+      catch (error) { /* ignore files that were removed in the meantime */ }
+    }
+  }, this);
+  _.sortBy(pages, function (page) { return page.stats.mtime.getTime(); }).forEach(function (page) {
+    this._addFile(page.file, page.stats.size);
+  }, this);
+}
+FragmentCache.inherits(FileFragmentCache);
+
+/* Retrieves the page with the given URL from the cache. */
+FileFragmentCache.prototype._get = function (url, callback) {
+  // Also read pages that are not in the index, since other runs might have stored them in the meantime
+  var self = this, file = getFileName(url), filePath = path.join(this._directory, file);
+  fs.readFile(filePath, 'utf8', function (error, json) {
+    var page = null;
+    try { page = !error && JSON.parse(json); }
+    catch (parseError) { /* treat corrupt files as missing */ }
+    // Discard unreadable pages and pages of a different URL with the same hash
+    if (!page || page.url !== url)
+      return callback(null, null);
+    // Mark the page as most recently used, also for other runs
+    var now = new Date(), entry = self._files[file];
+    self._removeFile(file);
+    self._addFile(file, entry ? entry.size : Buffer.byteLength(json));
+    entry || self._evict();
+    fs.utimes(filePath, now, now, _.noop);
+    callback(null, page);
+  });
+};
+
+/* Stores the page with the given URL in the cache. */
+FileFragmentCache.prototype._set = function (url, page, callback) {
+  var self = this, file = getFileName(url), filePath = path.join(this._directory, file),
+      json = JSON.stringify(page), temporaryPath = filePath + '.' + process.pid + '.tmp';
+  // Write to a temporary file first, such that other runs never read a partially written page
+  fs.writeFile(temporaryPath, json, { encoding: 'utf8', mode: FILE_MODE }, function (error) {
+    if (error) return callback(error);
+    fs.rename(temporaryPath, filePath, function (error) {
+      if (error) return callback(error);
+      self._removeFile(file);
+      self._addFile(file, Buffer.byteLength(json));
+      self._evict();
+      callback(null);
+    });
+  });
+};
+
+/* Removes all pages from the cache. */
+FileFragmentCache.prototype._clear = function (callback) {
+  var files = Object.keys(this._files), pending = files.length + 1;
+  files.forEach(function (file) {
+    this._removeFile(file);
+    fs.unlink(path.join(this._directory, file), done);
+  }, this);
+  done();
+  function done() { --pending || callback(null); }
+};
+
+// Removes the least recently used pages until the cache is within its limits
+FileFragmentCache.prototype._evict = function () {
+  for (var file in this._files) {
+    if (this._size <= this._maxSize && this._count <= this._maxEntries)
+      break;
+    this._removeFile(file);
+    fs.unlink(path.join(this._directory, file), _.noop);
+  }
+};
+
+// Adds the file to the index as the most recently used
+FileFragmentCache.prototype._addFile = function (file, size) {
+  this._files[file] = { size: size };
+  this._size += size;
+  this._count++;
+};
+
+// Removes the file from the index
+FileFragmentCache.prototype._removeFile = function (file) {
+  var entry = this._files[file];
+  if (entry) {
+    delete this._files[file];
+    this._size -= entry.size;
+    this._count--;
+  }
+};
+
+// Gets the name of the file for the page with the given URL
+function getFileName(url) {
+  return crypto.createHash('sha1').update(url).digest('hex') + '.json';
+}
+
+// Gets a suffix that makes the default directory specific to the current user
+function getUserSuffix() {
+  return process.getuid ? '-' + process.getuid() : '';
+}
+
+// Verifies that no other user can have stored pages in the directory
+function checkDirectory(directory) {
+  var stats = fs.statSync(directory);
+  if (process.getuid && stats.uid !== process.getuid())
+    throw new Error('The cache directory ' + directory + ' is not owned by the current user');
+  if (process.getuid && (stats.mode & parseInt('022', 8)))
+    throw new Error('The cache directory ' + directory + ' is writable by other users');
+}
+
+// Creates the directory (and its ancestors) if it does not exist yet
+function createDirectory(directory) {
+  if (!fs.existsSync(directory)) {
+    createDirectory(path.dirname(directory));
+    try { fs.mkdirSync(directory, DIRECTORY_MODE); }
+    catch (error) { if (error.code !== 'EEXIST') throw error; }
+  }
+}
+
+module.exports = FileFragmentCache;
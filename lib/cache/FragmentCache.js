@@ -0,0 +1,150 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* FragmentCache is a base class for objects that store fetched fragment pages. */
+
+var HttpCache = require('../util/HttpCache'),
+    util = require('util');
+
+// Backends by type name, which are loaded when first instantiated
+var cacheTypes = {
+  memory: './MemoryFragmentCache',
+  file:   './FileFragmentCache',
+};
+
+/**
+ * Creates a new `FragmentCache`.
+ * @classdesc A `FragmentCache` is a base class for backends that store fetched pages of fragments.
+ * A page is stored with its data and metadata triples (which include its controls),
+ * together with its HTTP validators and the time at which it expires.
+ * @param {object} [options]
+ * @param {integer} [options.defaultMaxAge=0] Seconds a page stays fresh if the server does not indicate it
+ * @constructor
+ */
+function FragmentCache(options) {
+  if (!(this instanceof FragmentCache))
+    return new FragmentCache(options);
+  this._defaultMaxAge = options && options.defaultMaxAge || 0;
+}
+
+/**
+ * Makes the specified class inherit from the current class.
+ * @param {child} child The class that will inherit from the current class.
+ */
+FragmentCache.inherits = function (child) {
+  util.inherits(child, this);
+  child.inherits = this.inherits;
+};
+
+/**
+ * Registers a cache backend for the given type name.
+ * @param {string} type The name of the type, as used in the `type` option
+ * @param {Function|string} Cache The backend's class, or the path of its module
+ */
+FragmentCache.register = function (type, Cache) {
+  cacheTypes[type] = Cache;
+};
+
+/**
+ * Creates a cache backend with the given options.
+ * @param {FragmentCache|object} options An existing cache, or the options of the backend to create
+ * @param {string} [options.type='memory'] The registered type name of the backend
+ * @returns {FragmentCache} The cache backend
+ */
+FragmentCache.instantiate = function (options) {
+  if (options instanceof FragmentCache)
+    return options;
+  // Look up the class or class name
+  var type = options && options.type || 'memory', Cache = cacheTypes[type];
+  if (!Cache)
+    throw new Error('No fragment cache available of type ' + type + '.');
+  // If it is a class name, load the class
+  if (typeof Cache === 'string')
+    Cache = cacheTypes[type] = require(Cache);
+  return new Cache(options);
+};
+
+/**
+ * Retrieves the page with the given URL from the cache.
+ * @param {string} url The URL of the page
+ * @param {cachedPageCallback} callback The callback through which the page (or `null`) will be sent.
+ */
+FragmentCache.prototype.get = function (url, callback) {
+  this._get(url, callback);
+};
+
+/**
+ * Stores the page with the given URL in the cache.
+ * @param {string} url The URL of the page
+ * @param {CachedPage} page The page
+ * @param {function} [callback] The callback that is called once the page has been stored
+ */
+FragmentCache.prototype.set = function (url, page, callback) {
+  this._set(url, page, callback || function () {});
+};
+
+/**
+ * Removes all pages from the cache.
+ * @param {function} [callback] The callback that is called once the pages have been removed
+ */
+FragmentCache.prototype.clear = function (callback) {
+  this._clear(callback || function () {});
+};
+
+/**
+ * Determines until when a page with the given response headers is fresh.
+ * @param {object} headers The HTTP response headers of the page
+ * @param {integer} [now=Date.now()] The current time
+ * @returns {?integer} The expiry time of the page, or `null` if it must not be stored
+ */
+FragmentCache.prototype.getExpiry = function (headers, now) {
+  return HttpCache.getExpiry(headers, now, this._defaultMaxAge * 1000);
+};
+
+/**
+ * Retrieves the page with the given URL from the cache (with checked arguments).
+ * @param {string} url The URL of the page
+ * @param {cachedPageCallback} callback The callback through which the page (or `null`) will be sent.
+ * @private
+ */
+FragmentCache.prototype._get = function (url, callback) {
+  throw new Error('Not implemented');
+};
+
+/**
+ * Stores the page with the given URL in the cache (with checked arguments).
+ * @param {string} url The URL of the page
+ * @param {CachedPage} page The page
+ * @param {function} callback The callback that is called once the page has been stored
+ * @private
+ */
+FragmentCache.prototype._set = function (url, page, callback) {
+  throw new Error('Not implemented');
+};
+
+/**
+ * Removes all pages from the cache (with checked arguments).
+ * @param {function} callback The callback that is called once the pages have been removed
+ * @private
+ */
+FragmentCache.prototype._clear = function (callback) {
+  throw new Error('Not implemented');
+};
+
+/**
+ * A page of a fragment as stored in a cache.
+ * @typedef {object} CachedPage
+ * @property {string} url The URL of the page
+ * @property {object[]} triples The data triples of the page
+ * @property {object[]} metadata The metadata and control triples of the page
+ * @property {string} [etag] The entity tag of the page
+ * @property {string} [lastModified] The last modification date of the page
+ * @property {integer} expires The time (in milliseconds since the epoch) at which the page expires
+ */
+
+/**
+ * Callback that returns a cached page.
+ * @callback cachedPageCallback
+ * @param {?Error} error The error that occurred while reading the cache.
+ * @param {?CachedPage} page The cached page, or `null` if the page was not cached.
+*/
+
+module.exports = FragmentCache;
@@ -0,0 +1,41 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* A MemoryFragmentCache stores fetched fragment pages in memory. */
+
+var FragmentCache = require('./FragmentCache'),
+    Cache = require('lru-cache');
+
+/**
+ * Creates a new `MemoryFragmentCache`.
+ * @classdesc A `MemoryFragmentCache` keeps the most recently used pages in memory.
+ * @param {object} [options]
+ * @param {integer} [options.maxEntries=1000] The maximum number of pages to keep
+ * @param {integer} [options.defaultMaxAge=0] Seconds a page stays fresh if the server does not indicate it
+ * @constructor
+ * @augments FragmentCache
+ */
+function MemoryFragmentCache(options) {
+  if (!(this instanceof MemoryFragmentCache))
+    return new MemoryFragmentCache(options);
+  FragmentCache.call(this, options);
+  this._pages = new Cache({ max: options && options.maxEntries || 1000 });
+}
+FragmentCache.inherits(MemoryFragmentCache);
+
+/* Retrieves the page with the given URL from the cache. */
+MemoryFragmentCache.prototype._get = function (url, callback) {
+  setImmediate(callback, null, this._pages.get(url) || null);
+};
+
+/* Stores the page with the given URL in the cache. */
+MemoryFragmentCache.prototype._set = function (url, page, callback) {
+  this._pages.set(url, page);
+  setImmediate(callback, null);
+};
+
+/* Removes all pages from the cache. */
+MemoryFragmentCache.prototype._clear = function (callback) {
+  this._pages.reset();
+  setImmediate(callback, null);
+};
+
+module.exports = MemoryFragmentCache;
@@ -11,6 +11,12 @@ var LINK_TYPES = ['first', 'next', 'previous', 'last'];
 
 // Default hypermedia controls for fragments
 var DEFAULT_CONTROLS = {
+  // Whether fragments can be selected by triple pattern (through a search form)
+  supportsTriplePatterns: false,
+  // Whether fragments can be selected by graph (as with quad pattern fragments)
+  supportsGraphs: false,
+  // Whether fragments can be restricted by a block of bindings (as with brTPF)
+  supportsBindings: false,
   getFragmentUrl: function (triplePattern) {
     throw new Error('The fragment ' + this.fragment +
                     ' does not contain Triple Pattern Fragment hypermedia controls.');
@@ -78,7 +84,7 @@ ControlsExtractor.prototype._extract = function (metadata, tripleStream, callbac
 
       // Parse the template mappings
       var mappings = (controlData.mapping || {})[searchForm] || [];
-      assert(mappings.length === 3, 'Expected 3 hydra:mappings for ' + searchForm);
+      assert(mappings.length >= 3 && mappings.length <= 5, 'Expected 3 to 5 hydra:mappings for ' + searchForm);
       mappings = mappings.reduce(function (mappings, mapping) {
         var variable = ((controlData.variable || {})[mapping] || [])[0],
             property = ((controlData.property || {})[mapping] || [])[0];
@@ -88,12 +94,25 @@ ControlsExtractor.prototype._extract = function (metadata, tripleStream, callbac
         return mappings;
       }, {});
 
-      // Gets the URL of the Triple Pattern Fragment with the given triple pattern
+      // The search form selects fragments by triple pattern,
+      // and a fourth mapping for the graph indicates quad pattern fragments
+      controls.supportsTriplePatterns = true;
+      if (mappings[rdf.SD_GRAPH])
+        controls.supportsGraphs = true;
+      // A mapping for values indicates bindings-restricted triple pattern fragments (brTPF)
+      if (mappings[rdf.SPARQL_VALUES])
+        controls.supportsBindings = true;
+
+      // Gets the URL of the Triple Pattern Fragment with the given triple (or quad) pattern
       controls.getFragmentUrl = function (triplePattern) {
         var variables = {};
         variables[mappings[rdf.RDF_SUBJECT]]   = triplePattern.subject;
         variables[mappings[rdf.RDF_PREDICATE]] = triplePattern.predicate;
         variables[mappings[rdf.RDF_OBJECT]]    = triplePattern.object;
+        if (mappings[rdf.SD_GRAPH])
+          variables[mappings[rdf.SD_GRAPH]]    = triplePattern.graph;
+        if (mappings[rdf.SPARQL_VALUES])
+          variables[mappings[rdf.SPARQL_VALUES]] = triplePattern.values;
         return searchTemplate.expand(variables);
       };
     }
@@ -0,0 +1,207 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* An AggregateIterator groups the bindings of a source and computes aggregates per group. */
+
+var TransformIterator = require('asynciterator').TransformIterator,
+    SparqlExpressionEvaluator = require('../util/SparqlExpressionEvaluator'),
+    N3Util = require('n3').Util;
+
+var XSD = 'http://www.w3.org/2001/XMLSchema#',
+    XSD_INTEGER = XSD + 'integer',
+    XSD_DECIMAL = XSD + 'decimal';
+
+// Numbers are converted, promoted, and compared like in expressions
+var toNumber = SparqlExpressionEvaluator.toNumber,
+    toLiteral = SparqlExpressionEvaluator.createNumericLiteral,
+    promote = SparqlExpressionEvaluator.promote,
+    compare = SparqlExpressionEvaluator.compareTerms;
+
+var aggregators;
+
+// Creates a new AggregateIterator that groups bindings by the given conditions,
+// and binds the values of the (aggregate) expressions for each group to their variables
+function AggregateIterator(source, groups, expressions, options) {
+  if (!(this instanceof AggregateIterator))
+    return new AggregateIterator(source, groups, expressions, options);
+  TransformIterator.call(this, source, options);
+
+  // Create evaluators for the grouping conditions
+  this._groupConditions = (groups || []).map(function (group) {
+    var expression = group.expression;
+    return {
+      variable: group.variable || (isVariable(expression) ? expression : null),
+      evaluate: new SparqlExpressionEvaluator(expression, options),
+    };
+  });
+
+  // Replace the aggregates inside of the expressions by variables that hold their values
+  var aggregates = this._aggregates = [];
+  this._expressions = (expressions || []).map(function (expression) {
+    return {
+      variable: expression.variable,
+      evaluate: new SparqlExpressionEvaluator(extractAggregates(expression.expression), options),
+    };
+  });
+  function extractAggregates(expression) {
+    if (!expression || typeof expression !== 'object')
+      return expression;
+    // Replace an aggregate by a variable
+    if (expression.type === 'aggregate') {
+      var aggregator = aggregators[expression.aggregation];
+      if (!aggregator)
+        throw new Error('Unsupported aggregate: ' + expression.aggregation);
+      var aggregate = {
+        variable: '?__aggregate' + aggregates.length,
+        aggregator: aggregator,
+        distinct: expression.distinct,
+        separator: expression.separator,
+        evaluate: expression.expression === '*' ? null :
+                  new SparqlExpressionEvaluator(expression.expression, options),
+      };
+      aggregates.push(aggregate);
+      return aggregate.variable;
+    }
+    // Replace aggregates in the arguments of an operation
+    if (expression.args) {
+      var copy = Object.create(null);
+      for (var key in expression)
+        copy[key] = expression[key];
+      copy.args = expression.args.map(extractAggregates);
+      return copy;
+    }
+    return expression;
+  }
+
+  this._groups = Object.create(null);
+  this._groupKeys = [];
+}
+TransformIterator.subclass(AggregateIterator);
+
+// Adds the bindings to the group they belong to
+AggregateIterator.prototype._transform = function (bindings, done) {
+  // Determine the values of the grouping conditions
+  var values = this._groupConditions.map(function (condition) {
+    try { return condition.evaluate(bindings); }
+    catch (error) { return undefined; }
+  });
+  // Find or create the group with these values
+  var key = JSON.stringify(values), group = this._groups[key];
+  if (!group) {
+    group = this._groups[key] = this._createGroup(values);
+    this._groupKeys.push(key);
+  }
+
+  // Collect the values of the aggregates for these bindings
+  this._aggregates.forEach(function (aggregate, index) {
+    // Aggregates over `*` take the entire bindings into account
+    if (!aggregate.evaluate)
+      return group.values[index].push(toSortedString(bindings));
+    // Other aggregates only use values without errors
+    try {
+      var value = aggregate.evaluate(bindings);
+      value !== undefined && group.values[index].push(value);
+    }
+    catch (error) { /* ignore values with errors */ }
+  });
+  done();
+};
+
+// Creates a group for the given values of the grouping conditions
+AggregateIterator.prototype._createGroup = function (values) {
+  var bindings = Object.create(null);
+  this._groupConditions.forEach(function (condition, index) {
+    if (condition.variable && values[index] !== undefined)
+      bindings[condition.variable] = values[index];
+  });
+  return { bindings: bindings, values: this._aggregates.map(function () { return []; }) };
+};
+
+// Emits the aggregated bindings of all groups after the source has ended
+AggregateIterator.prototype._flush = function (done) {
+  // Without grouping conditions, all bindings belong to a single (possibly empty) group
+  if (!this._groupConditions.length && !this._groupKeys.length) {
+    this._groups[''] = this._createGroup([]);
+    this._groupKeys.push('');
+  }
+
+  // Compute the aggregates and expressions of each group
+  this._groupKeys.forEach(function (key) {
+    var group = this._groups[key], bindings = group.bindings,
+        aggregateBindings = Object.create(bindings);
+    this._aggregates.forEach(function (aggregate, index) {
+      var values = group.values[index], result;
+      if (aggregate.distinct)
+        values = unique(values);
+      try { result = aggregate.aggregator(values, aggregate); }
+      catch (error) { result = undefined; }
+      if (result !== undefined)
+        aggregateBindings[aggregate.variable] = result;
+    });
+    this._expressions.forEach(function (expression) {
+      var result;
+      try { result = expression.evaluate(aggregateBindings); }
+      catch (error) { result = undefined; }
+      if (result !== undefined)
+        bindings[expression.variable] = result;
+    });
+    this._push(bindings);
+  }, this);
+  this._groups = null;
+  done();
+};
+
+// Aggregate functions that compute a value from a list of values
+aggregators = {
+  count: function (values) {
+    return '"' + values.length + '"^^' + XSD_INTEGER;
+  },
+  sum: function (values) {
+    var sum = values.reduce(function (sum, value) {
+      var number = toNumber(value);
+      return { value: sum.value + number.value, type: promote(sum.type, number.type) };
+    }, { value: 0, type: XSD_INTEGER });
+    return toLiteral(sum.value, sum.type);
+  },
+  avg: function (values) {
+    if (!values.length)
+      return toLiteral(0, XSD_INTEGER);
+    var sum = toNumber(aggregators.sum(values));
+    return toLiteral(sum.value / values.length, promote(sum.type, XSD_DECIMAL));
+  },
+  min: function (values) {
+    return values.reduce(function (min, value) { return compare(value, min) < 0 ? value : min; });
+  },
+  max: function (values) {
+    return values.reduce(function (max, value) { return compare(value, max) > 0 ? value : max; });
+  },
+  sample: function (values) {
+    return values[0];
+  },
+  'group_concat': function (values, aggregate) { // eslint-disable-line quote-props
+    var separator = typeof aggregate.separator === 'string' ? aggregate.separator : ' ';
+    return '"' + values.map(function (value) {
+      return N3Util.isLiteral(value) ? N3Util.getLiteralValue(value) : value;
+    }).join(separator) + '"';
+  },
+};
+
+// Returns the unique values of the array
+function unique(values) {
+  var seen = Object.create(null);
+  return values.filter(function (value) {
+    return !(value in seen) && (seen[value] = true);
+  });
+}
+
+// Creates a string representation of the bindings that is independent of their order
+function toSortedString(bindings) {
+  return JSON.stringify(Object.keys(bindings).sort().map(function (variable) {
+    return [variable, bindings[variable]];
+  }));
+}
+
+// Checks whether the expression is a variable
+function isVariable(expression) {
+  return typeof expression === 'string' && expression[0] === '?';
+}
+
+module.exports = AggregateIterator;
@@ -2,25 +2,71 @@
 /* A DistinctIterator emits the unique items from a source. */
 
 var SimpleTransformIterator = require('asynciterator').SimpleTransformIterator,
+    SpillingHashSet = require('../util/SpillingHashSet'),
     crypto = require('crypto');
 
-// Creates a new DistinctIterator with the given filter
+// Creates a new DistinctIterator with the given filter.
+// With `options.window`, only duplicates among that many recent unique items are removed;
+// with `options.memoryLimit`, the hashes of unique items beyond that number are moved to disk.
 function DistinctIterator(source, options) {
   if (!(this instanceof DistinctIterator))
     return new DistinctIterator(source, options);
   SimpleTransformIterator.call(this, source, options);
-  this._uniques = Object.create(null);
+
+  var window = options && options.window, memoryLimit = options && options.memoryLimit;
+  if (memoryLimit)
+    this._uniques = new SpillingHashSet({ memoryLimit: memoryLimit });
+  else {
+    this._uniques = Object.create(null);
+    this._recentUniques = window ? new Array(window) : null;
+    this._uniqueCount = 0;
+  }
 }
 SimpleTransformIterator.subclass(DistinctIterator);
 
+// Removes the spilled hashes as soon as the iterator is closed
+DistinctIterator.prototype.close = function () {
+  this._clearUniques();
+  SimpleTransformIterator.prototype.close.call(this);
+};
+
+// Removes the spilled hashes when the iterator ends
+DistinctIterator.prototype._end = function () {
+  this._clearUniques();
+  SimpleTransformIterator.prototype._end.call(this);
+};
+
+// Removes the hashes that were spilled to disk
+DistinctIterator.prototype._clearUniques = function () {
+  if (this._uniques instanceof SpillingHashSet)
+    this._uniques.clear();
+};
+
 // Filters distinct items from the source
 DistinctIterator.prototype._filter = function (item) {
-  // An item is considered unique if its hash has not occurred before
-  var uniques = this._uniques, itemHash = this._hash(item);
-  if (!(itemHash in uniques)) {
-    uniques[itemHash] = true;
+  if (this._addUnique(this._hash(item)))
     this._push(item);
+};
+
+// Adds the hash to the unique hashes, returning whether it had not occurred before
+DistinctIterator.prototype._addUnique = function (itemHash) {
+  // An item is considered unique if its hash has not occurred before
+  var uniques = this._uniques;
+  if (uniques instanceof SpillingHashSet)
+    return uniques.add(itemHash);
+  if (itemHash in uniques)
+    return false;
+  uniques[itemHash] = true;
+
+  // Within a window, the oldest unique hash is replaced by the new one
+  var recent = this._recentUniques;
+  if (recent) {
+    var index = this._uniqueCount++ % recent.length;
+    if (recent[index] !== undefined)
+      delete uniques[recent[index]];
+    recent[index] = itemHash;
   }
+  return true;
 };
 
 // Creates a unique hash for the given item
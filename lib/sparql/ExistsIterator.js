@@ -0,0 +1,67 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* An ExistsIterator filters bindings depending on whether patterns have solutions for them. */
+
+var AsyncIterator = require('asynciterator'),
+    MultiTransformIterator = AsyncIterator.MultiTransformIterator,
+    TransformIterator = AsyncIterator.TransformIterator,
+    _ = require('lodash');
+
+// Creates a new ExistsIterator that determines for each binding of the source
+// whether the iterators that `createPatternIterator(pattern, bindings)` creates have solutions,
+// and passes on those bindings for which `filter(bindings, results)` holds
+function ExistsIterator(source, patterns, createPatternIterator, filter, options) {
+  if (!(this instanceof ExistsIterator))
+    return new ExistsIterator(source, patterns, createPatternIterator, filter, options);
+  MultiTransformIterator.call(this, source, options);
+
+  this._patterns = patterns || [];
+  this._createPatternIterator = createPatternIterator;
+  this._filter = filter;
+}
+MultiTransformIterator.subclass(ExistsIterator);
+
+// Creates an iterator that contains the bindings if they pass the filter
+ExistsIterator.prototype._createTransformer = function (bindings) {
+  var self = this, transformer = new TransformIterator(),
+      patterns = this._patterns, pending = patterns.length,
+      results = new Array(pending);
+
+  // Determine for each pattern whether it has at least one solution
+  patterns.forEach(function (pattern, index) {
+    var solutions = self._createPatternIterator(pattern, bindings),
+        setResult = _.once(function (exists) {
+          results[index] = exists;
+          solutions.removeListener('readable', checkSolutions);
+          solutions.removeListener('end', checkSolutions);
+          // We don't need more solutions of the pattern
+          exists && solutions.close();
+          // After all patterns have been checked, pass on the bindings if they match
+          if (--pending === 0)
+            filterBindings();
+        });
+    function checkSolutions() {
+      if (solutions.read() !== null)
+        setResult(true);
+      else if (solutions.ended)
+        setResult(false);
+    }
+    solutions.on('readable', checkSolutions);
+    solutions.on('end', checkSolutions);
+    solutions.on('error', function (error) { transformer.emit('error', error); });
+    // Check asynchronously, such that the transformer can be listened to first
+    setImmediate(checkSolutions);
+  });
+  if (!pending)
+    setImmediate(filterBindings);
+  return transformer;
+
+  // Passes on the bindings if they match the filter
+  function filterBindings() {
+    if (self._filter(bindings, results))
+      transformer.source = AsyncIterator.single(bindings);
+    else
+      transformer.close();
+  }
+};
+
+module.exports = ExistsIterator;
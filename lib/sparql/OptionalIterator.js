@@ -0,0 +1,27 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* An OptionalIterator extends bindings with the solutions of an optional pattern (left join). */
+
+var AsyncIterator = require('asynciterator'),
+    MultiTransformIterator = AsyncIterator.MultiTransformIterator,
+    _ = require('lodash');
+
+// Creates a new OptionalIterator that extends each binding of the source
+// with the bindings of the iterator that `createPatternIterator` creates for it
+function OptionalIterator(source, createPatternIterator, options) {
+  if (!(this instanceof OptionalIterator))
+    return new OptionalIterator(source, createPatternIterator, options);
+  // Bindings for which the pattern has no solutions are passed on unchanged
+  MultiTransformIterator.call(this, source, _.assign({}, options, { optional: true }));
+
+  this._createPatternIterator = createPatternIterator;
+}
+MultiTransformIterator.subclass(OptionalIterator);
+
+// Creates an iterator for the solutions of the optional pattern that are compatible with the bindings.
+// Since the pattern starts from the bindings, filters inside the pattern
+// apply to the combined bindings, and only cause the original bindings to be passed on.
+OptionalIterator.prototype._createTransformer = function (bindings) {
+  return this._createPatternIterator(AsyncIterator.single(bindings));
+};
+
+module.exports = OptionalIterator;
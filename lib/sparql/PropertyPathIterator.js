@@ -0,0 +1,264 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* A PropertyPathIterator builds bindings by reading matches for a triple pattern with a property path. */
+
+var AsyncIterator = require('asynciterator'),
+    BufferedIterator = AsyncIterator.BufferedIterator,
+    MultiTransformIterator = AsyncIterator.MultiTransformIterator,
+    UnionIterator = require('./UnionIterator'),
+    rdf = require('../util/RdfUtil'),
+    Logger = require('../util/ExecutionLogger')('PropertyPathIterator');
+
+// Creates a new PropertyPathIterator
+function PropertyPathIterator(parent, pattern, options) {
+  if (!(this instanceof PropertyPathIterator))
+    return new PropertyPathIterator(parent, pattern, options);
+  MultiTransformIterator.call(this, parent, options);
+
+  this._pattern = pattern;
+  this._client = options && options.fragmentsClient;
+}
+MultiTransformIterator.subclass(PropertyPathIterator);
+
+// Creates a transformer that extends upstream bindings with matches for the path pattern.
+// For example, if the iterator's pattern is '?s rdfs:subClassOf* ?o',
+// and the upstream sends a binding { ?s: dbpedia-owl:City },
+// then we return an iterator for [{ ?s: dbpedia-owl:City, ?o: dbpedia-owl:City },
+// { ?s: dbpedia-owl:City, ?o: dbpedia-owl:Settlement }, …].
+PropertyPathIterator.prototype._createTransformer = function (bindings) {
+  var pattern = this._pattern,
+      subject = toTerm(bindings[pattern.subject] || pattern.subject),
+      object  = toTerm(bindings[pattern.object]  || pattern.object),
+      graph = rdf.applyBindings(bindings, pattern).graph, matcher = this;
+
+  // Within a graph, all parts of the path are matched in that graph
+  if (graph) {
+    if (typeof graph === 'string' && rdf.isVariable(graph)) {
+      this.emit('error', new Error('Property paths in an unbound graph are not supported'));
+      return AsyncIterator.empty();
+    }
+    matcher = Object.create(this);
+    matcher._graph = graph;
+  }
+
+  // Transform the pairs of nodes connected by the path into bindings
+  return matcher._matchPath(subject, pattern.predicate, object).map(function (match) {
+    var extended = Object.create(null);
+    for (var variable in bindings)
+      extended[variable] = bindings[variable];
+    // Bind the pattern's subject and object to the connected nodes
+    try {
+      rdf.addBinding(extended, pattern.subject, match.subject);
+      rdf.addBinding(extended, pattern.object,  match.object);
+      return extended;
+    }
+    // If the match conflicted with the bindings (e.g., `?x p* ?x`), skip it
+    catch (error) { return null; }
+  });
+};
+
+// Returns an iterator of the { subject, object } pairs of nodes connected by the path,
+// where the subject and object are either given nodes or `null` if they are unbound
+PropertyPathIterator.prototype._matchPath = function (subject, path, object) {
+  // A plain predicate is matched by a single fragment
+  if (typeof path === 'string')
+    return this._matchPredicate(subject, path, object);
+
+  var self = this, items = path.items;
+  switch (path.pathType) {
+  // Inverse paths are matched by swapping subject and object
+  case '^':
+    return this._matchPath(object, items[0], subject).map(swap);
+  // Sequence paths are matched by following each path in the sequence
+  case '/':
+    // If only the object is known, start from the object by following the inverse sequence
+    if (subject === null && object !== null)
+      return this._matchPath(object, invert(path), null).map(swap);
+    var rest = items.length === 2 ? items[1] : { type: 'path', pathType: '/', items: items.slice(1) };
+    return flatMap(this._matchPath(subject, items[0], null), function (first) {
+      return self._matchPath(first.object, rest, object).map(function (next) {
+        return { subject: first.subject, object: next.object };
+      });
+    });
+  // Alternative paths are matched by the union of their matches
+  case '|':
+    return new UnionIterator(items.map(function (item) {
+      return self._matchPath(subject, item, object);
+    }));
+  // Negated property sets are matched by all predicates except the given ones
+  case '!':
+    return this._matchNegatedPath(subject, items[0], object);
+  // Zero-or-one, zero-or-more, and one-or-more paths are matched by expansion
+  case '?':
+  case '*':
+  case '+':
+    return this._matchClosure(subject, path, object);
+  default:
+    throw new Error('Unsupported property path: ' + path.pathType);
+  }
+};
+
+// Returns an iterator of the pairs of nodes connected by the predicate
+PropertyPathIterator.prototype._matchPredicate = function (subject, predicate, object) {
+  var pattern = this._createPattern(subject, predicate, object),
+      fragment = this._client.getFragmentByPattern(pattern);
+  fragment.on('error', function (error) { Logger.warning(error.message); });
+  // Skip triples that do not match the pattern (e.g., metadata triples)
+  return fragment.filter(rdf.tripleFilter(pattern)).map(function (triple) {
+    return { subject: triple.subject, object: triple.object };
+  });
+};
+
+// Creates a pattern for the predicate in the graph of the path (if any)
+PropertyPathIterator.prototype._createPattern = function (subject, predicate, object) {
+  var pattern = rdf.triple(subject || '?s', predicate, object || '?o');
+  if (this._graph)
+    pattern.graph = this._graph;
+  return pattern;
+};
+
+// Returns an iterator of the pairs of nodes connected by a predicate not in the negated set
+PropertyPathIterator.prototype._matchNegatedPath = function (subject, path, object) {
+  // Divide the negated predicates into forward and inverse predicates
+  var alternatives = path.pathType === '|' ? path.items : [path],
+      forwardPredicates = [], inversePredicates = [], matches = [];
+  alternatives.forEach(function (predicate) {
+    if (predicate.pathType === '^')
+      inversePredicates.push(predicate.items[0]);
+    else
+      forwardPredicates.push(predicate);
+  });
+  // Match forward triples with a predicate that is not one of the forward predicates
+  if (forwardPredicates.length || !inversePredicates.length)
+    matches.push(this._matchNegatedPredicates(subject, forwardPredicates, object));
+  // Match inverse triples with a predicate that is not one of the inverse predicates
+  if (inversePredicates.length)
+    matches.push(this._matchNegatedPredicates(object, inversePredicates, subject).map(swap));
+  return matches.length === 1 ? matches[0] : new UnionIterator(matches);
+};
+
+// Returns an iterator of the pairs of nodes connected by a predicate that is not one of the given
+PropertyPathIterator.prototype._matchNegatedPredicates = function (subject, predicates, object) {
+  var pattern = this._createPattern(subject, '?p', object),
+      fragment = this._client.getFragmentByPattern(pattern), matchesPattern = rdf.tripleFilter(pattern);
+  fragment.on('error', function (error) { Logger.warning(error.message); });
+  return fragment.filter(function (triple) {
+    return matchesPattern(triple) && predicates.indexOf(triple.predicate) < 0;
+  }).map(function (triple) {
+    return { subject: triple.subject, object: triple.object };
+  });
+};
+
+// Returns an iterator of the pairs of nodes connected by a zero-or-one,
+// zero-or-more, or one-or-more path, by breadth-first expansion of the bound side
+PropertyPathIterator.prototype._matchClosure = function (subject, path, object) {
+  var self = this, inner = path.items[0], reached,
+      includeStart = path.pathType !== '+', recursive = path.pathType !== '?';
+
+  // If the subject is known, expand forward from the subject
+  if (subject !== null) {
+    reached = new PathExpansionIterator(subject, function (node) {
+      return self._matchPath(node, inner, null).map(function (match) { return match.object; });
+    }, includeStart, recursive);
+    // If the object is also known, we only need to know whether it is reached
+    if (object !== null)
+      reached = reached.filter(function (node) { return node === object; }).take(1);
+    return reached.map(function (node) { return { subject: subject, object: node }; });
+  }
+  // If only the object is known, expand backward from the object
+  if (object !== null) {
+    reached = new PathExpansionIterator(object, function (node) {
+      return self._matchPath(null, inner, node).map(function (match) { return match.subject; });
+    }, includeStart, recursive);
+    return reached.map(function (node) { return { subject: node, object: object }; });
+  }
+  // If neither is known, expand from every node connected by the path
+  // (for zero-length paths, these are also the only nodes connected to themselves)
+  var startNodes = Object.create(null);
+  return flatMap(this._matchPath(null, inner, null).transform(function (match, done) {
+    if (!(match.subject in startNodes))
+      this._push(startNodes[match.subject] = match.subject);
+    if (includeStart && !(match.object in startNodes))
+      this._push(startNodes[match.object] = match.object);
+    done();
+  }), function (node) { return self._matchClosure(node, path, null); });
+};
+
+
+// Creates a new PathExpansionIterator that returns the nodes reachable from the start node
+// by breadth-first expansion, where `expand(node)` returns an iterator of a node's neighbours
+function PathExpansionIterator(start, expand, includeStart, recursive, options) {
+  BufferedIterator.call(this, options);
+
+  this._expand = expand;
+  this._recursive = recursive;
+  // Nodes that have already been reached are not returned or expanded again,
+  // such that expansion also ends in cyclic graphs
+  this._reached = Object.create(null);
+  this._queue = [start];
+  this._neighbours = null;
+  if (includeStart)
+    this._reached[start] = true, this._push(start);
+}
+BufferedIterator.subclass(PathExpansionIterator);
+
+// Reads the neighbours of the nodes in the queue
+PathExpansionIterator.prototype._read = function (count, done) {
+  var node;
+  while (count > 0) {
+    // If no node is being expanded, expand the next node in the queue
+    if (!this._neighbours) {
+      if (!this._queue.length) {
+        this.close();
+        break;
+      }
+      this._neighbours = this._expand(this._queue.shift());
+      this._neighbours.on('readable', this._fillBuffer.bind(this));
+      this._neighbours.on('end',      this._fillBuffer.bind(this));
+      this._neighbours.on('error',    this.emit.bind(this, 'error'));
+    }
+    // Return and enqueue neighbours that have not been reached yet
+    if ((node = this._neighbours.read()) !== null) {
+      if (!(node in this._reached)) {
+        this._reached[node] = true;
+        this._push(node), count--;
+        // Zero-or-one paths do not expand beyond the neighbours of the start node
+        if (this._recursive)
+          this._queue.push(node);
+      }
+    }
+    // Continue with the next node if all neighbours have been read
+    else if (this._neighbours.ended)
+      this._neighbours = null;
+    // Otherwise, wait until more neighbours become available
+    else
+      break;
+  }
+  done();
+};
+
+
+// Creates an iterator with the items of the iterators `createIterator(item)` for each source item
+function flatMap(source, createIterator) {
+  var iterator = new MultiTransformIterator(source);
+  iterator._createTransformer = createIterator;
+  return iterator;
+}
+
+// Swaps the subject and object of a pair of connected nodes
+function swap(match) {
+  return { subject: match.object, object: match.subject };
+}
+
+// Returns the inverse of the path
+function invert(path) {
+  if (typeof path === 'string' || path.pathType !== '/')
+    return { type: 'path', pathType: '^', items: [path] };
+  return { type: 'path', pathType: '/', items: path.items.map(invert).reverse() };
+}
+
+// Returns the node if it is bound, or `null` if it is a variable or blank node
+function toTerm(entity) {
+  return rdf.isVariableOrBlank(entity) ? null : entity;
+}
+
+module.exports = PropertyPathIterator;
@@ -0,0 +1,219 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* A ServiceIterator extends bindings with the solutions of a pattern at a remote service (SERVICE). */
+
+var AsyncIterator = require('asynciterator'),
+    TransformIterator = AsyncIterator.TransformIterator,
+    BufferedIterator = AsyncIterator.BufferedIterator,
+    FragmentsClient = require('../triple-pattern-fragments/FragmentsClient'),
+    HttpClient = require('../util/HttpClient'),
+    SparqlGenerator = require('sparqljs').Generator,
+    rdf = require('../util/RdfUtil'),
+    url = require('url'),
+    _ = require('lodash');
+
+var XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string';
+
+// The default number of bindings that are sent to a SPARQL endpoint in a single VALUES block
+var DEFAULT_BATCH_SIZE = 20;
+
+// Identifier of the next SPARQL endpoint response, which scopes the response's blank nodes
+var responseId = 0;
+
+// Creates a new ServiceIterator that extends each binding of the source with the solutions of the service.
+// If the service is a Triple Pattern Fragments interface, the solutions are the bindings of the iterator
+// that `createPatternIterator(source, fragmentsClient)` creates with a client for that interface;
+// otherwise, the service is considered a SPARQL endpoint, to which the pattern is sent
+// together with batches of (at most `options.serviceBatchSize`) bindings.
+// The clients for services are shared through `options.serviceClients`.
+function ServiceIterator(source, service, createPatternIterator, options) {
+  if (!(this instanceof ServiceIterator))
+    return new ServiceIterator(source, service, createPatternIterator, options);
+  TransformIterator.call(this, null, options);
+
+  // Evaluate the service with the appropriate client once its type is known
+  var self = this, serviceClients = options && options.serviceClients || Object.create(null);
+  getServiceClient(service.name, serviceClients, options, function (client) {
+    if (client instanceof FragmentsClient)
+      self.source = createPatternIterator(source, client);
+    else
+      self.source = new SparqlEndpointIterator(source, service, client, options);
+  });
+}
+TransformIterator.subclass(ServiceIterator);
+
+// Calls back with a (shared) client for the service at the URL,
+// which is a FragmentsClient if the URL is a start fragment with triple pattern controls,
+// and a SparqlEndpointClient otherwise
+function getServiceClient(serviceUrl, serviceClients, options, callback) {
+  // Reuse the client for the service, or wait until its type is known
+  var service = serviceClients[serviceUrl];
+  if (!service) {
+    service = serviceClients[serviceUrl] = new AsyncIterator();
+    var fragmentsClient = new FragmentsClient(serviceUrl, _.clone(options));
+    fragmentsClient.getControls(function (error, controls) {
+      service.setProperty('client', !error && controls.supportsTriplePatterns ? fragmentsClient :
+                                    new SparqlEndpointClient(serviceUrl, options));
+    });
+  }
+  service.getProperty('client', callback);
+}
+
+
+
+// Creates a new SparqlEndpointIterator that extends each binding of the source
+// with the solutions of the service's pattern at the SPARQL endpoint
+function SparqlEndpointIterator(source, service, client, options) {
+  BufferedIterator.call(this, options);
+
+  this._source = source;
+  this._client = client;
+  this._pattern = service.patterns;
+  this._silent = service.silent;
+  this._batchSize = options && options.serviceBatchSize || DEFAULT_BATCH_SIZE;
+  // Only the variables of the pattern need to be sent to the endpoint
+  this._variables = rdf.findVariables(service.patterns);
+  this._pending = false;
+
+  source.on('readable', this._fillBuffer.bind(this));
+  source.on('end',      this._fillBuffer.bind(this));
+  source.on('error',    this.emit.bind(this, 'error'));
+}
+BufferedIterator.subclass(SparqlEndpointIterator);
+
+// Sends the next batch of bindings to the endpoint, unless a batch is still being evaluated
+SparqlEndpointIterator.prototype._read = function (count, done) {
+  if (this._pending)
+    return done();
+
+  // Collect the bindings that are available, such that batches fill up while a request is pending
+  var batch = [], bindings;
+  while (batch.length < this._batchSize && (bindings = this._source.read()) !== null)
+    batch.push(bindings);
+  if (!batch.length) {
+    this._source.ended && this.close();
+    return done();
+  }
+
+  // Extend the bindings with the compatible solutions from the endpoint
+  var self = this;
+  this._pending = true;
+  this._client.query(this._createQuery(batch), function (error, solutions) {
+    self._pending = false;
+    if (!error)
+      self._pushSolutions(batch, solutions);
+    // A silent service that fails leaves the bindings unchanged
+    else if (self._silent)
+      self._pushSolutions(batch, [{}]);
+    else
+      return self.emit('error', error);
+    self._fillBuffer();
+  });
+  done();
+};
+
+// Pushes the bindings of the batch extended with each compatible solution
+SparqlEndpointIterator.prototype._pushSolutions = function (batch, solutions) {
+  batch.forEach(function (bindings) {
+    solutions.forEach(function (solution) {
+      var extended = joinBindings(bindings, solution);
+      extended && this._push(extended);
+    }, this);
+  }, this);
+};
+
+// Creates a SELECT query for the pattern that is restricted to the values of the bindings
+SparqlEndpointIterator.prototype._createQuery = function (batch) {
+  // Bind the variables of the pattern that have a value in at least one of the bindings;
+  // blank nodes are local to this client, so they are left undefined and filtered by the join
+  var variables = this._variables.filter(function (variable) {
+    return _.some(batch, function (bindings) { return bindings[variable] !== undefined; });
+  });
+  var where = this._pattern;
+  if (variables.length) {
+    where = [{ type: 'values', values: batch.map(function (bindings) {
+      return variables.reduce(function (row, variable) {
+        var value = rdf.deskolemize(bindings[variable]);
+        row[variable] = value && !rdf.isBlank(value) ? value : undefined;
+        return row;
+      }, {});
+    }) }].concat(where);
+  }
+  return new SparqlGenerator().stringify({
+    type: 'query', queryType: 'SELECT', variables: ['*'], prefixes: {}, where: where,
+  });
+};
+
+// Returns the bindings extended with the solution, or `null` if they are incompatible
+function joinBindings(bindings, solution) {
+  var extended = _.assign(Object.create(null), bindings);
+  try {
+    for (var variable in solution)
+      rdf.addBinding(extended, variable, solution[variable]);
+    return extended;
+  }
+  catch (error) { return null; }
+}
+
+
+
+// Creates a new SparqlEndpointClient that sends queries to a SPARQL endpoint
+function SparqlEndpointClient(endpointUrl, options) {
+  this._endpointUrl = endpointUrl;
+  this._httpClient = options && options.httpClient || new HttpClient(options);
+}
+
+// Calls back with the solutions of the SELECT query, sent according to the SPARQL 1.1 protocol
+SparqlEndpointClient.prototype.query = function (query, callback) {
+  var endpointUrl = this._endpointUrl, chunks = [],
+      queryUrl = endpointUrl + (/\?/.test(endpointUrl) ? '&' : '?') + 'query=' + encodeURIComponent(query),
+      response = this._httpClient.get(queryUrl, { accept: 'application/sparql-results+json' });
+  callback = _.once(callback);
+
+  response.on('error', callback);
+  response.getProperty('statusCode', function (statusCode) {
+    // Don't parse the response if the query was unsuccessful
+    if (statusCode !== 200) {
+      response.close();
+      return callback(new Error('Could not evaluate the query at ' + endpointUrl + ' (' + statusCode + ')'));
+    }
+    // Parse the JSON results into bindings
+    response.on('data', function (chunk) { chunks.push(chunk); });
+    response.on('end', function () {
+      var solutions;
+      try { solutions = parseResults(JSON.parse(chunks.join('')), endpointUrl); }
+      catch (error) { return callback(new Error('Invalid SPARQL results from ' + endpointUrl)); }
+      callback(null, solutions);
+    });
+  });
+};
+
+// Converts results in the SPARQL JSON results format into bindings
+function parseResults(results, endpointUrl) {
+  var blankNodePrefix = url.resolve(endpointUrl, '/.well-known/genid/' + responseId++ + '_');
+  return results.results.bindings.map(function (result) {
+    var bindings = {};
+    for (var variable in result)
+      bindings['?' + variable] = toTerm(result[variable], blankNodePrefix);
+    return bindings;
+  });
+}
+
+// Converts a term in the SPARQL JSON results format into its string representation,
+// with blank nodes as skolem IRIs such that they cannot be confused with variables
+function toTerm(term, blankNodePrefix) {
+  switch (term.type) {
+  case 'uri':
+    return term.value;
+  case 'bnode':
+    return blankNodePrefix + term.value;
+  default:
+    var literal = '"' + term.value + '"';
+    if (term['xml:lang'])
+      return literal + '@' + term['xml:lang'].toLowerCase();
+    if (term.datatype && term.datatype !== XSD_STRING)
+      return literal + '^^' + term.datatype;
+    return literal;
+  }
+}
+
+module.exports = ServiceIterator;
@@ -4,14 +4,23 @@
 var SparqlParser = require('sparqljs').Parser,
     AsyncIterator = require('asynciterator'),
     TransformIterator = AsyncIterator.TransformIterator,
+    MultiTransformIterator = AsyncIterator.MultiTransformIterator,
     ReorderingGraphPatternIterator = require('../triple-pattern-fragments/ReorderingGraphPatternIterator'),
     UnionIterator = require('./UnionIterator'),
+    OptionalIterator = require('./OptionalIterator'),
+    ExistsIterator = require('./ExistsIterator'),
+    ValuesIterator = require('./ValuesIterator'),
+    PropertyPathIterator = require('./PropertyPathIterator'),
+    ServiceIterator = require('./ServiceIterator'),
     SortIterator = require('./SortIterator'),
+    AggregateIterator = require('./AggregateIterator'),
     DistinctIterator = require('./DistinctIterator'),
     SparqlExpressionEvaluator = require('../util/SparqlExpressionEvaluator'),
     _ = require('lodash'),
+    url = require('url'),
     rdf = require('../util/RdfUtil'),
-    createErrorType = require('../util/CustomError');
+    createErrorType = require('../util/CustomError'),
+    Logger = require('../util/ExecutionLogger')('SparqlIterator');
 
 var queryConstructors = {
   SELECT: SparqlSelectIterator,
@@ -20,6 +29,12 @@ var queryConstructors = {
   ASK: SparqlAskIterator,
 };
 
+// Number of recent unique solutions among which REDUCED removes duplicates
+var REDUCED_WINDOW = 1000;
+
+// Identifier of the next blank node that connects the parts of a sequence path
+var pathNodeId = 0;
+
 // Creates an iterator from a SPARQL query
 function SparqlIterator(source, query, options) {
   // Set argument defaults
@@ -27,12 +42,30 @@ function SparqlIterator(source, query, options) {
     options = query, query = source, source = null;
   options = options || {};
   source = source || AsyncIterator.single({});
+  // NOW evaluates to the same time during the entire query
+  if (!options.now)
+    options = _.assign({}, options, { now: new Date() });
+  // BNODE creates blank nodes in the same scope during the entire query
+  if (!options.blankNodes)
+    options = _.assign({}, options, { blankNodes: SparqlExpressionEvaluator.createBlankNodeScope() });
+  // Clients for SERVICE patterns are shared during the entire query
+  if (!options.serviceClients)
+    options = _.assign({}, options, { serviceClients: Object.create(null) });
 
   // Transform the query into a cascade of iterators
   try {
     // Parse the query if needed
-    if (typeof query === 'string')
+    if (typeof query === 'string') {
+      // The parser resolves the query's own IRIs, but IRI() needs the base IRI during evaluation
+      var baseIRI = findBaseIRI(query, options.baseIRI);
+      if (baseIRI)
+        options = _.assign({}, options, { baseIRI: baseIRI });
       query = new SparqlParser(options.prefixes).parse(query);
+    }
+    // With FROM or FROM NAMED, the default graph is the merge of the FROM graphs,
+    // and the named graphs are the FROM NAMED graphs
+    if (query.from)
+      options = _.assign({}, options, { defaultGraphs: query.from.default || [], namedGraphs: query.from.named || [] });
 
     // Create an iterator that projects the bindings according to the query type
     var queryIterator, QueryConstructor = queryConstructors[query.queryType];
@@ -40,29 +73,60 @@ function SparqlIterator(source, query, options) {
       throw new Error('No iterator available for query type: ' + query.queryType);
     queryIterator = new QueryConstructor(null, query, options);
     // Create an iterator for bindings of the query's graph pattern
-    var graphIterator = new SparqlGroupsIterator(source,
-                              queryIterator.patterns || query.where, options);
+    var patterns = queryIterator.patterns || query.where;
+    // Start with the trailing VALUES (if any), such that its bindings restrict the requested fragments
+    if (query.values)
+      patterns = [{ type: 'values', values: query.values }].concat(patterns);
+    var graphIterator = new SparqlGroupsIterator(source, patterns, options);
+
+    // Create iterators for grouping and aggregates
+    var orders = query.order, expressions = _.filter(query.variables, 'expression');
+    if (query.group || query.having || _.some(expressions, hasAggregate) || _.some(orders, hasAggregate)) {
+      // Projected expressions, as well as HAVING and ORDER BY expressions, are evaluated per group
+      var having = _.map(query.having, function (expression, i) {
+        expressions.push({ variable: '?__having' + i, expression: expression });
+        return { type: 'filter', expression: '?__having' + i };
+      });
+      orders = _.map(orders, function (order, i) {
+        if (!hasAggregate(order)) return order;
+        expressions.push({ variable: '?__order' + i, expression: order.expression });
+        return { expression: '?__order' + i, descending: order.descending };
+      });
+      graphIterator = new AggregateIterator(graphIterator, query.group, expressions, options);
+      graphIterator = new SparqlGroupsIterator(graphIterator, having, options);
+    }
+    // Bind projected expressions to their variables, such that they can also be ordered on
+    else if (expressions.length) {
+      graphIterator = new SparqlGroupsIterator(graphIterator, expressions.map(function (expression) {
+        return { type: 'bind', variable: expression.variable, expression: expression.expression };
+      }), options);
+    }
 
-    // Create iterators for each order
-    for (var i = query.order && (query.order.length - 1); i >= 0; i--) {
-      var order = new SparqlExpressionEvaluator(query.order[i].expression),
-          ascending = !query.order[i].descending;
+    // Create a single iterator that sorts by all orders
+    if (orders && orders.length) {
+      orders = orders.map(function (order) {
+        return { evaluate: new SparqlExpressionEvaluator(order.expression, options), descending: order.descending };
+      });
       graphIterator = new SortIterator(graphIterator, function (a, b) {
-        var orderA = '', orderB = '';
-        try { orderA = order(a); }
-        catch (error) { /* ignore order error */ }
-        try { orderB = order(b); }
-        catch (error) { /* ignore order error */ }
-        if (orderA < orderB) return ascending ? -1 :  1;
-        if (orderA > orderB) return ascending ?  1 : -1;
-        return 0;
+        // Later orders only determine the sort if earlier ones are equal
+        var comparison = 0;
+        for (var i = 0; i < orders.length && !comparison; i++) {
+          comparison = SparqlExpressionEvaluator.compareTerms(evaluateOrder(orders[i], a),
+                                                              evaluateOrder(orders[i], b));
+          if (orders[i].descending)
+            comparison = -comparison;
+        }
+        return comparison;
       }, options);
     }
     queryIterator.source = graphIterator;
 
     // Create iterators for modifiers
     if (query.distinct)
-      queryIterator = new DistinctIterator(queryIterator, options);
+      queryIterator = new DistinctIterator(queryIterator, { memoryLimit: options.distinctMemoryLimit });
+    // REDUCED permits (but does not require) the removal of duplicates, so only recent ones are removed
+    else if (query.reduced)
+      queryIterator = new DistinctIterator(queryIterator, { window: options.reducedWindow || REDUCED_WINDOW });
     // Add offsets and limits if requested
     if ('offset' in query || 'limit' in query)
       queryIterator = queryIterator.transform({ offset: query.offset, limit: query.limit });
@@ -84,12 +148,18 @@ TransformIterator.subclass(SparqlIterator);
 // Creates an iterator for a parsed SPARQL SELECT query
 function SparqlSelectIterator(source, query, options) {
   TransformIterator.call(this, source, options);
-  this.setProperty('variables', query.variables);
+  // Subqueries keep skolemized IRIs, which later fragment requests of the outer query need
+  this._deskolemize = !(options && options.keepSkolemized);
+  // Expressions are projected onto the variable they are bound to
+  this.setProperty('variables', query.variables.map(function (variable) {
+    return variable.variable || variable;
+  }));
 }
 SparqlIterator.subclass(SparqlSelectIterator);
 
 // Executes the SELECT projection
 SparqlSelectIterator.prototype._transform = function (bindings, done) {
+  var deskolemize = this._deskolemize;
   this._push(this.getProperty('variables').reduce(function (row, variable) {
     // Project a simple variable by copying its value
     if (variable !== '*')
@@ -106,7 +176,7 @@ SparqlSelectIterator.prototype._transform = function (bindings, done) {
   done();
   function valueOf(variable) {
     var value = bindings[variable];
-    return typeof value === 'string' ? rdf.deskolemize(value) : null;
+    return typeof value !== 'string' ? null : (deskolemize ? rdf.deskolemize(value) : value);
   }
 };
 
@@ -116,10 +186,13 @@ SparqlSelectIterator.prototype._transform = function (bindings, done) {
 function SparqlConstructIterator(source, query, options) {
   TransformIterator.call(this, source, options);
 
-  // Push constant triple patterns only once
-  this._template = query.template.filter(function (triplePattern) {
-    return rdf.hasVariables(triplePattern) || this._push(triplePattern);
-  }, this);
+  // The CONSTRUCT WHERE short form uses the triple patterns of the query as template
+  var template = query.template || _.flatten(_.pluck(_.filter(query.where, { type: 'bgp' }), 'triples'));
+  // Push constant triple patterns only once, as soon as there is a solution
+  var constantTriples = this._constantTriples = [];
+  this._template = template.filter(function (triplePattern) {
+    return rdf.hasVariables(triplePattern) || !constantTriples.push(triplePattern);
+  });
   this._blankNodeId = 0;
 }
 SparqlIterator.subclass(SparqlConstructIterator);
@@ -127,6 +200,7 @@ SparqlIterator.subclass(SparqlConstructIterator);
 // Executes the CONSTRUCT projection
 SparqlConstructIterator.prototype._transform = function (bindings, done) {
   var blanks = Object.create(null);
+  this._constantTriples.splice(0).forEach(function (triple) { this._push(triple); }, this);
   this._template.forEach(function (triplePattern) {
     // Apply the result bindings to the triple pattern, ensuring no variables are left
     var s = triplePattern.subject, p = triplePattern.predicate, o = triplePattern.object,
@@ -144,16 +218,66 @@ SparqlConstructIterator.prototype._transform = function (bindings, done) {
 
 
 
-// Creates an iterator for a parsed SPARQL DESCRIBE query
+// Creates an iterator for a parsed SPARQL DESCRIBE query,
+// which returns the Concise Bounded Description of each described resource:
+// its triples, and recursively those of the blank nodes they lead to.
+// With `options.describeIncoming`, triples that lead to the resources are also included,
+// and `options.describeDepth` limits the number of blank nodes that are followed.
 function SparqlDescribeIterator(source, query, options) {
-  // Create a template with `?var ?p ?o` patterns for each variable
-  var variables = query.variables, template = query.template = [];
-  for (var i = 0, l = variables.length; i < l; i++)
-    template.push(rdf.triple(variables[i], '?__predicate' + i, '?__object' + i));
-  query.where = query.where.concat({ type: 'bgp', triples: template });
-  SparqlConstructIterator.call(this, source, query, options);
+  TransformIterator.call(this, source, options);
+
+  // Describe the given resources and the values of the given variables
+  this._resources = _.contains(query.variables, '*') ? rdf.findVariables(query.where) : query.variables;
+  this._described = Object.create(null);
+  this._client = options && options.fragmentsClient;
+  this._incoming = !!(options && options.describeIncoming);
+  this._maxDepth = options && options.describeDepth >= 0 ? options.describeDepth : Infinity;
+  // Without WHERE clause, only the given resources are described
+  this.patterns = query.where || [];
 }
-SparqlConstructIterator.subclass(SparqlDescribeIterator);
+SparqlIterator.subclass(SparqlDescribeIterator);
+
+// Describes the resources of the solution that have not been described yet
+SparqlDescribeIterator.prototype._transform = function (bindings, done) {
+  var queue = [];
+  this._resources.forEach(function (resource) {
+    resource = rdf.isVariable(resource) ? bindings[resource] : resource;
+    if (resource && !rdf.isLiteral(resource))
+      this._enqueueDescription(queue, resource, 0);
+  }, this);
+  this._describeNext(queue, done);
+};
+
+// Adds the triple patterns that describe the resource to the queue, unless it was already described
+// (blank nodes that were not skolemized cannot be described, as they cannot be looked up)
+SparqlDescribeIterator.prototype._enqueueDescription = function (queue, resource, depth) {
+  if (!rdf.isBlank(resource) && !(resource in this._described)) {
+    this._described[resource] = true;
+    queue.push({ pattern: rdf.triple(resource, '?p', '?o'), next: 'object', depth: depth });
+    if (this._incoming)
+      queue.push({ pattern: rdf.triple('?s', '?p', resource), next: 'subject', depth: depth });
+  }
+};
+
+// Pushes the triples of the next pattern in the queue,
+// and adds the descriptions of blank nodes that they lead to
+SparqlDescribeIterator.prototype._describeNext = function (queue, done) {
+  var description = queue.shift();
+  if (!description)
+    return done();
+  var self = this, pattern = description.pattern, matchesPattern = rdf.tripleFilter(pattern),
+      fragment = this._client.getFragmentByPattern(pattern);
+  fragment.on('data', function (triple) {
+    if (matchesPattern(triple)) {
+      var node = triple[description.next];
+      self._push(rdf.triple(rdf.deskolemize(triple.subject), triple.predicate, rdf.deskolemize(triple.object)));
+      if (isBlankNode(node) && description.depth < self._maxDepth)
+        self._enqueueDescription(queue, node, description.depth + 1);
+    }
+  });
+  fragment.on('end', function () { self._describeNext(queue, done); });
+  fragment.on('error', function (error) { Logger.warning(error.message); });
+};
 
 // Creates an iterator for a parsed SPARQL ASK query
 function SparqlAskIterator(source, query, options) {
@@ -187,35 +311,227 @@ AsyncIterator.subclass(SparqlGroupsIterator);
 
 // Creates an iterator for a SPARQL group
 function SparqlGroupIterator(source, group, options) {
-  // Reset flags on the options for child iterators
-  var childOptions = options.optional ? _.create(options, { optional: false }) : options;
-
   switch (group.type) {
   case 'bgp':
-    return new ReorderingGraphPatternIterator(source, group.triples, options);
+    // Triple patterns with property paths are rewritten into simpler groups
+    if (_.some(group.triples, hasPropertyPath))
+      return new SparqlGroupsIterator(source, rewritePropertyPaths(group.triples), options);
+    return new ReorderingGraphPatternIterator(source, setGraph(group.triples, options), options);
+  case 'path':
+    return new PropertyPathIterator(source, setGraph([group.triple], options)[0], options);
+  case 'graph':
+    // Evaluate the patterns in the named graph, which must be one of the dataset's named graphs
+    var namedGraphs = options.namedGraphs, graphPatterns = group.patterns;
+    if (namedGraphs) {
+      if (!rdf.isVariable(group.name))
+        graphPatterns = _.contains(namedGraphs, group.name) ? graphPatterns : [{ type: 'values', values: [] }];
+      else {
+        graphPatterns = [{ type: 'values', values: namedGraphs.map(function (graph) {
+          var row = {};
+          row[group.name] = graph;
+          return row;
+        }) }].concat(graphPatterns);
+      }
+    }
+    return new SparqlGroupsIterator(source, graphPatterns, _.assign({}, options, { activeGraph: group.name }));
+  case 'service':
+    // Evaluate the patterns at the service, outside of the query's dataset
+    if (rdf.isVariable(group.name))
+      throw new Error('SERVICE with a variable is not supported');
+    var serviceOptions = _.omit(options, 'activeGraph', 'defaultGraphs', 'namedGraphs');
+    return new ServiceIterator(source, group, function (source, fragmentsClient) {
+      var clientOptions = _.assign({}, serviceOptions, { fragmentsClient: fragmentsClient });
+      return new SparqlGroupsIterator(source, group.patterns, clientOptions);
+    }, serviceOptions);
+  case 'query':
+    return new SparqlSubqueryIterator(source, group, options);
   case 'group':
-    return new SparqlGroupsIterator(source, group.patterns, childOptions);
+    return new SparqlGroupsIterator(source, group.patterns, options);
   case 'optional':
-    childOptions = _.create(options, { optional: true });
-    return new SparqlGroupsIterator(source, group.patterns, childOptions);
+    // Evaluate the optional group (including its filters) separately for each binding
+    return new OptionalIterator(source, function (bindings) {
+      return new SparqlGroupsIterator(bindings, group.patterns, options);
+    }, options);
   case 'union':
     return new UnionIterator(group.patterns.map(function (patternToken) {
-      return new SparqlGroupIterator(source.clone(), patternToken, childOptions);
+      return new SparqlGroupIterator(source.clone(), patternToken, options);
     }), options);
+  case 'values':
+    return new ValuesIterator(source, group.values, options);
+  case 'bind':
+    // Extend the bindings with the value of the expression, unless it errors
+    var evaluateBinding = new SparqlExpressionEvaluator(group.expression, options), variable = group.variable;
+    return source.map(function (bindings) {
+      var value;
+      try { value = evaluateBinding(bindings); }
+      catch (error) { /* leave the variable unbound */ }
+      if (value === undefined || variable in bindings)
+        return bindings;
+      return SparqlExpressionEvaluator.extendSolution(bindings, variable, value);
+    });
+  case 'minus':
+    // Remove bindings that are compatible with a solution of the group
+    // with which they have at least one bound variable in common,
+    // evaluating the group only once, independently of the bindings
+    var minusPattern = { type: 'group', patterns: group.patterns }, minusSolutions;
+    return new ExistsIterator(source, [minusPattern], function (pattern, bindings) {
+      if (!minusSolutions)
+        minusSolutions = new SparqlGroupIterator(AsyncIterator.single({}), pattern, options);
+      return minusSolutions.clone().filter(_.partial(isMinusCompatible, bindings));
+    }, function (bindings, exists) { return !exists[0]; }, options);
   case 'filter':
     // A set of bindings does not match the filter
     // if it evaluates to 0/false, or errors
-    var evaluate = new SparqlExpressionEvaluator(group.expression);
-    return source.filter(function (bindings) {
-      try { return !/^"false"|^"0"/.test(evaluate(bindings)); }
-      catch (error) { return false; }
-    });
+    var matches = _.partial(matchesFilter, new SparqlExpressionEvaluator(group.expression, options));
+    // EXISTS patterns need to be evaluated against the bindings first
+    var existsPatterns = SparqlExpressionEvaluator.findExistsPatterns(group.expression);
+    if (!existsPatterns.length)
+      return source.filter(matches);
+    return new ExistsIterator(source, existsPatterns, function (pattern, bindings) {
+      return new SparqlGroupIterator(AsyncIterator.single(bindings), pattern, options);
+    }, function (bindings, exists) {
+      return matches(SparqlExpressionEvaluator.extendWithExists(bindings, existsPatterns, exists));
+    }, options);
   default:
     throw new Error('Unsupported group type: ' + group.type);
   }
 }
 AsyncIterator.subclass(SparqlGroupIterator);
 
+// Determines whether the bindings match a filter with the given evaluator
+function matchesFilter(evaluate, bindings) {
+  try {
+    var result = evaluate(bindings);
+    return result !== undefined && !/^"false"|^"0"/.test(result);
+  }
+  catch (error) { return false; }
+}
+
+// Determines whether the bindings are compatible with a MINUS solution
+// and have at least one bound variable in common with it
+function isMinusCompatible(bindings, solution) {
+  var shared = false;
+  for (var variable in solution) {
+    if (variable in bindings) {
+      if (bindings[variable] !== solution[variable])
+        return false;
+      shared = true;
+    }
+  }
+  return shared;
+}
+
+
+// Creates an iterator that joins bindings with the results of a subquery
+function SparqlSubqueryIterator(source, query, options) {
+  MultiTransformIterator.call(this, source, options);
+  this._query = query;
+  this._options = _.assign({}, options, { keepSkolemized: true });
+  this._results = null;
+}
+MultiTransformIterator.subclass(SparqlSubqueryIterator);
+
+// Creates a transformer that extends the bindings with each compatible result of the subquery.
+// The subquery is evaluated only once, independently of the bindings,
+// and its results are shared by all transformers.
+SparqlSubqueryIterator.prototype._createTransformer = function (bindings) {
+  if (!this._results)
+    this._results = new SparqlIterator(this._query, this._options);
+  return this._results.clone().map(function (result) {
+    var extended = _.assign(Object.create(null), bindings);
+    for (var variable in result) {
+      // Unbound projected variables have a null value
+      var value = result[variable];
+      if (value !== null) {
+        // Skip results that conflict with the bindings
+        if (variable in extended && extended[variable] !== value)
+          return null;
+        extended[variable] = value;
+      }
+    }
+    return extended;
+  });
+};
+
+
+// Evaluates the expression of the order for the bindings, returning undefined on errors
+function evaluateOrder(order, bindings) {
+  try { return order.evaluate(bindings); }
+  catch (error) { return undefined; }
+}
+
+// Finds the base IRI declared in the prologue of the query, resolved against the given base IRI
+function findBaseIRI(query, baseIRI) {
+  var prologue = /^(?:\s+|#.*|PREFIX\s*[^\s:]*:\s*<[^>]*>|BASE\s*<([^>]*)>)/i, match;
+  while ((match = prologue.exec(query)) && match[0]) {
+    if (match[1] !== undefined)
+      baseIRI = baseIRI ? url.resolve(baseIRI, match[1]) : match[1];
+    query = query.substr(match[0].length);
+  }
+  return baseIRI;
+}
+
+// Returns the triple patterns in the active graph, or in the default graph of the dataset
+function setGraph(triples, options) {
+  var graph = options.activeGraph, defaultGraphs = options.defaultGraphs;
+  if (!graph && defaultGraphs)
+    graph = defaultGraphs.length === 1 ? defaultGraphs[0] : defaultGraphs;
+  return !graph ? triples : triples.map(function (triple) {
+    return _.assign({ graph: graph }, triple);
+  });
+}
+
+// Checks whether the node is a blank node, possibly skolemized by the server
+function isBlankNode(node) {
+  return rdf.isBlank(node) || rdf.deskolemize(node) !== node;
+}
+
+// Checks whether the triple pattern has a property path as predicate
+function hasPropertyPath(triple) {
+  return typeof triple.predicate !== 'string';
+}
+
+// Rewrites triple patterns with property paths into a list of groups:
+// a basic graph pattern with all triple patterns that sequence and inverse paths yield,
+// a union for each alternative path, and path groups for the other paths.
+// For example, `?s ^ex:a/ex:b ?o` becomes `_:__path0 ex:a ?s. _:__path0 ex:b ?o`.
+function rewritePropertyPaths(triples) {
+  var bgp = { type: 'bgp', triples: [] }, unions = [], paths = [];
+  triples.forEach(function rewrite(triple) {
+    var path = triple.predicate, subject = triple.subject, object = triple.object;
+    // Keep triple patterns without path
+    if (!hasPropertyPath(triple))
+      return bgp.triples.push(triple);
+    switch (path.pathType) {
+    // Rewrite an inverse path by swapping subject and object
+    case '^':
+      return rewrite(rdf.triple(object, path.items[0], subject));
+    // Rewrite a sequence path by connecting its parts through blank nodes
+    case '/':
+      return path.items.forEach(function (item, i, items) {
+        var next = i === items.length - 1 ? object : '_:__path' + pathNodeId++;
+        rewrite(rdf.triple(subject, item, next));
+        subject = next;
+      });
+    // Rewrite an alternative path into a union of the alternatives
+    case '|':
+      return unions.push({ type: 'union', patterns: path.items.map(function (item) {
+        return { type: 'group', patterns: rewritePropertyPaths([rdf.triple(subject, item, object)]) };
+      }) });
+    // Other paths are evaluated by expansion, after the other patterns have bound their variables
+    default:
+      return paths.push({ type: 'path', triple: triple });
+    }
+  });
+  return (bgp.triples.length ? [bgp] : []).concat(unions, paths);
+}
+
+// Checks whether the expression contains an aggregate
+function hasAggregate(expression) {
+  return !!expression && typeof expression === 'object' && (expression.type === 'aggregate' ||
+         _.some(expression.args || [expression.expression], hasAggregate));
+}
+
 
 // Error thrown when the query has a syntax error
 var InvalidQueryError = createErrorType('InvalidQueryError', function (query, cause) {
@@ -0,0 +1,42 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* A ValuesIterator joins bindings with a block of inline data. */
+
+var AsyncIterator = require('asynciterator'),
+    MultiTransformIterator = AsyncIterator.MultiTransformIterator,
+    rdf = require('../util/RdfUtil');
+
+// Creates a new ValuesIterator that extends bindings with each compatible row of values
+function ValuesIterator(source, values, options) {
+  if (!(this instanceof ValuesIterator))
+    return new ValuesIterator(source, values, options);
+  MultiTransformIterator.call(this, source, options);
+
+  this._values = values || [];
+}
+MultiTransformIterator.subclass(ValuesIterator);
+
+// Creates a transformer that extends the bindings with each row of values.
+// For example, if the iterator's values are [{ ?a: x }, { ?a: y, ?b: z }, {}],
+// and the upstream sends a binding { ?b: z },
+// then we return an iterator for [{ ?a: x, ?b: z }, { ?a: y, ?b: z }, { ?b: z }].
+ValuesIterator.prototype._createTransformer = function (bindings) {
+  var solutions = [];
+  this._values.forEach(function (row) {
+    // Extend the bindings with the row's values (absent or undefined values are UNDEF)
+    var solution = Object.create(null), variable;
+    for (variable in bindings)
+      solution[variable] = bindings[variable];
+    try {
+      for (variable in row) {
+        if (row[variable] !== undefined)
+          rdf.addBinding(solution, variable, row[variable]);
+      }
+      solutions.push(solution);
+    }
+    // If the row conflicted with the bindings, skip it
+    catch (error) { /* incompatible row */ }
+  });
+  return AsyncIterator.fromArray(solutions);
+};
+
+module.exports = ValuesIterator;
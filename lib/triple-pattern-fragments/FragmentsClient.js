@@ -3,18 +3,22 @@
 /* eslint max-nested-callbacks: [2, 3] */
 
 var HttpClient = require('../util/HttpClient'),
-    BufferedIterator = require('asynciterator').BufferedIterator,
+    AsyncIterator = require('asynciterator'),
+    BufferedIterator = AsyncIterator.BufferedIterator,
     rdf = require('../util/RdfUtil'),
     Cache = require('lru-cache'),
     CompositeExtractor = require('../extractors/CompositeExtractor'),
     CountExtractor = require('../extractors/CountExtractor'),
     ControlsExtractor = require('../extractors/ControlsExtractor'),
+    FragmentCache = require('../cache/FragmentCache'),
     _ = require('lodash');
 
 // Prefer quad-based serialization formats (which allow a strict data/metadata separation),
 // and prefer less verbose formats. Also, N3 support is only partial.
 var DEFAULT_ACCEPT = 'application/trig;q=1.0,application/n-quads;q=0.7,' +
                      'text/turtle;q=0.6,application/n-triples;q=0.3,text/n3;q=0.2';
+// Characters that must be escaped in SPARQL literals
+var SPARQL_ESCAPES = { '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r' };
 var parserTypes = [
   require('./TrigFragmentIterator'),
   require('./TurtleFragmentIterator'),
@@ -28,6 +32,10 @@ function FragmentsClient(startFragment, options) {
   // Set HTTP and cache options
   options = _.defaults(options || {}, { contentType: DEFAULT_ACCEPT });
   var cache = this._cache = new Cache({ max: 100 });
+  // Fetched pages can additionally be stored in a (possibly persistent) page cache,
+  // except when pages are negotiated by datetime, since their URLs do not identify them then
+  this._pageCache = options.fragmentCache && !options.datetime ?
+                    FragmentCache.instantiate(options.fragmentCache) : null;
   this._httpClient = options.httpClient || new HttpClient(options);
 
   // Extract counts and triple pattern fragments controls by default
@@ -85,15 +93,67 @@ FragmentsClient.prototype.getFragmentByPattern = function (pattern) {
 
     // Only attempt to fetch the fragment if its components are valid
     if (rdf.isLiteral(subject) || rdf.isLiteral(predicate)) return fragment.empty();
+    // Servers without graph support only have a default graph
+    if (pattern.graph && !controls.supportsGraphs) return fragment.empty();
 
-    // Load and cache the fragment
-    pattern = { subject: subject, predicate: predicate, object: object };
-    fragment.loadFromUrl(controls.getFragmentUrl(pattern));
+    // Load and cache the fragment (of all graphs, unless a single named graph is selected)
+    var graph = typeof pattern.graph === 'string' && !rdf.isVariableOrBlank(pattern.graph) ? pattern.graph : null,
+        bindings = controls.supportsBindings && pattern.bindings && pattern.bindings.length ? pattern.bindings : null;
+    // Servers with bindings support restrict the fragment to the bindings of the pattern's variables
+    // (other servers return the fragment of the entire pattern, which is a superset)
+    if (bindings) {
+      subject   = rdf.isVariable(pattern.subject)   ? pattern.subject   : subject;
+      predicate = rdf.isVariable(pattern.predicate) ? pattern.predicate : predicate;
+      object    = rdf.isVariable(pattern.object)    ? pattern.object    : object;
+    }
+    var fragmentPattern = { subject: subject, predicate: predicate, object: object };
+    if (graph) fragmentPattern.graph = graph;
+    if (bindings) fragmentPattern.values = toValuesClause(bindings);
+    fragment.loadFromUrl(controls.getFragmentUrl(fragmentPattern));
   });
   cache.set(key, fragment);
   return fragment.clone();
 };
 
+/** Calls back with the hypermedia controls of the start fragment, or with an error if it cannot be loaded. */
+FragmentsClient.prototype.getControls = function (callback) {
+  var startFragment = this._startFragment, called = false;
+  function done(error, controls) { if (!called) called = true, callback(error, controls); }
+  if (startFragment.error)
+    return setImmediate(done, startFragment.error);
+  if (startFragment.error !== null)
+    startFragment.once('error', done);
+  startFragment.getProperty('controls', function (controls) { done(null, controls); });
+};
+
+// Serializes the bindings as a SPARQL VALUES clause, with UNDEF for unbound variables
+function toValuesClause(bindings) {
+  var variables = _.uniq(_.flatten(bindings.map(Object.keys)));
+  return 'VALUES (' + variables.join(' ') + ') {' + bindings.map(function (row) {
+    return ' (' + variables.map(function (variable) {
+      return row[variable] ? toSparqlTerm(row[variable]) : 'UNDEF';
+    }).join(' ') + ')';
+  }).join('') + ' }';
+}
+
+// Serializes the IRI or literal as a SPARQL term
+function toSparqlTerm(entity) {
+  if (!rdf.isLiteral(entity))
+    return '<' + entity + '>';
+  var value = '"' + rdf.getLiteralValue(entity).replace(/["\\\n\r]/g, function (character) {
+    return SPARQL_ESCAPES[character];
+  }) + '"';
+  var language = rdf.getLiteralLanguage(entity), type = rdf.getLiteralType(entity);
+  return language ? value + '@' + language : value + '^^<' + type + '>';
+}
+
+// Gets the page cache for pages with the given URL, which are not cached if they require credentials,
+// since the entries of a (possibly shared) page cache are only keyed by URL
+FragmentsClient.prototype._getPageCache = function (pageUrl) {
+  var httpClient = this._httpClient;
+  return httpClient.hasCredentials && httpClient.hasCredentials(pageUrl) ? null : this._pageCache;
+};
+
 /** Aborts all requests. */
 FragmentsClient.prototype.abortAll = function () {
   this._httpClient.abortAll();
@@ -113,21 +173,52 @@ BufferedIterator.subclass(Fragment);
 // Reads data from the current page of the fragment
 Fragment.prototype._read = function (count, done) {
   var item;
-  while (count-- > 0 && this._page && (item = this._page.read()))
+  while (count-- > 0 && this._page && (item = this._page.read())) {
     this._push(item);
+    // Record the data of a page that will be cached
+    this._pageTriples && this._pageTriples.push(item);
+  }
   done();
 };
 
 // Loads the Triple Pattern Fragment located at the given URL
 Fragment.prototype.loadFromUrl = function (pageUrl) {
+  // Without page cache, fetch the page
+  var fragment = this, pageCache = this._fragmentsClient._getPageCache(pageUrl);
+  if (!pageCache)
+    return this._fetchPage(pageUrl, null);
+  // Otherwise, use the cached page while it is fresh, or fetch it again if it has expired
+  pageCache.get(pageUrl, function (error, cachedPage) {
+    if (cachedPage && cachedPage.expires > Date.now())
+      fragment._loadPage(pageUrl, createCachedPageIterator(cachedPage), null);
+    else
+      fragment._fetchPage(pageUrl, cachedPage);
+  });
+};
+
+// Fetches the page with the given URL, revalidating the expired cached version of the page (if any)
+Fragment.prototype._fetchPage = function (pageUrl, cachedPage) {
   // Fetch a page of the fragment
   var fragment = this, fragmentsClient = this._fragmentsClient, page,
+      pageCache = fragmentsClient._getPageCache(pageUrl),
       headers = { 'user-agent': 'Triple Pattern Fragments Client' };
   if (fragmentsClient._startFragmentUrl) headers.referer = fragmentsClient._startFragmentUrl;
-  page = fragmentsClient._httpClient.get(pageUrl, headers);
+  // Only request the contents of the page if it changed since it was cached
+  if (cachedPage && cachedPage.etag)         headers['if-none-match'] = cachedPage.etag;
+  if (cachedPage && cachedPage.lastModified) headers['if-modified-since'] = cachedPage.lastModified;
+  // The page cache determines the freshness of pages by itself, so the HTTP cache is not involved
+  page = fragmentsClient._httpClient.get(pageUrl, headers, pageCache ? { cache: false } : undefined);
   page.on('error', function (error) { fragment.emit('error', error); });
 
   page.getProperty('statusCode', function (statusCode) {
+    var responseHeaders = page.getProperty('headers') || {},
+        expires = pageCache && pageCache.getExpiry(responseHeaders);
+    // If the page did not change, use the cached version for a new freshness period
+    if (statusCode === 304 && cachedPage) {
+      if (expires !== null)
+        cachedPage.expires = expires, pageCache.set(pageUrl, cachedPage);
+      return fragment._loadPage(pageUrl, createCachedPageIterator(cachedPage), null);
+    }
     // Don't parse the page if its retrieval was unsuccessful
     if (statusCode !== 200) {
       page.emit('error', new Error('Could not retrieve ' + pageUrl + ' (' + statusCode + ')'));
@@ -140,40 +231,72 @@ Fragment.prototype.loadFromUrl = function (pageUrl) {
       var Parser = _.find(parserTypes, function (P) { return P.supportsContentType(contentType); });
       if (!Parser)
         return fragment.emit('error', new Error('No parser for ' + contentType + ' at ' + pageUrl));
-      var parsedPage = fragment._page = new Parser(page, pageUrl);
-      parsedPage.on('readable', function () { fragment.readable = true; });
-
-      // Extract the page's metadata and controls
-      var controls = {};
-      fragmentsClient._metadataExtractor.extract({ fragmentUrl: pageUrl },
-        parsedPage.metadataStream, function (error, metadata) {
-          // Emit all new properties
-          for (var type in metadata) {
-            if (!fragment.getProperty(type))
-              fragment.setProperty(type, metadata[type]);
-          }
-          // Store the controls so we can find the next page
-          controls = metadata.controls || controls;
-        });
-
-      // Load the next page when this one is finished, using setImmediate to wait for controls
-      parsedPage.on('end', function () { setImmediate(loadNextPage); });
-      function loadNextPage() {
-        // Find the next page's URL through hypermedia controls in the current page
-        var nextPage;
-        try { nextPage = controls && controls.next; }
-        catch (controlError) { /* ignore missing control */ }
-        // Load the next page, or end if none was found
-        nextPage ? fragment.loadFromUrl(nextPage) : fragment.close();
-      }
-      parsedPage.on('error', function (error) { page.emit('error', error); });
-
-      // A new page of data has been loaded, so this fragment is readable again
-      fragment.readable = true;
+      // Cache the page if allowed, together with its validators
+      var pageToCache = !pageCache || expires === null ? null : {
+        url: pageUrl, triples: [], metadata: [], expires: expires,
+        etag: responseHeaders.etag, lastModified: responseHeaders['last-modified'],
+      };
+      fragment._loadPage(pageUrl, new Parser(page, pageUrl), pageToCache);
     });
   });
 };
 
+// Loads the data, metadata, and controls of the parsed page,
+// storing them in the page cache if a page to cache is given
+Fragment.prototype._loadPage = function (pageUrl, parsedPage, pageToCache) {
+  var fragment = this, fragmentsClient = this._fragmentsClient;
+  this._page = parsedPage;
+  parsedPage.on('readable', function () { fragment.readable = true; });
+
+  // Extract the page's metadata and controls
+  var controls = {};
+  fragmentsClient._metadataExtractor.extract({ fragmentUrl: pageUrl },
+    parsedPage.metadataStream, function (error, metadata) {
+      // Emit all new properties
+      for (var type in metadata) {
+        if (!fragment.getProperty(type))
+          fragment.setProperty(type, metadata[type]);
+      }
+      // Store the controls so we can find the next page
+      controls = metadata.controls || controls;
+    });
+
+  // Record the page's data and metadata, and cache the page once both have been read entirely
+  var pendingStreams = 2;
+  this._pageTriples = pageToCache && pageToCache.triples;
+  if (pageToCache) {
+    parsedPage.metadataStream.on('data', function (triple) { pageToCache.metadata.push(triple); });
+    parsedPage.metadataStream.on('end', cachePage);
+    parsedPage.on('end', cachePage);
+  }
+  function cachePage() {
+    if (--pendingStreams === 0)
+      fragmentsClient._pageCache.set(pageUrl, pageToCache);
+  }
+
+  // Load the next page when this one is finished, using setImmediate to wait for controls
+  parsedPage.on('end', function () { setImmediate(loadNextPage); });
+  function loadNextPage() {
+    // Find the next page's URL through hypermedia controls in the current page
+    var nextPage;
+    try { nextPage = controls && controls.next; }
+    catch (controlError) { /* ignore missing control */ }
+    // Load the next page, or end if none was found
+    nextPage ? fragment.loadFromUrl(nextPage) : fragment.close();
+  }
+  parsedPage.on('error', function (error) { fragment.emit('error', error); });
+
+  // A new page of data has been loaded, so this fragment is readable again
+  fragment.readable = true;
+};
+
+// Creates an iterator over the data of the cached page, with a stream of its metadata
+function createCachedPageIterator(cachedPage) {
+  var page = AsyncIterator.fromArray(cachedPage.triples);
+  page.metadataStream = AsyncIterator.fromArray(cachedPage.metadata);
+  return page;
+}
+
 // Empties the fragment and returns it
 Fragment.prototype.empty = function () {
   if (!this.getProperty('metadata'))
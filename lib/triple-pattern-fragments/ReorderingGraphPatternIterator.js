@@ -6,6 +6,7 @@ var AsyncIterator = require('asynciterator'),
     MultiTransformIterator = AsyncIterator.MultiTransformIterator,
     rdf = require('../util/RdfUtil'),
     _ = require('lodash'),
+    RequestError = require('../util/HttpClient').RequestError,
     Logger = require('../util/ExecutionLogger')('ReorderingGraphPatternIterator');
 
 var TriplePatternIterator = require('./TriplePatternIterator');
@@ -64,8 +65,11 @@ ReorderingGraphPatternIterator.prototype._createTransformer = function (bindings
       if (--remainingPatterns === 0)
         pipeline.source = createPipeline(subPattern.splice(bestIndex, 1)[0]);
     });
-    // If the fragment errors, pretend it was empty
+    // If the fragment errors, pretend it was empty,
+    // unless its request failed on every attempt, since matches would then be missing
     fragment.on('error', function (error) {
+      if (error instanceof RequestError)
+        return pipeline.emit('error', error), pipeline.close();
       Logger.warning(error.message);
       if (!fragment.getProperty('metadata'))
         fragment.setProperty('metadata', { totalTriples: 0 });
@@ -1,23 +1,56 @@
 /*! @license MIT ©2013-2016 Ruben Verborgh, Ghent University - imec */
 /* A TrigFragmentIterator reads data and metadata from Linked Data Fragments in TriG. */
 
-var TurtleFragmentIterator = require('./TurtleFragmentIterator');
+var TurtleFragmentIterator = require('./TurtleFragmentIterator'),
+    rdf = require('../util/RdfUtil');
 
 // Creates a new TrigFragmentIterator
 function TrigFragmentIterator(source, fragmentUrl) {
   if (!(this instanceof TrigFragmentIterator))
     return new TrigFragmentIterator(source, fragmentUrl);
   TurtleFragmentIterator.call(this, source, fragmentUrl);
+
+  // The metadata graph is conventionally named after the fragment,
+  // possibly with a relative IRI that has not been resolved against the fragment URL
+  this._metadataGraphs = Object.create(null);
+  this._metadataGraphs[(fragmentUrl || '').replace(/#.*/, '') + '#metadata'] = true;
+  this._metadataGraphs['#metadata'] = true;
+  // Quads of other named graphs wait until it is known whether their graph is a metadata graph
+  this._pendingQuads = Object.create(null);
 }
 TurtleFragmentIterator.subclass(TrigFragmentIterator);
 
 // Sends the given parsed quad to the data or metadata stream
 TrigFragmentIterator.prototype._processTriple = function (quad) {
-  // Quads with a non-default graph are considered metadata
-  if (!quad.graph)
-    this._push(quad);
-  else
+  // Quads in the default graph are data
+  var graph = quad.graph;
+  if (!graph)
+    return this._push(quad);
+  // Other graphs are metadata graphs if they have the fragment as their primary topic,
+  // in which case their earlier quads are metadata as well
+  if (quad.predicate === rdf.FOAF_PRIMARYTOPIC && quad.object === this._fragmentUrl &&
+      !(quad.subject in this._metadataGraphs)) {
+    this._metadataGraphs[quad.subject] = true;
+    var pendingQuads = this._pendingQuads[quad.subject] || [];
+    delete this._pendingQuads[quad.subject];
+    pendingQuads.forEach(function (pendingQuad) { this.metadataStream._push(pendingQuad); }, this);
+  }
+  // Quads in metadata graphs are metadata; quads in other named graphs might be data
+  if (graph in this._metadataGraphs)
     this.metadataStream._push(quad);
+  else
+    (this._pendingQuads[graph] || (this._pendingQuads[graph] = [])).push(quad);
+};
+
+// Emits the quads of named graphs that turned out not to be metadata graphs as data
+TrigFragmentIterator.prototype._flush = function (done) {
+  var self = this;
+  TurtleFragmentIterator.prototype._flush.call(this, function () {
+    for (var graph in self._pendingQuads)
+      self._pendingQuads[graph].forEach(function (quad) { self._push(quad); });
+    self._pendingQuads = Object.create(null);
+    done();
+  });
 };
 
 // Indicates whether the class supports the content type
@@ -2,18 +2,35 @@
 /* A TriplePatternIterator builds bindings by reading matches for a triple pattern. */
 
 var AsyncIterator = require('asynciterator'),
+    BufferedIterator = AsyncIterator.BufferedIterator,
     MultiTransformIterator = AsyncIterator.MultiTransformIterator,
     rdf = require('../util/RdfUtil'),
+    _ = require('lodash'),
     Logger = require('../util/ExecutionLogger')('TriplePatternIterator');
 
+// The default number of upstream bindings that restrict a single brTPF request
+var DEFAULT_BINDINGS_PER_REQUEST = 30;
+
 // Creates a new TriplePatternIterator
 function TriplePatternIterator(parent, pattern, options) {
   if (!(this instanceof TriplePatternIterator))
     return new TriplePatternIterator(parent, pattern, options);
-  MultiTransformIterator.call(this, parent, options);
+  var client = options && options.fragmentsClient;
+
+  // Without a client that exposes its controls, fetch one fragment per upstream binding
+  if (!parent || !pattern || pattern.graph || !client || !client.getControls)
+    MultiTransformIterator.call(this, parent, options);
+  // Otherwise, batch the upstream bindings if the server supports bindings-restricted fragments
+  else {
+    MultiTransformIterator.call(this, options);
+    var self = this, batchSize = options.bindingsPerRequest || DEFAULT_BINDINGS_PER_REQUEST;
+    client.getControls(function (error, controls) {
+      self.source = !error && controls.supportsBindings ? new BindingsBatchIterator(parent, batchSize) : parent;
+    });
+  }
 
   this._pattern = pattern;
-  this._client = options && options.fragmentsClient;
+  this._client = client;
 }
 MultiTransformIterator.subclass(TriplePatternIterator);
 
@@ -22,6 +39,10 @@ MultiTransformIterator.subclass(TriplePatternIterator);
 // and the upstream sends a binding { ?o: dbpedia-owl:City' },
 // then we return an iterator for [{ ?o: dbpedia-owl:City', ?s: dbpedia:Ghent' }, …].
 TriplePatternIterator.prototype._createTransformer = function (bindings, options) {
+  // A batch of bindings is matched by a single bindings-restricted fragment
+  if (Array.isArray(bindings))
+    return this._createBatchTransformer(bindings);
+
   // Apply the upstream bindings to the iterator's triple pattern.
   // example: apply { ?o: dbpedia-owl:City } to '?s rdf:type ?o'
   var pattern = this._pattern,
@@ -30,8 +51,12 @@ TriplePatternIterator.prototype._createTransformer = function (bindings, options
   // Retrieve the fragment that corresponds to the bound pattern.
   // example: retrieve the fragment for '?s rdf:type dbpedia-owl:City'
   var fragment = this._client.getFragmentByPattern(boundPattern);
+  // Errors of the fragment (such as requests that failed on every attempt) reach this iterator
+  // through the transformer, such that they are not mistaken for missing matches
   Logger.logFragment(this, fragment, bindings);
-  fragment.on('error', function (error) { Logger.warning(error.message); });
+  // If the pattern matches a merge of graphs, every triple should only match once
+  if (Array.isArray(boundPattern.graph))
+    fragment = fragment.filter(mergedTripleFilter(boundPattern.graph));
 
   // Transform the fragment's triples into bindings for the triple pattern.
   // example: [{ ?o: dbpedia-owl:City', ?s: dbpedia:Ghent' }, …]
@@ -43,6 +68,78 @@ TriplePatternIterator.prototype._createTransformer = function (bindings, options
   });
 };
 
+// Creates a transformer that extends a batch of upstream bindings with matches for the triple pattern,
+// by retrieving the fragment of the pattern restricted to the bindings' values for its variables.
+// For example, if the iterator's triple pattern is '?s rdf:type ?o',
+// and the upstream sends the bindings [{ ?o: dbpedia-owl:City }, { ?o: dbpedia-owl:Country }],
+// then we retrieve the fragment for '?s rdf:type ?o' with VALUES ?o { dbpedia-owl:City dbpedia-owl:Country }.
+TriplePatternIterator.prototype._createBatchTransformer = function (batch) {
+  // Only the values of the pattern's variables restrict the fragment
+  var pattern = this._pattern, variables = rdf.getVariables(pattern);
+  var rows = _.uniq(batch.map(function (bindings) {
+    return variables.reduce(function (row, variable) {
+      if (bindings[variable]) row[variable] = bindings[variable];
+      return row;
+    }, {});
+  }), function (row) { return JSON.stringify(row); });
+
+  // Retrieve the fragment that corresponds to the pattern and the bindings,
+  // unless some bindings leave all of the pattern's variables unbound and thus need the entire fragment
+  var restricted = rows.length && !_.some(rows, _.isEmpty);
+  var fragment = this._client.getFragmentByPattern(restricted ? _.assign({ bindings: rows }, pattern) : pattern);
+  Logger.logFragment(this, fragment, batch);
+
+  // Extend each of the bindings with each compatible triple
+  return fragment.transform(function (triple, done) {
+    batch.forEach(function (bindings) {
+      try { this._push(rdf.extendBindings(bindings, pattern, triple)); }
+      catch (error) { /* skip triples that conflict with the bindings */ }
+    }, this);
+    done();
+  });
+};
+
+// Creates a filter for the distinct triples in the merge of the given graphs
+function mergedTripleFilter(graphs) {
+  var inGraphs = rdf.graphFilter(graphs), triples = Object.create(null);
+  return function (triple) {
+    var key = JSON.stringify([triple.subject, triple.predicate, triple.object]);
+    return inGraphs(triple.graph) && !(key in triples) && (triples[key] = true);
+  };
+}
+
+
+
+// Creates a new BindingsBatchIterator that groups the bindings of the source
+// into arrays of the given size (except for the last one)
+function BindingsBatchIterator(source, batchSize) {
+  BufferedIterator.call(this);
+
+  this._source = source;
+  this._batchSize = batchSize;
+  this._batch = [];
+  source.on('readable', this._fillBuffer.bind(this));
+  source.on('end',      this._fillBuffer.bind(this));
+  source.on('error',    this.emit.bind(this, 'error'));
+}
+BufferedIterator.subclass(BindingsBatchIterator);
+
+// Pushes a batch once it is complete, or once the source has ended
+BindingsBatchIterator.prototype._read = function (count, done) {
+  var bindings;
+  while (count > 0 && (bindings = this._source.read()) !== null) {
+    this._batch.push(bindings);
+    if (this._batch.length === this._batchSize)
+      this._push(this._batch), this._batch = [], count--;
+  }
+  if (this._source.ended) {
+    if (this._batch.length)
+      this._push(this._batch), this._batch = [];
+    this.close();
+  }
+  done();
+};
+
 // Generates a textual representation of the iterator
 TriplePatternIterator.prototype.toString = function () {
   return '[' + this.constructor.name +
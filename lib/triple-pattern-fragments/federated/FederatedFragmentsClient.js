@@ -1,6 +1,7 @@
 /*! @license MIT ©2015-2016 Miel Vander Sande, Ghent University - imec */
 
 var FragmentsClient = require('../FragmentsClient'),
+    FragmentCache = require('../../cache/FragmentCache'),
     BufferedIterator = require('asynciterator').BufferedIterator,
     rdf = require('../../util/RdfUtil'),
     _ = require('lodash');
@@ -15,10 +16,19 @@ function FederatedFragmentsClient(startFragments, options) {
   if (startFragments.length === 1)
     return new FragmentsClient(startFragments[0], options);
 
+  // Let the clients share a single page cache
+  if (options && options.fragmentCache)
+    options = _.defaults({ fragmentCache: FragmentCache.instantiate(options.fragmentCache) }, options);
+
+  // Let the clients share a single HTTP client, such that requests are scheduled fairly across hosts,
+  // allowing as many concurrent requests in total as separate clients would
+  options = _.defaults({}, options, { concurrentRequests: 10 * startFragments.length });
+
   // Create clients for each of the start fragments
   var clients = this._clients = (startFragments || []).map(function (startFragment) {
     var client = new FragmentsClient(startFragment, options);
     client._emptyPatterns = []; // patterns without matches
+    options.httpClient = client._httpClient;
     return client;
   });
 
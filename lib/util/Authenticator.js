@@ -0,0 +1,123 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* An Authenticator determines the credential headers of requests to protected servers. */
+
+var url = require('url'),
+    _ = require('lodash');
+
+/**
+ * Creates a new `Authenticator`.
+ * @classdesc An `Authenticator` keeps credentials per origin (scheme, host, and port),
+ * and only adds them to requests for URLs with exactly that origin,
+ * such that they are never sent to other servers.
+ * @param {object} [options]
+ * @param {object} [options.credentials] Credentials per origin (or per URL of a source on that origin),
+ *                                       each of which can consist of:
+ *                                       a `username` and `password` for HTTP Basic authentication,
+ *                                       a `token` for Bearer authentication,
+ *                                       a `getToken(callback)` function that obtains a (new) Bearer token,
+ *                                       and other `headers` to add.
+ * @constructor
+ */
+function Authenticator(options) {
+  if (!(this instanceof Authenticator))
+    return new Authenticator(options);
+
+  // Index the credentials by origin
+  this._credentials = _.transform(options && options.credentials || {}, function (credentials, entry, origin) {
+    credentials[getOrigin(origin)] = _.assign({ callbacks: null }, entry);
+  }, {});
+}
+
+/**
+ * Determines the credential headers for a request to the given URL.
+ * The callback is called synchronously if no token needs to be obtained.
+ * @param {string} requestUrl The URL of the request
+ * @param {function} callback The callback through which an error or the headers (or `null`) will be sent.
+ */
+Authenticator.prototype.getHeaders = function (requestUrl, callback) {
+  var credentials = this._credentials[getOrigin(requestUrl)];
+  if (!credentials)
+    return callback(null, null);
+  if (credentials.token || !credentials.getToken)
+    return callback(null, createHeaders(credentials));
+
+  // Obtain a token, letting concurrent requests wait for the same one
+  if (credentials.callbacks)
+    return credentials.callbacks.push(callback);
+  credentials.callbacks = [callback];
+  credentials.getToken(function (error, token) {
+    var callbacks = credentials.callbacks;
+    credentials.callbacks = null;
+    if (!error && !token)
+      error = new Error('No token obtained for ' + getOrigin(requestUrl));
+    if (!error)
+      credentials.token = token;
+    callbacks.forEach(function (callback) {
+      if (error) callback(error);
+      else callback(null, createHeaders(credentials));
+    });
+  });
+};
+
+/**
+ * Determines whether requests to the given URL are sent with credentials.
+ * @param {string} requestUrl The URL of the request
+ * @returns {boolean} Whether credentials are configured for the URL's origin
+ */
+Authenticator.prototype.hasCredentials = function (requestUrl) {
+  return getOrigin(requestUrl) in this._credentials;
+};
+
+/**
+ * Discards the token used for a request that the server did not authorize,
+ * if a new token can be obtained.
+ * @param {string} requestUrl The URL of the request
+ * @param {?object} headers The credential headers that were sent with the request
+ * @returns {boolean} Whether a new token can be obtained
+ */
+Authenticator.prototype.invalidate = function (requestUrl, headers) {
+  var credentials = this._credentials[getOrigin(requestUrl)];
+  if (!credentials || !credentials.getToken)
+    return false;
+  // Only discard the token if it has not been replaced by a new one yet
+  if (headers && headers.authorization === 'Bearer ' + credentials.token)
+    delete credentials.token;
+  return true;
+};
+
+// Creates the headers that contain the credentials
+function createHeaders(credentials) {
+  var headers = _.transform(credentials.headers || {}, function (headers, value, name) {
+    headers[name.toLowerCase()] = value;
+  }, {});
+  if (credentials.token)
+    headers.authorization = 'Bearer ' + credentials.token;
+  else if (credentials.username)
+    headers.authorization = 'Basic ' + toBase64(credentials.username + ':' + (credentials.password || ''));
+  return headers;
+}
+
+// Encodes the string in Base64, also on Node.js versions without Buffer.from for strings
+function toBase64(string) {
+  return (Buffer.alloc ? Buffer.from(string, 'utf8') : new Buffer(string, 'utf8')).toString('base64');
+}
+
+/**
+ * Gets the origin (scheme, host, and port) of the URL,
+ * omitting the port if it is the default port of the scheme.
+ * @param {string} originUrl The URL
+ * @returns {string} The origin of the URL, or the URL itself if it has no scheme or host
+ */
+Authenticator.getOrigin = getOrigin;
+
+// Gets the origin of the URL
+function getOrigin(originUrl) {
+  var parts = url.parse(originUrl), port = parts.port;
+  if (!parts.protocol || !parts.hostname)
+    return originUrl;
+  if (port === (parts.protocol === 'https:' ? '443' : '80'))
+    port = null;
+  return parts.protocol + '//' + parts.hostname + (port ? ':' + port : '');
+}
+
+module.exports = Authenticator;
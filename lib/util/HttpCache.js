@@ -0,0 +1,161 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* An HttpCache stores HTTP responses in memory according to their caching headers (RFC 7234). */
+
+var Cache = require('lru-cache'),
+    _ = require('lodash');
+
+// Status codes of responses that can be stored (https://tools.ietf.org/html/rfc7231#section-6.1)
+var CACHEABLE_STATUS_CODES = _.object([200, 203, 204, 300, 301, 404, 405, 410, 414, 501], []);
+
+// Maximum freshness lifetime that is derived heuristically from the last modification date
+var MAX_HEURISTIC_LIFETIME = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a new `HttpCache`.
+ * @classdesc An `HttpCache` is a private HTTP cache that keeps responses in memory,
+ * such that fresh responses can be reused and stale responses can be revalidated.
+ * @param {object} [options]
+ * @param {integer} [options.maxSize=32 MiB] The maximum total length of the cached response bodies
+ * @constructor
+ */
+function HttpCache(options) {
+  if (!(this instanceof HttpCache))
+    return new HttpCache(options);
+
+  this._responses = new Cache({
+    max: options && options.maxSize || 32 * 1024 * 1024,
+    length: function (response) { return response.length; },
+  });
+}
+
+/**
+ * Finds the cached response for the request.
+ * @param {object} request The request, with its `url`, `method`, and `headers`
+ * @returns {?CachedResponse} The cached response, or `null` if none matches the request
+ */
+HttpCache.prototype.match = function (request) {
+  if (request.method !== 'GET')
+    return null;
+  // The response must have been selected by the same values of the headers it varies on
+  var response = this._responses.get(request.url);
+  if (!response || _.some(response.varyHeaders, function (value, header) {
+    return (request.headers[header] || '') !== value;
+  }))
+    return null;
+  return response;
+};
+
+/**
+ * Stores the response to the request if its headers allow this.
+ * @param {object} request The request, with its `url`, `method`, and `headers`
+ * @param {integer} statusCode The status code of the response
+ * @param {object} headers The headers of the response
+ * @param {Array} body The chunks of the response body
+ * @returns {?CachedResponse} The cached response, or `null` if it was not stored
+ */
+HttpCache.prototype.store = function (request, statusCode, headers, body) {
+  var vary = headers.vary ? headers.vary.toLowerCase().split(/\s*,\s*/) : [],
+      expires = HttpCache.getExpiry(headers);
+  // Only store complete responses to GET requests that can be reused or revalidated
+  if (request.method !== 'GET' || !(statusCode in CACHEABLE_STATUS_CODES) || expires === null ||
+      _.contains(vary, '*') || parseCacheControl(request.headers['cache-control'])['no-store'] ||
+      expires <= Date.now() && !headers.etag && !headers['last-modified'])
+    return null;
+
+  var response = {
+    url: request.url,
+    statusCode: statusCode,
+    headers: headers,
+    body: body,
+    length: 1 + body.reduce(function (length, chunk) { return length + chunk.length; }, 0),
+    expires: expires,
+    varyHeaders: _.object(vary, vary.map(function (header) { return request.headers[header] || ''; })),
+  };
+  this._responses.set(request.url, response);
+  return response;
+};
+
+/**
+ * Updates the cached response with the headers of a `304 Not Modified` response.
+ * @param {CachedResponse} response The cached response
+ * @param {object} headers The headers of the `304 Not Modified` response
+ * @returns {CachedResponse} The updated response
+ */
+HttpCache.prototype.update = function (response, headers) {
+  response.headers = _.assign({}, response.headers, _.omit(headers, 'content-length'));
+  response.expires = HttpCache.getExpiry(response.headers);
+  // Remove the response if it must not be stored anymore
+  if (response.expires === null)
+    this._responses.del(response.url);
+  return response;
+};
+
+/**
+ * Determines whether the cached response can be used without revalidation.
+ * @param {CachedResponse} response The cached response
+ * @param {object} [requestHeaders] The headers of the request
+ * @returns {boolean} Whether the cached response is fresh
+ */
+HttpCache.prototype.isFresh = function (response, requestHeaders) {
+  var requestCacheControl = parseCacheControl(requestHeaders && requestHeaders['cache-control']);
+  return !requestCacheControl['no-cache'] && requestCacheControl['max-age'] !== '0' &&
+         response.expires !== null && response.expires > Date.now();
+};
+
+/** Removes all responses from the cache. */
+HttpCache.prototype.clear = function () {
+  this._responses.reset();
+};
+
+/**
+ * Determines until when a response with the given headers is fresh.
+ * @param {object} headers The headers of the response
+ * @param {integer} [now=Date.now()] The time at which the response was received
+ * @param {integer} [defaultLifetime=0] The lifetime in milliseconds if the headers do not determine it
+ * @returns {?integer} The expiry time of the response, or `null` if it must not be stored
+ */
+HttpCache.getExpiry = function (headers, now, defaultLifetime) {
+  var cacheControl = parseCacheControl(headers['cache-control']),
+      age = (parseInt(headers.age, 10) || 0) * 1000;
+  now = now || Date.now();
+  if (cacheControl['no-store'])
+    return null;
+  // Responses that must be revalidated expire immediately
+  if (cacheControl['no-cache'])
+    return now;
+  // The max-age directive takes precedence over the Expires header
+  if (/^\d+$/.test(cacheControl['max-age']))
+    return now + parseInt(cacheControl['max-age'], 10) * 1000 - age;
+  var date = Date.parse(headers.date) || now;
+  if (headers.expires) {
+    var expires = Date.parse(headers.expires);
+    return isNaN(expires) ? now : now + Math.max(0, expires - date) - age;
+  }
+  if (defaultLifetime)
+    return now + defaultLifetime - age;
+  // Otherwise, estimate the lifetime as a fraction of the time since the last modification
+  var lastModified = Date.parse(headers['last-modified']);
+  if (!isNaN(lastModified) && lastModified < date)
+    return now + Math.min((date - lastModified) / 10, MAX_HEURISTIC_LIFETIME) - age;
+  return now;
+};
+
+// Parses the directives of a Cache-Control header into an object
+function parseCacheControl(header) {
+  var directives = {}, directive = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|([^\s,]*)))?/g, match;
+  while (match = directive.exec(header || ''))
+    directives[match[1].toLowerCase()] = match[2] || match[3] || true;
+  return directives;
+}
+
+/**
+ * A response as stored in an `HttpCache`.
+ * @typedef {object} CachedResponse
+ * @property {string} url The URL of the response
+ * @property {integer} statusCode The status code of the response
+ * @property {object} headers The headers of the response
+ * @property {Array} body The chunks of the response body
+ * @property {?integer} expires The time (in milliseconds since the epoch) at which the response expires
+ */
+
+module.exports = HttpCache;
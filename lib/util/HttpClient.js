@@ -1,18 +1,44 @@
 /*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
 
-var TransformIterator = require('asynciterator').TransformIterator,
+var AsyncIterator = require('asynciterator'),
+    TransformIterator = AsyncIterator.TransformIterator,
+    HttpCache = require('./HttpCache'),
+    Authenticator = require('./Authenticator'),
+    RequestScheduler = require('./RequestScheduler'),
+    createErrorType = require('./CustomError'),
     logger = require('../util/Logger.js'),
     _ = require('lodash'),
     parseLink = require('parse-link-header');
 
+// Error codes of failed requests that might succeed when retried
+var RETRYABLE_ERRORS = _.object(['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'], []);
+// Methods of requests that can safely be retried
+var RETRYABLE_METHODS = _.object(['GET', 'HEAD'], []);
+
+// Error for requests that failed temporarily on each attempt
+var RequestError = createErrorType('RequestError', function (request, cause) {
+  this.message = 'Could not retrieve ' + request.url + ' after ' + request.attempts +
+                 (request.attempts === 1 ? ' attempt' : ' attempts') + ' (' + cause.message + ')';
+  this.code = cause.code;
+  this.cause = cause;
+});
+
 /**
  * Creates a new `HttpClient`.
  * @classdesc An `HttpClient` retrieves representations of resources using HTTP
  * and provides access to them through an iterator interface.
- * It performs request pooling and time-based content negotiation.
+ * It performs request pooling with per-host limits and time-based content negotiation,
+ * and retries requests that fail temporarily with an exponential backoff.
  * @param {String} [options.request] The HTTP request module to use
  * @param {String} [options.contentType=* / *] The desired content type of representations
  * @param {integer} [options.concurrentRequests=10] Maximum number of concurrent requests per client
+ * @param {object} [options.hostLimits] Concurrency and rate limits per host (see {@link RequestScheduler})
+ * @param {object} [options.credentials] Credentials per origin (see {@link Authenticator})
+ * @param {HttpCache|object|boolean} [options.httpCache=true] The cache for responses, its options, or `false`
+ * @param {integer} [options.timeout=5000] Milliseconds to wait for a response before a request times out
+ * @param {integer} [options.retries=3] Maximum number of times a failed request is retried
+ * @param {integer} [options.retryDelay=500] Milliseconds to wait before the first retry, doubled for every next one
+ * @param {integer} [options.maxRetryDelay=30000] Maximum number of milliseconds to wait before a retry
  * @constructor
  */
 function HttpClient(options) {
@@ -29,12 +55,21 @@ function HttpClient(options) {
   }, _.identity);
   this._logger = options.logger || logger('HttpClient');
   this._maxActiveRequestCount = options.concurrentRequests || 10;
+  this._timeout = _.has(options, 'timeout') ? options.timeout : 5000;
+  this._retries = _.has(options, 'retries') ? options.retries : 3;
+  this._retryDelay = _.has(options, 'retryDelay') ? options.retryDelay : 500;
+  this._maxRetryDelay = _.has(options, 'maxRetryDelay') ? options.maxRetryDelay : 30000;
+  this._cache = options.httpCache === false ? null :
+                options.httpCache instanceof HttpCache ? options.httpCache : new HttpCache(options.httpCache);
+  this._authenticator = new Authenticator(options);
 
   // Set up request queue
   this._requestId = 0;
-  this._queued = [];
+  this._scheduler = new RequestScheduler(options);
+  this._wakeUpTimer = null;
   this._active = {};
   this._activeCount = 0;
+  this._waiting = {};
 }
 
 /**
@@ -54,6 +89,9 @@ HttpClient.prototype.get = function (url, headers, options) {
  * @param {string} [method='GET'] method The HTTP method to use
  * @param {Object} [headers] Additional HTTP headers to add
  * @param {Object} [options] Additional options for the HTTP request
+ * @param {integer} [options.timeout] Milliseconds to wait for a response before the request times out
+ * @param {integer} [options.retries] Maximum number of times the request is retried
+ * @param {boolean} [options.cache=true] Whether the HTTP cache may respond to the request and store its response
  * @returns {AsyncIterator} An iterator of the representation
  */
 HttpClient.prototype.request = function (url, method, headers, options) {
@@ -63,46 +101,149 @@ HttpClient.prototype.request = function (url, method, headers, options) {
     url: url,
     method: method || 'GET',
     headers: _.assign({}, this._defaultHeaders, headers),
-    timeout: 5000,
+    timeout: this._timeout,
+    retries: this._retries,
+    attempts: 0,
+    cache: true,
     followRedirect: true,
     // maximize buffer size to drain the response stream, since unconsumed responses
     // can lead to out-of-memory errors (http://nodejs.org/api/http.html)
     response: new TransformIterator({ maxBufferSize: Infinity }),
   }, options);
 
+  // Respond from the cache if possible
+  if (this._cache && request.cache && this._useCache(request))
+    return request.response;
+
   // Queue the request and start it when possible
-  this._queued.push(request);
-  this._startNextRequest();
+  this._queue(request);
 
   return request.response;
 };
 
-// Starts the next queued request when possible
+// Queues the request once its credentials are known
+HttpClient.prototype._queue = function (request) {
+  var self = this;
+  this._waiting[request.id] = request;
+  request.abort = function () {
+    request.aborted = true;
+    delete self._waiting[request.id];
+  };
+  this._authenticator.getHeaders(request.url, function (error, credentialHeaders) {
+    delete self._waiting[request.id];
+    if (request.aborted)
+      return;
+    if (error)
+      return request.response.emit('error', error);
+    request.credentialHeaders = credentialHeaders;
+    self._scheduler.add(request);
+    self._startNextRequest();
+  });
+};
+
+/**
+ * Determines whether requests to the given URL are sent with credentials.
+ * @param {string} url The URL of the resource
+ * @returns {boolean} Whether credentials are configured for the URL's origin
+ */
+HttpClient.prototype.hasCredentials = function (url) {
+  return this._authenticator.hasCredentials(url);
+};
+
+// Responds to the request with a fresh cached response, or prepares revalidation of a stale one.
+// Requests that are conditional or time-negotiated by themselves are not answered from the cache.
+HttpClient.prototype._useCache = function (request) {
+  var headers = request.headers;
+  if (headers['if-none-match'] || headers['if-modified-since'] || headers['accept-datetime'])
+    return false;
+  var cached = this._cache.match(request);
+  if (cached && this._cache.isFresh(cached, headers)) {
+    this._logger.info('Reusing cached', request.url);
+    respondFromCache(request, cached);
+    return true;
+  }
+  // Only request the response again if it changed since it was cached
+  if (cached && (cached.headers.etag || cached.headers['last-modified'])) {
+    request.cachedResponse = cached;
+    if (cached.headers.etag)
+      headers['if-none-match'] = cached.headers.etag;
+    if (cached.headers['last-modified'])
+      headers['if-modified-since'] = cached.headers['last-modified'];
+  }
+  return false;
+};
+
+// Starts the next queued requests when possible
 HttpClient.prototype._startNextRequest = function (previousRequest) {
   // Remove a possible previous request from the list of active requests
-  if (previousRequest && delete this._active[previousRequest.id])
+  if (previousRequest && previousRequest.id in this._active) {
+    delete this._active[previousRequest.id];
     this._activeCount--;
-  // Try to start the next request
-  if (this._activeCount < this._maxActiveRequestCount && this._queued.length)
-    this._startRequest(this._queued.shift());
+    this._scheduler.finish(previousRequest);
+  }
+  // Start as many requests as the limits allow
+  var request, self = this;
+  while (this._activeCount < this._maxActiveRequestCount && (request = this._scheduler.next()))
+    this._startRequest(request);
+
+  // Try again when a host that is waiting for its rate limit can receive a new request
+  if (this._activeCount < this._maxActiveRequestCount && !this._wakeUpTimer) {
+    var delay = this._scheduler.getDelay();
+    if (delay < Infinity) {
+      this._wakeUpTimer = setTimeout(function () {
+        self._wakeUpTimer = null;
+        self._startNextRequest();
+      }, delay);
+    }
+  }
 };
 
 // Performs the given request
 HttpClient.prototype._startRequest = function (request) {
   // Initiate the actual HTTP request
-  var httpRequest, self = this;
+  var httpRequest, timeout, finished = false, self = this;
+  request.attempts++;
+  request.abort = abort;
   this._logger.info('Requesting', request.url);
-  try { httpRequest = this._request(request); }
-  catch (error) { return setImmediate(handleRequestError, error); }
 
   // Mark the request as active
   this._activeCount++;
   this._active[request.id] = request;
 
+  try { httpRequest = this._request(request.credentialHeaders ? withCredentials(request) : request); }
+  catch (error) { return setImmediate(handleRequestError, error); }
+
+  // Fail the request if no response arrives in time
+  if (request.timeout) {
+    timeout = setTimeout(function () {
+      var error = new Error('No response within ' + request.timeout + 'ms');
+      error.code = 'ETIMEDOUT';
+      handleRequestError(error);
+      abortHttpRequest();
+    }, request.timeout);
+  }
+
   // Process the HTTP response
   httpRequest.on('response', function (httpResponse) {
-    // Immediately start working on the next request
-    self._startNextRequest(request);
+    if (!finish()) return;
+
+    // Obtain a new token once if the server did not accept the current one
+    var statusCode = httpResponse.statusCode, retryAfter = getRetryAfter(httpResponse.headers);
+    if (statusCode === 401 && !request.reauthorized &&
+        self._authenticator.invalidate(request.url, request.credentialHeaders)) {
+      self._logger.info('Renewing credentials for', request.url);
+      httpResponse.resume && httpResponse.resume(); // discard the body
+      request.reauthorized = true;
+      return self._queue(request);
+    }
+
+    // Retry if the server indicates a temporary problem, unless it asks to wait too long
+    if (self._shouldRetry(request, null, statusCode) && retryAfter <= self._maxRetryDelay) {
+      httpResponse.resume && httpResponse.resume(); // discard the body
+      return self._retry(request, 'status ' + statusCode, retryAfter);
+    }
+    if (statusCode === 429 || statusCode >= 500)
+      self._logger.warning('Giving up on', request.url, 'after', request.attempts, 'attempt(s)');
 
     // Did we ask for a time-negotiated response, but haven't received one?
     if (request.headers['accept-datetime'] && !httpResponse.headers['memento-datetime']) {
@@ -114,44 +255,145 @@ HttpClient.prototype._startRequest = function (request) {
                                             request.method, request.headers);
         request.response.source = timegateResponse;
         request.response.copyProperties(timegateResponse,
-                                        ['statusCode', 'contentType', 'responseTime']);
+                                        ['statusCode', 'contentType', 'headers', 'responseTime']);
         return;
       }
     }
 
+    // If the cached response was not modified, use it with its updated headers
+    if (httpResponse.statusCode === 304 && request.cachedResponse) {
+      httpResponse.resume && httpResponse.resume(); // discard the empty body
+      return respondFromCache(request, self._cache.update(request.cachedResponse, httpResponse.headers));
+    }
+    // Store the response in the cache once its body has been read entirely,
+    // unless it was obtained with credentials that other users of the cache might not have
+    if (self._cache && request.cache && !request.headers['accept-datetime'] && !request.credentialHeaders)
+      cacheResponse(self._cache, request, httpResponse);
+
     // Emit the response and its metadata
     request.response.source = httpResponse;
     request.response.setProperties({
       statusCode: httpResponse.statusCode,
       contentType: (httpResponse.headers['content-type'] || '').replace(/\s*(?:;.*)?$/, ''),
+      headers: httpResponse.headers,
       responseTime: new Date() - request.startTime,
     });
   });
 
-  // In case of error, move the next request and emit the error on the response
+  // In case of error, retry the request or emit the error on the response
   httpRequest.on('error', handleRequestError);
   function handleRequestError(error) {
+    if (!finish() || request.aborted) return;
+    if (self._shouldRetry(request, error))
+      return self._retry(request, error.message);
+    // Explain why a request that failed temporarily did not succeed
+    if (error.code in RETRYABLE_ERRORS)
+      error = new RequestError(request, error);
+    request.response.emit('error', error);
+  }
+
+  // Marks the attempt as finished and starts the next request, returning whether it was still running
+  function finish() {
+    if (finished) return false;
+    finished = true;
+    clearTimeout(timeout);
     self._startNextRequest(request);
-    if (!request.aborted && error.code !== 'ETIMEDOUT')
-      request.response.emit('error', error);
+    return true;
+  }
+
+  // Aborts the underlying HTTP request
+  function abortHttpRequest() {
+    try { httpRequest.abort(); }
+    catch (error) { /* ignore */ }
   }
 
   // Aborts the request
-  request.abort = function () {
+  function abort() {
     if (!request.aborted) {
       request.aborted = true;
-      try { httpRequest.abort(); }
-      catch (error) { /* ignore */ }
-      self._startNextRequest(request);
+      finish();
+      httpRequest && abortHttpRequest();
     }
+  }
+};
+
+// Determines whether the request should be retried after the given error or status code
+HttpClient.prototype._shouldRetry = function (request, error, statusCode) {
+  return request.attempts <= request.retries && request.method in RETRYABLE_METHODS &&
+         (error ? error.code in RETRYABLE_ERRORS : statusCode === 429 || statusCode >= 500 && statusCode !== 501);
+};
+
+// Queues the request again after an exponentially increasing delay with jitter
+HttpClient.prototype._retry = function (request, reason, minDelay) {
+  var self = this,
+      delay = Math.min(this._retryDelay * Math.pow(2, request.attempts - 1), this._maxRetryDelay);
+  delay = Math.max(Math.round(delay / 2 + Math.random() * delay / 2), minDelay || 0);
+  this._logger.warning('Retrying', request.url, 'in', delay + 'ms', '(' + reason + ')');
+
+  var timer = setTimeout(function () {
+    delete self._waiting[request.id];
+    self._queue(request);
+  }, delay);
+  this._waiting[request.id] = request;
+  request.abort = function () {
+    request.aborted = true;
+    clearTimeout(timer);
+    delete self._waiting[request.id];
   };
 };
 
-/** Aborts all active and pending requests. */
+// Creates a copy of the request settings that includes its credential headers
+function withCredentials(request) {
+  return _.assign({}, request, { headers: _.assign({}, request.headers, request.credentialHeaders) });
+}
+
+// Emits the cached response as the response to the request
+function respondFromCache(request, cached) {
+  request.response.source = AsyncIterator.fromArray(cached.body);
+  request.response.setProperties({
+    statusCode: cached.statusCode,
+    contentType: (cached.headers['content-type'] || '').replace(/\s*(?:;.*)?$/, ''),
+    headers: cached.headers,
+    responseTime: new Date() - request.startTime,
+  });
+}
+
+// Records the body of the HTTP response as it is read, and stores the complete response in the cache
+function cacheResponse(cache, request, httpResponse) {
+  var response = request.response, body = [];
+  response._transform = function (chunk, done) {
+    body.push(chunk);
+    this._push(chunk);
+    done();
+  };
+  response.on('end', function () {
+    if (!request.aborted)
+      cache.store(request, httpResponse.statusCode, httpResponse.headers, body);
+  });
+}
+
+// Determines the number of milliseconds to wait according to a Retry-After header
+function getRetryAfter(headers) {
+  var retryAfter = headers['retry-after'];
+  if (!retryAfter)
+    return 0;
+  if (/^\s*\d+\s*$/.test(retryAfter))
+    return parseInt(retryAfter, 10) * 1000;
+  return Math.max(0, (Date.parse(retryAfter) || 0) - Date.now());
+}
+
+/** Aborts all active, waiting, and pending requests. */
 HttpClient.prototype.abortAll = function () {
-  this._queued = [];
-  for (var id in this._active)
+  var id;
+  this._scheduler.clear();
+  clearTimeout(this._wakeUpTimer);
+  this._wakeUpTimer = null;
+  for (id in this._active)
     this._active[id].abort();
+  for (id in this._waiting)
+    this._waiting[id].abort();
 };
 
+HttpClient.RequestError = RequestError;
+
 module.exports = HttpClient;
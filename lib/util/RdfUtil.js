@@ -77,9 +77,19 @@ util.getVariables = function (pattern) {
   if (util.isVariable(pattern.subject))   variables.push(pattern.subject);
   if (util.isVariable(pattern.predicate)) variables.push(pattern.predicate);
   if (util.isVariable(pattern.object))    variables.push(pattern.object);
+  if (typeof pattern.graph === 'string' && util.isVariable(pattern.graph)) variables.push(pattern.graph);
   return variables;
 };
 
+/** Finds the variables that occur anywhere in the (nested) SPARQL patterns. */
+util.findVariables = function (patterns) {
+  return _.uniq(_.flatten(_.map(patterns, function findPatternVariables(value) {
+    if (typeof value === 'string')
+      return util.isVariable(value) ? [value] : [];
+    return _.flatten(_.map(value, findPatternVariables));
+  })));
+};
+
 /** Checks whether the entity represents a variable or blank node. */
 util.isVariableOrBlank = function (entity) {
   return (typeof entity !== 'string') || (entity[0] === '?') ||
@@ -98,25 +108,46 @@ util.tripleFilter = function (triplePattern) {
   var pattern = triplePattern || {},
       subject   = util.isVariableOrBlank(pattern.subject)   ? null : pattern.subject,
       predicate = util.isVariableOrBlank(pattern.predicate) ? null : pattern.predicate,
-      object    = util.isVariableOrBlank(pattern.object)    ? null : pattern.object;
+      object    = util.isVariableOrBlank(pattern.object)    ? null : pattern.object,
+      matchesGraph = util.graphFilter(pattern.graph);
   return function (triple) {
     return (subject === null   || subject   === triple.subject) &&
            (predicate === null || predicate === triple.predicate) &&
-           (object === null    || object    === triple.object);
+           (object === null    || object    === triple.object) &&
+           matchesGraph(triple.graph);
   };
 };
 
+/**
+ * Creates a filter for the graphs of triples that match the given graph of a pattern:
+ * no graph matches the default graph, a variable matches all named graphs,
+ * and an array matches the graphs in the array.
+ */
+util.graphFilter = function (graph) {
+  if (!graph)
+    return function (tripleGraph) { return !tripleGraph; };
+  if (Array.isArray(graph))
+    return function (tripleGraph) { return graph.indexOf(tripleGraph || '') >= 0; };
+  if (util.isVariableOrBlank(graph))
+    return function (tripleGraph) { return !!tripleGraph; };
+  return function (tripleGraph) { return graph === tripleGraph; };
+};
+
 /** Applies the given bindings to the triple or graph pattern, returning a bound copy thereof. */
 util.applyBindings = function (bindings, pattern) {
   // Bind a graph pattern
   if (typeof pattern.map === 'function')
     return pattern.map(function (p) { return util.applyBindings(bindings, p); });
   // Bind a triple pattern
-  return {
+  var boundPattern = {
     subject:   bindings[pattern.subject]   || pattern.subject,
     predicate: bindings[pattern.predicate] || pattern.predicate,
     object:    bindings[pattern.object]    || pattern.object,
   };
+  // Bind the graph of a quad pattern
+  if (pattern.graph)
+    boundPattern.graph = typeof pattern.graph === 'string' && bindings[pattern.graph] || pattern.graph;
+  return boundPattern;
 };
 
 /** Finds the bindings that transform the pattern into the triple. */
@@ -132,6 +163,12 @@ util.extendBindings = function (bindings, triplePattern, boundTriple) {
   util.addBinding(newBindings, triplePattern.subject,   boundTriple.subject);
   util.addBinding(newBindings, triplePattern.predicate, boundTriple.predicate);
   util.addBinding(newBindings, triplePattern.object,    boundTriple.object);
+  // Bind the graph of a quad pattern to a named graph, or check whether the graph matches
+  var graph = triplePattern.graph;
+  if (!util.graphFilter(graph)(boundTriple.graph))
+    throw new Error(['Cannot bind', graph || 'the default graph', 'to', boundTriple.graph || 'the default graph'].join(' '));
+  if (typeof graph === 'string')
+    util.addBinding(newBindings, graph, boundTriple.graph);
   return newBindings;
 };
 
@@ -179,7 +216,7 @@ util.findConnectedPatterns = function (graphPattern) {
   var clusters = graphPattern.map(function (triple) {
         return {
           triples:  [triple],
-          variables: _.values(triple).filter(util.isVariableOrBlank),
+          variables: _.values(triple).filter(isVariableOrBlankString),
         };
       }), commonVar;
 
@@ -204,6 +241,11 @@ util.findConnectedPatterns = function (graphPattern) {
   return _.pluck(clusters, 'triples');
 };
 
+// Array filter that finds variables or blank nodes (but not lists of graphs)
+function isVariableOrBlankString(value) {
+  return typeof value === 'string' && util.isVariableOrBlank(value);
+}
+
 // Array filter that finds values occurring more than once
 function hasDuplicate(value, index, array) {
   return index !== array.lastIndexOf(value);
@@ -223,7 +265,17 @@ namespace('hydra', 'http://www.w3.org/ns/hydra/core#', [
   'search', 'template', 'mapping', 'property', 'variable', 'totalItems',
 ]);
 
-namespace('foaf', 'http://xmlns.com/foaf/0.1/');
+namespace('foaf', 'http://xmlns.com/foaf/0.1/', [
+  'primaryTopic',
+]);
+
+namespace('sd', 'http://www.w3.org/ns/sparql-service-description#', [
+  'graph',
+]);
+
+namespace('sparql', 'http://www.w3.org/ns/sparql#', [
+  'values',
+]);
 
 namespace('dbpedia', 'http://dbpedia.org/resource/');
 namespace('dbpedia-owl', 'http://dbpedia.org/ontology/');
@@ -6,10 +6,13 @@ var EventEmitter = require('events').EventEmitter,
     url = require('url'),
     http = require('follow-redirects').http,
     https = require('follow-redirects').https,
-    zlib = require('zlib');
+    zlib = require('zlib'),
+    getOrigin = require('./Authenticator').getOrigin;
 
-// Try to keep connections open, and set a maximum number of connections per server
-var AGENT_SETTINGS = { keepAlive: true, maxSockets: 5 };
+// Try to keep connections open
+// (the number of connections per server is not capped here, since every HttpClient limits it
+// through its request scheduling, such that configured host limits above 5 can take effect)
+var AGENT_SETTINGS = { keepAlive: true };
 var AGENTS = {
   http:  new http.Agent(AGENT_SETTINGS),
   https: new https.Agent(AGENT_SETTINGS),
@@ -28,12 +31,22 @@ function createRequest(settings) {
   var request, requestProxy = new EventEmitter(),
       requester = settings.protocol === 'http:' ? http : https;
   settings.agents = AGENTS;
+  // Only send credentials to the origin they belong to, also after redirects
+  if (settings.credentialHeaders) {
+    settings.beforeRedirect = function (options) {
+      if (getOrigin(options.href) !== getOrigin(settings.url)) {
+        for (var header in settings.credentialHeaders)
+          delete options.headers[header];
+      }
+    };
+  }
   request = requester.request(settings, function (response) {
     response = decode(response);
     response.setEncoding('utf8');
     response.pause(); // exit flow mode
     requestProxy.emit('response', response);
   });
+  request.on('error', function (error) { requestProxy.emit('error', error); });
   request.end();
   requestProxy.abort = function () { request.abort(); };
   return requestProxy;
@@ -0,0 +1,147 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* A RequestScheduler queues HTTP requests per host and decides which one may start next. */
+
+var url = require('url'),
+    _ = require('lodash');
+
+// Limits of hosts for which no limits are configured
+var DEFAULT_LIMITS = { concurrentRequests: 5, requestsPerSecond: 0, burstSize: 1 };
+
+/**
+ * Creates a new `RequestScheduler`.
+ * @classdesc A `RequestScheduler` keeps a queue of requests for every host.
+ * It only lets requests start while their host has fewer active requests than its concurrency limit,
+ * and while the host's token bucket allows more requests per second.
+ * Hosts that have requests waiting take turns, such that no host can monopolize the requests.
+ * @param {object} [options]
+ * @param {object} [options.hostLimits] Limits per host name (or per URL of a source on that host);
+ *                                      the limits for the `*` key apply to all other hosts.
+ *                                      Limits consist of `concurrentRequests` (default 5),
+ *                                      `requestsPerSecond` (default unlimited), and `burstSize` (default 1).
+ * @constructor
+ */
+function RequestScheduler(options) {
+  if (!(this instanceof RequestScheduler))
+    return new RequestScheduler(options);
+
+  // Index the limits by host name
+  var hostLimits = options && options.hostLimits || {};
+  this._limits = _.transform(hostLimits, function (limits, hostLimit, host) {
+    limits[host === '*' ? host : getHost(host)] = hostLimit;
+  }, {});
+  this._defaultLimits = _.defaults({}, this._limits['*'], DEFAULT_LIMITS);
+
+  this._hosts = {};
+  this._waitingHosts = [];
+  this._position = 0;
+}
+
+/**
+ * Adds the request to the queue of its host.
+ * @param {object} request The request, with its `url`
+ */
+RequestScheduler.prototype.add = function (request) {
+  var host = this._getHost(request);
+  if (!host.queue.length)
+    this._waitingHosts.push(host);
+  host.queue.push(request);
+};
+
+/**
+ * Removes the next request that may start from its queue, and marks it as active.
+ * @returns {?object} The request, or `null` if no queued request may start now
+ */
+RequestScheduler.prototype.next = function () {
+  var hosts = this._waitingHosts, now = Date.now();
+  // Give each host with waiting requests a turn, starting from the one after the previous turn
+  for (var i = 0; i < hosts.length; i++) {
+    var index = (this._position + i) % hosts.length, host = hosts[index];
+    if (host.active < host.maxActive && takeToken(host, now)) {
+      var request = host.queue.shift();
+      host.active++;
+      // Continue with the next host on the next turn
+      if (host.queue.length)
+        this._position = index + 1;
+      else {
+        hosts.splice(index, 1);
+        this._position = index;
+      }
+      return request;
+    }
+  }
+  return null;
+};
+
+/**
+ * Marks the active request as finished.
+ * @param {object} request The request
+ */
+RequestScheduler.prototype.finish = function (request) {
+  this._getHost(request).active--;
+};
+
+/**
+ * Determines how long it takes before a waiting host's requests-per-second limit
+ * allows a new request.
+ * @returns {number} The number of milliseconds, or `Infinity` if no host is waiting for this.
+ */
+RequestScheduler.prototype.getDelay = function () {
+  var now = Date.now();
+  return this._waitingHosts.reduce(function (delay, host) {
+    if (host.active >= host.maxActive)
+      return delay;
+    refillTokens(host, now);
+    return Math.min(delay, host.tokens >= 1 ? 0 : Math.ceil((1 - host.tokens) * 1000 / host.rate));
+  }, Infinity);
+};
+
+/** Removes all queued requests. */
+RequestScheduler.prototype.clear = function () {
+  this._waitingHosts.forEach(function (host) { host.queue = []; });
+  this._waitingHosts = [];
+};
+
+// Gets the state of the host of the request, creating it if necessary
+RequestScheduler.prototype._getHost = function (request) {
+  var name = getHost(request.url), host = this._hosts[name];
+  if (!host) {
+    var limits = _.defaults({}, this._limits[name], this._defaultLimits);
+    host = this._hosts[name] = {
+      name: name,
+      queue: [],
+      active: 0,
+      maxActive: limits.concurrentRequests || Infinity,
+      rate: limits.requestsPerSecond || 0,
+      burstSize: limits.burstSize || 1,
+      tokens: limits.burstSize || 1,
+      updated: Date.now(),
+    };
+  }
+  return host;
+};
+
+// Gets the host of the URL, or the URL itself if it has no host
+function getHost(requestUrl) {
+  return url.parse(requestUrl).host || requestUrl;
+}
+
+// Adds the tokens that the host gained since its last update to its bucket
+function refillTokens(host, now) {
+  if (host.rate) {
+    host.tokens = Math.min(host.burstSize, host.tokens + (now - host.updated) * host.rate / 1000);
+    host.updated = now;
+  }
+}
+
+// Takes a token from the host's bucket, returning whether one was available
+function takeToken(host, now) {
+  if (!host.rate)
+    return true;
+  refillTokens(host, now);
+  if (host.tokens < 1)
+    return false;
+  host.tokens--;
+  return true;
+}
+
+module.exports = RequestScheduler;
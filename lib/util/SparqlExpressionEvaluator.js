@@ -1,14 +1,54 @@
 /*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
 
 var N3Util = require('n3').Util,
+    url = require('url'),
+    crypto = require('crypto'),
     createErrorType = require('./CustomError');
 
 var XSD = 'http://www.w3.org/2001/XMLSchema#',
+    XSD_STRING  = XSD + 'string',
     XSD_INTEGER = XSD + 'integer',
+    XSD_DECIMAL = XSD + 'decimal',
+    XSD_FLOAT   = XSD + 'float',
     XSD_DOUBLE  = XSD + 'double',
     XSD_BOOLEAN = XSD + 'boolean',
+    XSD_DATETIME = XSD + 'dateTime',
+    XSD_DATE    = XSD + 'date',
+    XSD_GYEAR   = XSD + 'gYear',
+    XSD_DAYTIMEDURATION = XSD + 'dayTimeDuration',
     XSD_TRUE  = '"true"^^'  + XSD_BOOLEAN,
-    XSD_FALSE = '"false"^^' + XSD_BOOLEAN;
+    XSD_FALSE = '"false"^^' + XSD_BOOLEAN,
+    RDF_LANGSTRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString';
+
+// Numeric types in order of promotion
+var NUMERIC_TYPES = [XSD_INTEGER, XSD_DECIMAL, XSD_FLOAT, XSD_DOUBLE];
+
+// Types that are derived from xsd:integer
+var INTEGER_TYPES = [
+  'nonPositiveInteger', 'negativeInteger', 'long', 'int', 'short', 'byte', 'nonNegativeInteger',
+  'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte', 'positiveInteger',
+].map(function (type) { return XSD + type; });
+
+// Lexical forms of numeric values
+var NUMERIC_PATTERNS = Object.create(null);
+NUMERIC_PATTERNS[XSD_INTEGER] = /^[+-]?\d+$/;
+NUMERIC_PATTERNS[XSD_DECIMAL] = /^[+-]?(?:\d+(?:\.\d*)?|\.\d+)$/;
+NUMERIC_PATTERNS[XSD_FLOAT]   = /^(?:[+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?|[+-]?INF|NaN)$/;
+NUMERIC_PATTERNS[XSD_DOUBLE]  = NUMERIC_PATTERNS[XSD_FLOAT];
+
+// Lexical forms of xsd:dateTime, xsd:date, and xsd:gYear values
+var DATE_PATTERNS = Object.create(null);
+DATE_PATTERNS[XSD_DATETIME] = /^(-?\d{4,})-(\d\d)-(\d\d)T(\d\d):(\d\d):(\d\d(?:\.\d+)?)(Z|[+-]\d\d:\d\d)?$/;
+DATE_PATTERNS[XSD_DATE]     = /^(-?\d{4,})-(\d\d)-(\d\d)()()()(Z|[+-]\d\d:\d\d)?$/;
+DATE_PATTERNS[XSD_GYEAR]    = /^(-?\d{4,})()()()()()(Z|[+-]\d\d:\d\d)?$/;
+
+// Bindings hold whether EXISTS patterns have solutions under this key
+var EXISTS = '__exists';
+// Bindings that extend a solution refer to that solution under this key
+var SOLUTION = '__solution';
+
+// Identifier of the next scope in which BNODE creates blank nodes
+var blankNodeScopeId = 0;
 
 var evaluators, operators,
     UnsupportedExpressionError, UnsupportedOperatorError, InvalidArgumentsNumberError;
@@ -17,21 +57,155 @@ var evaluators, operators,
  * Creates a function that evaluates the given SPARQL expression.
  * @constructor
  * @param expression a SPARQL expression
+ * @param {Object} [options] evaluation options
+ * @param {Date} [options.now] the time NOW evaluates to (defaults to the creation time of the evaluator)
+ * @param {string} [options.baseIRI] the IRI against which IRI resolves relative IRIs
+ * @param {Object} [options.blankNodes] the scope in which BNODE creates blank nodes,
+ *                                      as created by `SparqlExpressionEvaluator.createBlankNodeScope`
  * @returns {Function} a function that evaluates the SPARQL expression.
  */
-function SparqlExpressionEvaluator(expression) {
+function SparqlExpressionEvaluator(expression, options) {
   if (!expression) return noop;
   var expressionType = expression && expression.type || typeof expression,
       evaluator = evaluators[expressionType];
   if (!evaluator) throw new UnsupportedExpressionError(expressionType);
-  return evaluator(expression);
+  // NOW and BNODE behave consistently for all expressions that share the options
+  if (!options || !options.now || !options.blankNodes) {
+    options = Object.create(options || null);
+    options.now = options.now || new Date();
+    options.blankNodes = options.blankNodes || SparqlExpressionEvaluator.createBlankNodeScope();
+  }
+  return evaluator(expression, options);
 }
 
+/**
+ * Creates a scope in which BNODE creates blank nodes,
+ * such that they are distinct from those in other scopes and in the data.
+ * @returns {Object} the scope
+ */
+SparqlExpressionEvaluator.createBlankNodeScope = function () {
+  // The random part keeps the blank nodes apart from those of other processes
+  var random = Math.floor(Math.random() * 0x100000000).toString(16);
+  return { prefix: '_:bnode' + random + '_' + blankNodeScopeId++ + '_', count: 0 };
+};
+
+/**
+ * Extends the bindings of a solution with a value for the variable,
+ * such that BNODE creates the same blank nodes for the extended bindings as for the solution.
+ * @param {Object} bindings the bindings
+ * @param {string} variable the variable
+ * @param {string} value the value of the variable
+ * @returns {Object} the extended bindings
+ */
+SparqlExpressionEvaluator.extendSolution = function (bindings, variable, value) {
+  var extended = Object.create(null);
+  for (var key in bindings)
+    extended[key] = bindings[key];
+  extended[variable] = value;
+  Object.defineProperty(extended, SOLUTION, { value: bindings[SOLUTION] || bindings });
+  return extended;
+};
+
 // Evaluates the expression with the given bindings
-SparqlExpressionEvaluator.evaluate = function (expression, bindings) {
-  return new SparqlExpressionEvaluator(expression)(bindings);
+SparqlExpressionEvaluator.evaluate = function (expression, bindings, options) {
+  return new SparqlExpressionEvaluator(expression, options)(bindings);
+};
+
+/**
+ * Finds the patterns of EXISTS and NOT EXISTS operations in the expression,
+ * which need to be evaluated before the expression itself.
+ * @param expression a SPARQL expression
+ * @returns {Array} the patterns in the expression
+ */
+SparqlExpressionEvaluator.findExistsPatterns = function (expression) {
+  return collectExistsPatterns(expression, []);
+};
+
+// Adds the patterns of EXISTS and NOT EXISTS operations in the expression to the array
+function collectExistsPatterns(expression, patterns) {
+  if (Array.isArray(expression))
+    expression.forEach(function (item) { collectExistsPatterns(item, patterns); });
+  else if (expression && expression.args) {
+    if (expression.operator === 'exists' || expression.operator === 'notexists')
+      patterns.push(expression.args[0]);
+    else
+      expression.args.forEach(function (arg) { collectExistsPatterns(arg, patterns); });
+  }
+  return patterns;
+}
+
+/**
+ * Extends the bindings with whether the EXISTS patterns have solutions for them.
+ * @param {Object} bindings the bindings
+ * @param {Array} patterns the EXISTS patterns
+ * @param {boolean[]} results whether each of the patterns has solutions
+ * @returns {Object} bindings for which EXISTS operations on the patterns can be evaluated
+ */
+SparqlExpressionEvaluator.extendWithExists = function (bindings, patterns, results) {
+  var extended = Object.create(bindings);
+  extended[EXISTS] = { patterns: patterns, results: results };
+  return extended;
+};
+
+/**
+ * Compares two terms according to the SPARQL ORDER BY rules:
+ * unbound values come first, followed by blank nodes, IRIs, and literals.
+ * Literals are compared by value where possible, and by their string representation otherwise.
+ * @param {string} [a] the first term
+ * @param {string} [b] the second term
+ * @returns {number} a negative number if a comes first, a positive number if b comes first, and 0 otherwise
+ */
+SparqlExpressionEvaluator.compareTerms = function (a, b) {
+  var rankA = getOrderRank(a), rankB = getOrderRank(b);
+  if (rankA !== rankB)
+    return rankA - rankB;
+  if (rankA === 0)
+    return 0;
+  // Compare literals by value if they are comparable
+  if (rankA === 3) {
+    var order;
+    try { order = compare(a, b); }
+    catch (error) { order = NaN; }
+    if (!isNaN(order) && order !== 0)
+      return order;
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
 };
 
+/**
+ * Converts a numeric literal into its value and numeric type,
+ * where types derived from xsd:integer become xsd:integer.
+ * @param {string} literal the numeric literal
+ * @returns {Object} the `value` and `type` of the number
+ * @throws if the literal is not a valid number
+ */
+SparqlExpressionEvaluator.toNumber = toNumber;
+
+/**
+ * Creates a literal of the numeric type for the number.
+ * @param {number} value the number
+ * @param {string} type the numeric type
+ * @returns {string} the literal
+ */
+SparqlExpressionEvaluator.createNumericLiteral = createNumericLiteral;
+
+/**
+ * Determines the type to which both numeric types are promoted in arithmetic.
+ * @param {string} typeA the first numeric type
+ * @param {string} typeB the second numeric type
+ * @returns {string} the promoted type
+ */
+SparqlExpressionEvaluator.promote = promote;
+
+// Returns the rank of the term in the SPARQL ordering of unbound values, blank nodes, IRIs, and literals
+function getOrderRank(term) {
+  if (term === undefined || term === null)
+    return 0;
+  if (N3Util.isBlank(term))
+    return 1;
+  return N3Util.isLiteral(term) ? 3 : 2;
+}
+
 // The null operation
 function noop() { }
 
@@ -51,14 +225,18 @@ evaluators = {
   },
 
   // Evaluates an operation
-  operation: function (expression) {
+  operation: function (expression, options) {
     // Find the operator and check the number of arguments matches the expression
     var operatorName = expression.operator || expression.function,
         operator = operators[operatorName];
     if (!operator)
       throw new UnsupportedOperatorError(operatorName);
-    if (operator.length !== expression.args.length)
-      throw new InvalidArgumentsNumberError(operatorName, expression.args.length, operator.length);
+    var arity = operator.arity || [operator.length, operator.length], argumentCount = expression.args.length;
+    if (argumentCount < arity[0] || argumentCount > arity[1]) {
+      var expectedNumber = arity[0] === arity[1] ? arity[0] :
+                           (arity[1] === Infinity ? 'at least ' + arity[0] : arity[0] + ' to ' + arity[1]);
+      throw new InvalidArgumentsNumberError(operatorName, argumentCount, expectedNumber);
+    }
 
     // Special case: some operators accept expressions instead of evaluated expressions
     if (operator.acceptsExpressions) {
@@ -69,40 +247,52 @@ evaluators = {
       })(operator, expression.args);
     }
 
+    // Special case: some operators evaluate their arguments only when needed
+    if (operator.evaluatesLazily) {
+      return (function (operator, args) {
+        return function (bindings) {
+          return operator.apply(bindings, args);
+        };
+      })(operator, expression.args.map(function createArgument(arg) {
+        // Lists of arguments (such as those of IN) become lists of evaluators
+        return Array.isArray(arg) ? arg.map(createArgument) : new SparqlExpressionEvaluator(arg, options);
+      }));
+    }
+
     // Parse the expressions for each of the arguments
     var argumentExpressions = new Array(expression.args.length);
     for (var i = 0; i < expression.args.length; i++)
-      argumentExpressions[i] = new SparqlExpressionEvaluator(expression.args[i]);
+      argumentExpressions[i] = new SparqlExpressionEvaluator(expression.args[i], options);
 
     // Create a function that evaluates the operator with the arguments and bindings
     return (function (operator, argumentExpressions) {
       return function (bindings) {
         // Evaluate the arguments
-        var args = new Array(argumentExpressions.length),
-            origArgs = new Array(argumentExpressions.length);
+        var args = new Array(argumentExpressions.length);
         for (var i = 0; i < argumentExpressions.length; i++) {
-          var arg = args[i] = origArgs[i] = argumentExpressions[i](bindings);
+          var arg = args[i] = argumentExpressions[i](bindings);
           // If any argument is undefined, the result is undefined
           if (arg === undefined) return;
           // Convert the arguments if necessary
           switch (operator.type) {
           case 'numeric':
-            args[i] = parseFloat(N3Util.getLiteralValue(arg));
+            args[i] = toNumber(arg);
             break;
           case 'boolean':
-            args[i] = arg !== XSD_FALSE &&
-                     (!N3Util.isLiteral(arg) || N3Util.getLiteralValue(arg) !== '0');
+            args[i] = toBoolean(arg);
             break;
           }
         }
-        // Call the operator on the evaluated arguments
-        var result = operator.apply(null, args);
+        // Call the operator on the evaluated arguments (preceded by the bindings if needed), with the options as context
+        var result = operator.apply(options, operator.acceptsBindings ? [bindings].concat(args) : args);
         // Convert result if necessary
         switch (operator.resultType) {
         case 'numeric':
-          // TODO: determine type instead of taking the type of the first argument
-          var type = N3Util.getLiteralType(origArgs[0]) || XSD_INTEGER;
-          return '"' + result + '"^^' + type;
+          // The result has the type to which all arguments are promoted
+          var type = operator.minimumResultType || XSD_INTEGER;
+          for (var j = 0; j < args.length; j++)
+            type = promote(type, args[j].type);
+          return createNumericLiteral(result, type);
         case 'boolean':
           return result ? XSD_TRUE : XSD_FALSE;
         default:
@@ -116,19 +306,25 @@ evaluators.functionCall = evaluators.operation;
 
 // Operators for each of the operator types
 operators = {
-  '+':  function (a, b) { return a  +  b; },
-  '-':  function (a, b) { return a  -  b; },
-  '*':  function (a, b) { return a  *  b; },
-  '/':  function (a, b) { return a  /  b; },
-  '=':  function (a, b) { return a === b; },
-  '!=': function (a, b) { return a !== b; },
-  '<':  function (a, b) { return a  <  b; },
-  '<=': function (a, b) { return a  <= b; },
-  '>':  function (a, b) { return a  >  b; },
-  '>=': function (a, b) { return a  >= b; },
+  '+':  function (a, b) { return a.value + b.value; },
+  '-':  function (a, b) { return a.value - b.value; },
+  '*':  function (a, b) { return a.value * b.value; },
+  '/':  function (a, b) {
+    // Only floats and doubles can be divided by zero
+    var type = promote(a.type, b.type);
+    if (b.value === 0 && type !== XSD_FLOAT && type !== XSD_DOUBLE)
+      throw new Error('Division by zero');
+    return a.value / b.value;
+  },
+  '=':  function (a, b) { return  equals(a, b); },
+  '!=': function (a, b) { return !equals(a, b); },
+  '<':  function (a, b) { return compare(a, b) <  0; },
+  '<=': function (a, b) { return compare(a, b) <= 0; },
+  '>':  function (a, b) { return compare(a, b) >  0; },
+  '>=': function (a, b) { return compare(a, b) >= 0; },
   '!':  function (a)    { return !a;      },
-  '&&': function (a, b) { return a &&  b; },
-  '||': function (a, b) { return a ||  b; },
+  '&&': function (a, b) { return evaluateLogical(this, a, b, false); },
+  '||': function (a, b) { return evaluateLogical(this, a, b, true);  },
   'lang': function (a)    {
     return '"' + N3Util.getLiteralLanguage(a).toLowerCase() + '"';
   },
@@ -140,62 +336,712 @@ operators = {
     string = N3Util.getLiteralValue(string);
     return string.indexOf(substring) >= 0;
   },
-  'regex': function (subject, pattern) {
-    if (N3Util.isLiteral(subject))
-      subject = N3Util.getLiteralValue(subject);
-    return new RegExp(N3Util.getLiteralValue(pattern)).test(subject);
+  'regex': function (subject, pattern, flags) {
+    return createRegExp(pattern, flags).test(getStringValue(subject));
+  },
+  'strlen': function (string) {
+    return '"' + toCharacters(getStringValue(string)).length + '"^^' + XSD_INTEGER;
+  },
+  'substr': function (string, start, length) {
+    // Characters are counted from 1, and positions are rounded
+    var characters = toCharacters(getStringValue(string)),
+        from = Math.round(getNumericValue(start)),
+        to = length === undefined ? Infinity : from + Math.round(getNumericValue(length));
+    from = Math.max(from, 1), to = Math.max(to, from);
+    return createStringLiteral(characters.slice(from - 1, to - 1).join(''), string);
+  },
+  'ucase': function (string) {
+    return createStringLiteral(getStringValue(string).toUpperCase(), string);
+  },
+  'lcase': function (string) {
+    return createStringLiteral(getStringValue(string).toLowerCase(), string);
+  },
+  'strstarts': function (string, prefix) {
+    prefix = getCompatibleStringValue(string, prefix);
+    return getStringValue(string).substr(0, prefix.length) === prefix;
+  },
+  'strends': function (string, suffix) {
+    suffix = getCompatibleStringValue(string, suffix);
+    string = getStringValue(string);
+    return string.length >= suffix.length && string.substr(string.length - suffix.length) === suffix;
+  },
+  'strbefore': function (string, separator) {
+    var value = getStringValue(string), index = value.indexOf(getCompatibleStringValue(string, separator));
+    // If the separator does not occur, the result is the empty simple literal
+    return index < 0 ? '""' : createStringLiteral(value.substr(0, index), string);
+  },
+  'strafter': function (string, separator) {
+    var value = getStringValue(string), separatorValue = getCompatibleStringValue(string, separator),
+        index = value.indexOf(separatorValue);
+    // If the separator does not occur, the result is the empty simple literal
+    return index < 0 ? '""' : createStringLiteral(value.substr(index + separatorValue.length), string);
+  },
+  'encode_for_uri': function (string) {
+    // Percent-encode all characters except unreserved ones
+    return '"' + encodeURIComponent(getStringValue(string)).replace(/[!'()*]/g, function (character) {
+      return '%' + character.charCodeAt(0).toString(16).toUpperCase();
+    }) + '"';
+  },
+  'concat': function () {
+    // The result only keeps a language or datatype if all arguments have the same
+    var strings = Array.prototype.slice.call(arguments), values = strings.map(getStringValue),
+        suffixes = strings.map(getLiteralSuffix), commonSuffix = suffixes[0];
+    for (var i = 1; i < suffixes.length; i++) {
+      if (suffixes[i] !== commonSuffix)
+        commonSuffix = '';
+    }
+    return '"' + values.join('') + '"' + (commonSuffix || '');
+  },
+  'replace': function (string, pattern, replacement, flags) {
+    var value = getStringValue(string), regex = createRegExp(pattern, flags, true);
+    return createStringLiteral(value.replace(regex, createReplacement(replacement)), string);
   },
   'str': function (a) {
     return N3Util.isLiteral(a) ? a : '"' + a + '"';
   },
+  'http://www.w3.org/2001/XMLSchema#string': function (a) {
+    // IRIs are cast to their string, numbers to their canonical form, and other literals to their lexical form
+    if (N3Util.isBlank(a) || N3Util.isLiteral(a) && N3Util.getLiteralType(a) === RDF_LANGSTRING)
+      throw new Error(a + ' cannot be cast to ' + XSD_STRING);
+    var type = getNumericType(a), lexical = N3Util.isLiteral(a) ? N3Util.getLiteralValue(a) : a;
+    if (type && NUMERIC_PATTERNS[type].test(lexical))
+      lexical = toCanonicalString(lexical, type);
+    return '"' + lexical + '"';
+  },
+  'http://www.w3.org/2001/XMLSchema#boolean': function (a) {
+    var type = N3Util.isLiteral(a) && N3Util.getLiteralType(a), value;
+    // Strings and booleans are cast by their lexical form, and numbers are true if non-zero
+    if (type === XSD_STRING || type === XSD_BOOLEAN) {
+      var lexical = N3Util.getLiteralValue(a).trim();
+      if (!/^(?:true|false|1|0)$/.test(lexical))
+        throw new Error(a + ' cannot be cast to ' + XSD_BOOLEAN);
+      value = lexical === 'true' || lexical === '1';
+    }
+    else if (getNumericType(a))
+      value = castNumber(a, XSD_DOUBLE), value = value !== 0 && !isNaN(value);
+    else
+      throw new Error(a + ' cannot be cast to ' + XSD_BOOLEAN);
+    return value ? XSD_TRUE : XSD_FALSE;
+  },
   'http://www.w3.org/2001/XMLSchema#integer': function (a) {
-    return '"' + Math.floor(a) + '"^^http://www.w3.org/2001/XMLSchema#integer';
+    // Numbers are truncated towards zero
+    var value = castNumber(a, XSD_INTEGER);
+    return createNumericLiteral(value < 0 ? Math.ceil(value) : Math.floor(value), XSD_INTEGER);
+  },
+  'http://www.w3.org/2001/XMLSchema#decimal': function (a) {
+    return createNumericLiteral(castNumber(a, XSD_DECIMAL), XSD_DECIMAL);
+  },
+  'http://www.w3.org/2001/XMLSchema#float': function (a) {
+    return createFloatingPointLiteral(castNumber(a, XSD_FLOAT), XSD_FLOAT);
   },
   'http://www.w3.org/2001/XMLSchema#double': function (a) {
-    a = a.toFixed();
-    if (a.indexOf('.') < 0) a += '.0';
-    return '"' + a + '"^^http://www.w3.org/2001/XMLSchema#double';
+    return createFloatingPointLiteral(castNumber(a, XSD_DOUBLE), XSD_DOUBLE);
+  },
+  'abs':   function (a) { return Math.abs(a.value);   },
+  'round': function (a) { return Math.round(a.value); },
+  'ceil':  function (a) { return Math.ceil(a.value);  },
+  'floor': function (a) { return Math.floor(a.value); },
+  'rand': function () {
+    return createNumericLiteral(Math.random(), XSD_DOUBLE);
+  },
+  'md5':    function (a) { return hash('md5',    a); },
+  'sha1':   function (a) { return hash('sha1',   a); },
+  'sha256': function (a) { return hash('sha256', a); },
+  'sha384': function (a) { return hash('sha384', a); },
+  'sha512': function (a) { return hash('sha512', a); },
+  'now': function () {
+    return '"' + this.now.toISOString() + '"^^' + XSD_DATETIME;
+  },
+  'year': function (date) {
+    return '"' + parseDate(date).year + '"^^' + XSD_INTEGER;
+  },
+  'month': function (date) {
+    return '"' + parseDate(date, XSD_DATE).month + '"^^' + XSD_INTEGER;
+  },
+  'day': function (date) {
+    return '"' + parseDate(date, XSD_DATE).day + '"^^' + XSD_INTEGER;
+  },
+  'hours': function (dateTime) {
+    return '"' + parseDate(dateTime, XSD_DATETIME).hours + '"^^' + XSD_INTEGER;
+  },
+  'minutes': function (dateTime) {
+    return '"' + parseDate(dateTime, XSD_DATETIME).minutes + '"^^' + XSD_INTEGER;
+  },
+  'seconds': function (dateTime) {
+    return createNumericLiteral(parseDate(dateTime, XSD_DATETIME).seconds, XSD_DECIMAL);
+  },
+  'timezone': function (dateTime) {
+    var offset = parseDate(dateTime, XSD_DATETIME).timezoneOffset;
+    if (offset === null)
+      throw new Error(dateTime + ' has no timezone');
+    // Express the offset as a duration such as -PT5H30M
+    var hours = Math.floor(Math.abs(offset) / 60), minutes = Math.abs(offset) % 60;
+    return '"' + (offset < 0 ? '-' : '') + 'PT' + (hours ? hours + 'H' : '') +
+           (minutes ? minutes + 'M' : '') + (offset ? '' : '0S') + '"^^' + XSD_DAYTIMEDURATION;
+  },
+  'tz': function (dateTime) {
+    return '"' + parseDate(dateTime, XSD_DATETIME).timezone + '"';
+  },
+  'http://www.w3.org/2001/XMLSchema#dateTime': function (a) {
+    var date = castDate(a, XSD_DATETIME);
+    return '"' + date.lexicalDate + 'T' + (date.lexicalTime || '00:00:00') + date.timezone + '"^^' + XSD_DATETIME;
+  },
+  'http://www.w3.org/2001/XMLSchema#date': function (a) {
+    var date = castDate(a, XSD_DATE);
+    return '"' + date.lexicalDate + date.timezone + '"^^' + XSD_DATE;
+  },
+  'http://www.w3.org/2001/XMLSchema#gYear': function (a) {
+    var date = castDate(a, XSD_GYEAR);
+    return '"' + date.lexicalYear + date.timezone + '"^^' + XSD_GYEAR;
+  },
+  'isiri': function (a) {
+    return !N3Util.isLiteral(a) && !N3Util.isBlank(a);
+  },
+  'isblank': function (a) {
+    return N3Util.isBlank(a);
+  },
+  'isliteral': function (a) {
+    return N3Util.isLiteral(a);
+  },
+  'isnumeric': function (a) {
+    // Numeric literals with an invalid lexical form are not numeric
+    var type = getNumericType(a);
+    return !!type && NUMERIC_PATTERNS[type].test(N3Util.getLiteralValue(a));
+  },
+  'datatype': function (a) {
+    if (!N3Util.isLiteral(a))
+      throw new Error(a + ' is not a literal');
+    return N3Util.getLiteralType(a);
+  },
+  'iri': function (a) {
+    if (N3Util.isBlank(a))
+      throw new Error(a + ' is not an IRI or a string');
+    // Strings are resolved against the base IRI
+    return N3Util.isLiteral(a) ? url.resolve(this.baseIRI || '', getSimpleStringValue(a)) : a;
+  },
+  'bnode': function (bindings, label) {
+    var blankNodes = this.blankNodes;
+    if (label === undefined)
+      return blankNodes.prefix + blankNodes.count++;
+    // The same label results in the same blank node within a solution,
+    // so the solution keeps the blank nodes of its labels for this scope
+    var value = getSimpleStringValue(label), solution = bindings && (bindings[SOLUTION] || bindings),
+        labels = solution && solution[blankNodes.prefix];
+    if (!solution)
+      return blankNodes.prefix + blankNodes.count++;
+    if (!labels)
+      Object.defineProperty(solution, blankNodes.prefix, { value: labels = Object.create(null) });
+    return labels[value] || (labels[value] = blankNodes.prefix + blankNodes.count++);
+  },
+  'strdt': function (string, datatype) {
+    if (N3Util.isLiteral(datatype) || N3Util.isBlank(datatype))
+      throw new Error(datatype + ' is not an IRI');
+    return '"' + getSimpleStringValue(string) + '"^^' + datatype;
+  },
+  'strlang': function (string, language) {
+    language = getSimpleStringValue(language);
+    if (!/^[a-z]+(?:-[a-z0-9]+)*$/i.test(language))
+      throw new Error(language + ' is not a valid language tag');
+    return '"' + getSimpleStringValue(string) + '"@' + language.toLowerCase();
+  },
+  'uuid': function () {
+    return 'urn:uuid:' + createUuid();
+  },
+  'struuid': function () {
+    return '"' + createUuid() + '"';
+  },
+  'sameterm': function (a, b) {
+    return a === b;
+  },
+  'if': function (condition, a, b) {
+    // The condition is evaluated first, and only the chosen expression after it
+    condition = condition(this);
+    if (condition === undefined)
+      return;
+    return toBoolean(condition) ? a(this) : b(this);
+  },
+  'coalesce': function () {
+    // Return the value of the first expression that evaluates without error
+    for (var i = 0; i < arguments.length; i++) {
+      var value;
+      try { value = arguments[i](this); }
+      catch (error) { value = undefined; }
+      if (value !== undefined)
+        return value;
+    }
+  },
+  'in': function (term, list) {
+    return isInList(this, term, list) ? XSD_TRUE : XSD_FALSE;
+  },
+  'notin': function (term, list) {
+    return isInList(this, term, list) ? XSD_FALSE : XSD_TRUE;
   },
   'bound': function (a) {
     if (a[0] !== '?')
       throw new Error('BOUND expects a variable but got: ' + a);
     return a in this ? XSD_TRUE : XSD_FALSE;
   },
+  'exists': function (pattern) {
+    return patternExists(this, pattern) ? XSD_TRUE : XSD_FALSE;
+  },
+  'notexists': function (pattern) {
+    return patternExists(this, pattern) ? XSD_FALSE : XSD_TRUE;
+  },
 };
 
+// Determines the effective boolean value of the term
+function toBoolean(term) {
+  return term !== XSD_FALSE && (!N3Util.isLiteral(term) || N3Util.getLiteralValue(term) !== '0');
+}
+
+// Evaluates the expression (with the bindings) to its effective boolean value,
+// returning instead of throwing any error such that logical operators can recover from it
+function evaluateBoolean(bindings, expression) {
+  try {
+    var value = expression(bindings);
+    return value === undefined ? value : toBoolean(value);
+  }
+  catch (error) { return error; }
+}
+
+// Evaluates the logical operator that results in the decisive value as soon as one operand has it,
+// such that an error or unbound value in the other operand does not matter (for instance, true || error = true)
+function evaluateLogical(bindings, a, b, decisiveValue) {
+  var left = evaluateBoolean(bindings, a), right;
+  if (left !== decisiveValue)
+    right = evaluateBoolean(bindings, b);
+  if (left === decisiveValue || right === decisiveValue)
+    return decisiveValue ? XSD_TRUE : XSD_FALSE;
+  // Otherwise, an error in either operand is an error of the operator
+  if (left instanceof Error)
+    throw left;
+  if (right instanceof Error)
+    throw right;
+  if (left !== undefined && right !== undefined)
+    return decisiveValue ? XSD_FALSE : XSD_TRUE;
+}
+
+// Determines whether the term is equal to one of the terms in the list (with the bindings),
+// throwing an error if it is not but the comparison with at least one of them failed
+function isInList(bindings, term, list) {
+  term = term(bindings);
+  if (term === undefined)
+    throw new Error('IN requires a bound term');
+  var listError = null;
+  for (var i = 0; i < list.length; i++) {
+    try {
+      var item = list[i](bindings);
+      if (item === undefined)
+        throw new Error('IN requires bound list items');
+      if (equals(term, item))
+        return true;
+    }
+    catch (error) { listError = error; }
+  }
+  if (listError)
+    throw listError;
+  return false;
+}
+
+// Returns the numeric type of the literal (with integer subtypes as xsd:integer),
+// or null if the literal is not numeric
+function getNumericType(literal) {
+  var type = N3Util.isLiteral(literal) && N3Util.getLiteralType(literal);
+  if (INTEGER_TYPES.indexOf(type) >= 0)
+    return XSD_INTEGER;
+  return NUMERIC_TYPES.indexOf(type) >= 0 ? type : null;
+}
+
+// Converts the numeric literal into a number with a type
+function toNumber(literal) {
+  var type = getNumericType(literal);
+  if (!type)
+    throw new Error(literal + ' is not a number');
+  var lexical = N3Util.getLiteralValue(literal),
+      value = lexical === 'INF' ? Infinity : (lexical === '-INF' ? -Infinity : parseFloat(lexical));
+  if (isNaN(value) && lexical !== 'NaN')
+    throw new Error(literal + ' is not a valid number');
+  return { value: value, type: type };
+}
+
+// Creates a literal of the numeric type for the number
+function createNumericLiteral(value, type) {
+  var lexical = isFinite(value) ? String(value) : (isNaN(value) ? 'NaN' : (value > 0 ? 'INF' : '-INF'));
+  // Integers and decimals cannot be written with an exponent
+  if ((type === XSD_INTEGER || type === XSD_DECIMAL) && isFinite(value))
+    lexical = toPlainDigits(value);
+  if (type === XSD_DECIMAL && isFinite(value) && lexical.indexOf('.') < 0)
+    lexical += '.0';
+  return '"' + lexical + '"^^' + type;
+}
+
+// Writes the finite number in plain decimal digits, expanding any exponent
+function toPlainDigits(value) {
+  var match = /^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/.exec(String(value));
+  if (!match)
+    return String(value);
+  var digits = match[2] + (match[3] || ''), exponent = parseInt(match[4], 10);
+  return match[1] + (exponent < 0 ? '0.' + new Array(-exponent).join('0') + digits :
+                                    digits + new Array(exponent - digits.length + 2).join('0'));
+}
+
+// Returns the canonical form of the valid numeric lexical value when cast to a string
+function toCanonicalString(lexical, type) {
+  // Integers and decimals lose their sign, leading zeros, and trailing fractional zeros
+  if (type === XSD_INTEGER || type === XSD_DECIMAL) {
+    var match = /^([+-]?)0*(\d*)(?:\.(\d*?)0*)?$/.exec(lexical),
+        integer = match[2] || '0', fraction = match[3] ? '.' + match[3] : '';
+    return (match[1] === '-' && /[1-9]/.test(integer + fraction) ? '-' : '') + integer + fraction;
+  }
+  // Floating-point numbers are written as decimals if they have a moderate size
+  var value = toNumber('"' + lexical + '"^^' + type).value;
+  if (!isFinite(value))
+    return lexical;
+  if (value === 0)
+    return 1 / value < 0 ? '-0' : '0';
+  if (Math.abs(value) >= 1e-6 && Math.abs(value) < 1e6)
+    return String(value);
+  // and otherwise with a mantissa and an exponent
+  var parts = value.toExponential().split('e');
+  return parts[0] + (parts[0].indexOf('.') < 0 ? '.0' : '') + 'E' + parts[1].replace('+', '');
+}
+
+// Creates a literal of the float or double type for the number,
+// where finite numbers always have a fractional part or exponent
+function createFloatingPointLiteral(value, type) {
+  var literal = createNumericLiteral(value, type);
+  return !isFinite(value) || /[.e]/.test(String(value)) ? literal : literal.replace(/"\^\^/, '.0"^^');
+}
+
+// Converts the literal into a number for casting to the given numeric type
+function castNumber(literal, type) {
+  var literalType = N3Util.isLiteral(literal) && N3Util.getLiteralType(literal),
+      numericType = getNumericType(literal), lexical, value;
+  // Strings are cast by parsing them as the target type
+  if (literalType === XSD_STRING) {
+    lexical = N3Util.getLiteralValue(literal).trim();
+    if (!NUMERIC_PATTERNS[type].test(lexical))
+      throw new Error(literal + ' cannot be cast to ' + type);
+    value = toNumber('"' + lexical + '"^^' + type).value;
+  }
+  // Booleans are cast to 1 or 0
+  else if (literalType === XSD_BOOLEAN) {
+    lexical = N3Util.getLiteralValue(literal);
+    if (!/^(?:true|false|1|0)$/.test(lexical))
+      throw new Error(literal + ' is not a valid boolean');
+    value = lexical === 'true' || lexical === '1' ? 1 : 0;
+  }
+  // Numbers are cast by value
+  else if (numericType) {
+    if (!NUMERIC_PATTERNS[numericType].test(N3Util.getLiteralValue(literal)))
+      throw new Error(literal + ' is not a valid number');
+    value = toNumber(literal).value;
+  }
+  else
+    throw new Error(literal + ' cannot be cast to ' + type);
+  // Integers and decimals have no special values
+  if (!isFinite(value) && (type === XSD_INTEGER || type === XSD_DECIMAL))
+    throw new Error(literal + ' cannot be cast to ' + type);
+  return value;
+}
+
+// Returns the type both numeric types should be promoted to
+function promote(typeA, typeB) {
+  return NUMERIC_TYPES[Math.max(NUMERIC_TYPES.indexOf(typeA), NUMERIC_TYPES.indexOf(typeB))];
+}
+
+// Returns the kind of values the term can be compared to by value (numeric, string, boolean, or dateTime),
+// or null if the term cannot be compared by value
+function getComparisonType(term) {
+  if (!N3Util.isLiteral(term))
+    return null;
+  if (getNumericType(term))
+    return 'numeric';
+  var type = N3Util.getLiteralType(term);
+  return type === XSD_STRING || type === XSD_BOOLEAN || type in DATE_PATTERNS ? type : null;
+}
+
+// Returns the value of the literal with the given comparison type
+function getComparableValue(literal, comparisonType) {
+  switch (comparisonType) {
+  case 'numeric':
+    return toNumber(literal).value;
+  case XSD_BOOLEAN:
+    var lexical = N3Util.getLiteralValue(literal);
+    return lexical === 'true' || lexical === '1' ? 1 : 0;
+  case XSD_DATETIME:
+  case XSD_DATE:
+  case XSD_GYEAR:
+    return parseDate(literal).time;
+  default:
+    return N3Util.getLiteralValue(literal);
+  }
+}
+
+// Compares two literals by value, returning a negative number, zero, or a positive number,
+// or NaN if a value is not a number; throws if the literals cannot be compared
+function compare(a, b) {
+  var comparisonType = getComparisonType(a);
+  if (!comparisonType || comparisonType !== getComparisonType(b))
+    throw new Error('Cannot compare ' + a + ' and ' + b);
+  a = getComparableValue(a, comparisonType);
+  b = getComparableValue(b, comparisonType);
+  return a < b ? -1 : (a > b ? 1 : (a === b ? 0 : NaN));
+}
+
+// Determines whether two terms are equal: comparable literals are equal if they have the same value,
+// language-tagged literals are equal if they have the same value and language,
+// and other terms are equal if they are the same term
+function equals(a, b) {
+  var comparisonType = getComparisonType(a);
+  if (comparisonType && comparisonType === getComparisonType(b))
+    return compare(a, b) === 0;
+  if (a === b)
+    return true;
+  // Distinct literals can only be unequal if their datatypes are known
+  if (N3Util.isLiteral(a) && N3Util.isLiteral(b)) {
+    var typeA = N3Util.getLiteralType(a), typeB = N3Util.getLiteralType(b);
+    if (typeA === RDF_LANGSTRING && typeB === RDF_LANGSTRING) {
+      return N3Util.getLiteralValue(a) === N3Util.getLiteralValue(b) &&
+             N3Util.getLiteralLanguage(a) === N3Util.getLiteralLanguage(b);
+    }
+    if (!(getComparisonType(a) || typeA === RDF_LANGSTRING) || !(getComparisonType(b) || typeB === RDF_LANGSTRING))
+      throw new Error('Cannot compare ' + a + ' and ' + b);
+  }
+  return false;
+}
+
+// Parses the components of an xsd:dateTime, xsd:date, or xsd:gYear literal,
+// optionally requiring the literal to have at least the precision of the given type
+function parseDate(literal, minimumType) {
+  var type = N3Util.isLiteral(literal) && N3Util.getLiteralType(literal),
+      match = matchDate(N3Util.getLiteralValue(literal), type);
+  if (!match || minimumType === XSD_DATETIME && type !== XSD_DATETIME ||
+                minimumType === XSD_DATE && type === XSD_GYEAR)
+    throw new Error(literal + ' is not a valid ' + (minimumType || 'date'));
+  return createDate(match);
+}
+
+// Matches the value against the lexical form of the given date type,
+// also verifying that its components are within their ranges
+function matchDate(value, type) {
+  var match = DATE_PATTERNS[type] && DATE_PATTERNS[type].exec(value);
+  if (!match)
+    return null;
+  var year = parseInt(match[1], 10), month = parseInt(match[2] || 1, 10), day = parseInt(match[3] || 1, 10),
+      hours = parseInt(match[4] || 0, 10), minutes = parseInt(match[5] || 0, 10), seconds = parseFloat(match[6] || 0),
+      timezone = match[7] || 'Z', timezoneHours = parseInt(timezone.substr(1, 2), 10) || 0,
+      timezoneMinutes = parseInt(timezone.substr(4, 2), 10) || 0;
+  // Determine the number of days in the month
+  var leapYear = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0),
+      monthLength = month === 2 ? (leapYear ? 29 : 28) : /^(?:4|6|9|11)$/.test(month) ? 30 : 31;
+  // The time 24:00:00 is allowed as the end of the day
+  var valid = month >= 1 && month <= 12 && day >= 1 && day <= monthLength &&
+              (hours < 24 && minutes < 60 && seconds < 60 || hours === 24 && minutes === 0 && seconds === 0) &&
+              timezoneMinutes < 60 && timezoneHours * 60 + timezoneMinutes <= 14 * 60;
+  return valid ? match : null;
+}
+
+// Creates a date from the matched components of a date pattern
+function createDate(match) {
+  var date = {
+    year: parseInt(match[1], 10), month: parseInt(match[2] || 1, 10), day: parseInt(match[3] || 1, 10),
+    hours: parseInt(match[4] || 0, 10), minutes: parseInt(match[5] || 0, 10), seconds: parseFloat(match[6] || 0),
+    timezone: match[7] || '', timezoneOffset: null,
+    lexicalYear: match[1], lexicalDate: match[3] && match[1] + '-' + match[2] + '-' + match[3],
+    lexicalTime: match[4] && match[4] + ':' + match[5] + ':' + match[6],
+  };
+  if (date.timezone) {
+    date.timezoneOffset = date.timezone === 'Z' ? 0 : (date.timezone[0] === '-' ? -1 : 1) *
+      (parseInt(date.timezone.substr(1, 2), 10) * 60 + parseInt(date.timezone.substr(4, 2), 10));
+  }
+  // Determine the point in time, assuming UTC for dates without timezone
+  var time = new Date(0);
+  time.setUTCFullYear(date.year, date.month - 1, date.day);
+  time.setUTCHours(date.hours, date.minutes - (date.timezoneOffset || 0), 0, date.seconds * 1000);
+  date.time = time.getTime();
+  return date;
+}
+
+// Parses a date literal or string for casting to the given date type
+function castDate(literal, type) {
+  var literalType = N3Util.isLiteral(literal) && N3Util.getLiteralType(literal);
+  // Strings are cast by parsing them as the target type
+  if (literalType === XSD_STRING) {
+    var match = matchDate(N3Util.getLiteralValue(literal), type);
+    if (!match)
+      throw new Error(literal + ' cannot be cast to ' + type);
+    return createDate(match);
+  }
+  // Dates are cast by keeping the components they have in common
+  return parseDate(literal, type === XSD_GYEAR ? null : XSD_DATE);
+}
+
+// Returns the lexical value of a simple, language-tagged, or xsd:string literal
+function getStringValue(literal) {
+  var type = N3Util.isLiteral(literal) && N3Util.getLiteralType(literal);
+  if (type !== XSD_STRING && type !== RDF_LANGSTRING)
+    throw new Error(literal + ' is not a string literal');
+  return N3Util.getLiteralValue(literal);
+}
+
+// Returns the lexical value of a string literal that is argument-compatible with the other string,
+// i.e., that has no language or the same language
+function getCompatibleStringValue(string, literal) {
+  var value = getStringValue(literal), language = N3Util.getLiteralLanguage(literal);
+  if (language && language !== N3Util.getLiteralLanguage(string))
+    throw new Error(literal + ' is not compatible with ' + string);
+  return value;
+}
+
+// Returns the lexical value of a simple or xsd:string literal
+function getSimpleStringValue(literal) {
+  var value = getStringValue(literal);
+  if (N3Util.getLiteralLanguage(literal))
+    throw new Error(literal + ' is not a simple literal');
+  return value;
+}
+
+// Returns the numeric value of a literal
+function getNumericValue(literal) {
+  var value = parseFloat(N3Util.getLiteralValue(literal));
+  if (isNaN(value))
+    throw new Error(literal + ' is not a number');
+  return value;
+}
+
+// Returns the language tag or datatype of the literal (including "@" or "^^")
+function getLiteralSuffix(literal) {
+  return literal.substr(literal.lastIndexOf('"') + 1);
+}
+
+// Creates a literal with the value and the same language or datatype as the string literal
+function createStringLiteral(value, string) {
+  return '"' + value + '"' + getLiteralSuffix(string);
+}
+
+// Splits the string into characters, keeping surrogate pairs together
+function toCharacters(string) {
+  return string.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[^]/g) || [];
+}
+
+// Returns the hexadecimal digest of the string with the given hash algorithm as a simple literal
+function hash(algorithm, string) {
+  return '"' + crypto.createHash(algorithm).update(getSimpleStringValue(string), 'utf8').digest('hex') + '"';
+}
+
+// Creates a random (version 4) UUID
+function createUuid() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (character) {
+    var random = Math.random() * 16 | 0;
+    return (character === 'x' ? random : random & 0x3 | 0x8).toString(16);
+  });
+}
+
+// Creates a regular expression from a SPARQL pattern and flags
+function createRegExp(pattern, flags, global) {
+  pattern = getStringValue(pattern);
+  flags = flags === undefined ? '' : getStringValue(flags);
+  if (/[^smix]/.test(flags))
+    throw new Error('Invalid regular expression flags: ' + flags);
+  // JavaScript has no x flag, so remove whitespace outside of character classes instead
+  if (flags.indexOf('x') >= 0) {
+    flags = flags.replace('x', '');
+    pattern = pattern.replace(/(\[(?:\\.|[^\]])*\])|\s+/g, function (match, characterClass) {
+      return characterClass || '';
+    });
+  }
+  return new RegExp(pattern, global ? flags + 'g' : flags);
+}
+
+// Converts an XPath replacement string into its JavaScript equivalent
+function createReplacement(replacement) {
+  replacement = getStringValue(replacement);
+  if (/\$(?!\d)|\\(?![\\$])/.test(replacement.replace(/\\[\\$]/g, '')))
+    throw new Error('Invalid replacement string: ' + replacement);
+  return replacement.replace(/\\([\\$])|\$(\d)|\$/g, function (match, escaped, group) {
+    // Escapes become literal characters, and $0 refers to the entire match
+    if (escaped)
+      return escaped === '$' ? '$$' : escaped;
+    return group === '0' ? '$&' : match;
+  });
+}
+
+// Determines whether the pattern has solutions for the bindings,
+// as indicated through SparqlExpressionEvaluator.extendWithExists
+function patternExists(bindings, pattern) {
+  var exists = bindings && bindings[EXISTS],
+      index = exists ? exists.patterns.indexOf(pattern) : -1;
+  if (index < 0)
+    throw new Error('EXISTS pattern has not been evaluated for the bindings');
+  return exists.results[index];
+}
+
+// Register the alternative names of operators
+operators.isuri = operators.isiri;
+operators.uri = operators.iri;
+operators.BNODE = operators.bnode;
+
 // Tag all operators that expect their arguments to be numeric
-// TODO: Comparison operators can take simple literals and strings as well
 [
-  '+', '-', '*', '/', '<', '<=', '>', '>=',
-  XSD_INTEGER, XSD_DOUBLE,
+  '+', '-', '*', '/', 'abs', 'round', 'ceil', 'floor',
 ].forEach(function (operatorName) {
   operators[operatorName].type = 'numeric';
 });
 
+// Dividing integers results in a decimal
+operators['/'].minimumResultType = XSD_DECIMAL;
+
 // Tag all operators that expect their arguments to be boolean
 [
-  '!', '&&', '||',
+  '!',
 ].forEach(function (operatorName) {
   operators[operatorName].type = 'boolean';
 });
 
 // Tag all operators that have numeric results
 [
-  '+', '-', '*', '/',
+  '+', '-', '*', '/', 'abs', 'round', 'ceil', 'floor',
 ].forEach(function (operatorName) {
   operators[operatorName].resultType = 'numeric';
 });
 
 // Tag all operators that have boolean results
 [
-  '!', '&&', '||', '=', '!=', '<', '<=', '>', '>=',
-  'langmatches', 'contains', 'regex',
+  '!', '=', '!=', '<', '<=', '>', '>=',
+  'langmatches', 'contains', 'regex', 'strstarts', 'strends',
+  'isiri', 'isblank', 'isliteral', 'isnumeric', 'sameterm',
 ].forEach(function (operatorName) {
   operators[operatorName].resultType = 'boolean';
 });
 
+// Tag all operators that take a variable number of arguments with their minimum and maximum number
+[
+  ['substr', 2, 3], ['regex', 2, 3], ['replace', 3, 4], ['concat', 0, Infinity], ['bnode', 0, 1], ['coalesce', 0, Infinity],
+].forEach(function (arity) {
+  operators[arity[0]].arity = arity.slice(1);
+});
+
+// Tag all operators that take functions that evaluate their arguments with the bindings as context
+[
+  'if', 'coalesce', 'in', 'notin', '&&', '||',
+].forEach(function (operatorName) {
+  operators[operatorName].evaluatesLazily = true;
+});
+
+// Tag all operators that take the bindings as their first argument
+[
+  'bnode',
+].forEach(function (operatorName) {
+  operators[operatorName].acceptsBindings = true;
+});
+
 // Tag all operators that take expressions instead of evaluated expressions
-operators.bound.acceptsExpressions = true;
+[
+  'bound', 'exists', 'notexists',
+].forEach(function (operatorName) {
+  operators[operatorName].acceptsExpressions = true;
+});
 
 
 
@@ -0,0 +1,183 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* A SpillingHashSet is a set of equal-length hashes that moves them to disk beyond a memory limit. */
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+// Size of the Bloom filter that avoids disk lookups for hashes that were not spilled
+var BLOOM_FILTER_BITS = 1 << 23, BLOOM_FILTER_HASHES = 4;
+
+// Number of hashes that are read or written at once when merging files
+var MERGE_CHUNK_SIZE = 4096;
+
+// Creates a zero-filled buffer, also on Node.js versions without Buffer.alloc
+var allocBuffer = Buffer.alloc || function (size) { return new Buffer(size).fill(0); };
+
+// Identifier of the next set, which keeps the files of different sets apart
+var setId = 0;
+
+/**
+ * Creates a new `SpillingHashSet`.
+ * @classdesc A `SpillingHashSet` keeps at most a given number of hashes in memory;
+ * beyond that, the hashes are written to sorted files on disk, which are searched on lookup.
+ * Files of similar sizes are merged, such that a lookup only searches a logarithmic number of them,
+ * and a Bloom filter in memory limits the lookups to hashes that were likely spilled.
+ * All hashes in the set must be ASCII strings of the same length.
+ * @param {integer} [options.memoryLimit=Infinity] Maximum number of hashes kept in memory
+ * @param {string} [options.directory] Directory for the spilled hashes (defaults to the system's)
+ * @constructor
+ */
+function SpillingHashSet(options) {
+  if (!(this instanceof SpillingHashSet))
+    return new SpillingHashSet(options);
+
+  options = options || {};
+  this._memoryLimit = options.memoryLimit || Infinity;
+  this._directory = options.directory || os.tmpdir();
+  this._id = setId++;
+  this._hashes = Object.create(null);
+  this._hashCount = 0;
+  this._runs = [];
+  this._runCount = 0;
+  this._bloomFilter = null;
+  this._lookupBuffer = null;
+}
+
+/**
+ * Adds the hash to the set.
+ * @param {string} hash The hash
+ * @returns {boolean} Whether the hash was not yet in the set
+ */
+SpillingHashSet.prototype.add = function (hash) {
+  if (hash in this._hashes || this._isSpilled(hash))
+    return false;
+  this._hashes[hash] = true;
+  if (++this._hashCount >= this._memoryLimit)
+    this._spill();
+  return true;
+};
+
+// Writes the hashes in memory to a sorted file on disk
+SpillingHashSet.prototype._spill = function () {
+  var runs = this._runs, hashes = Object.keys(this._hashes).sort(),
+      run = this._createRun(hashes[0].length);
+  fs.writeSync(run.fd, hashes.join(''), 0, 'ascii');
+  run.count = hashes.length;
+  // Merge files of similar sizes, such that lookups only need to search a few of them
+  while (runs.length && runs[runs.length - 1].count <= run.count)
+    run = this._mergeRuns(runs.pop(), run);
+  runs.push(run);
+
+  // Remember the spilled hashes in the Bloom filter
+  var bloomFilter = this._bloomFilter || (this._bloomFilter = allocBuffer(BLOOM_FILTER_BITS >>> 3));
+  hashes.forEach(function (hash) {
+    getBloomFilterBits(hash).forEach(function (bit) { bloomFilter[bit >>> 3] |= 1 << (bit & 7); });
+  });
+  this._hashes = Object.create(null);
+  this._hashCount = 0;
+};
+
+// Creates a new empty file for sorted hashes of the given length
+SpillingHashSet.prototype._createRun = function (hashLength) {
+  var file = path.join(this._directory, 'ldf-hashes-' + process.pid + '-' + this._id + '-' + this._runCount++);
+  return { file: file, fd: fs.openSync(file, 'w+'), count: 0, hashLength: hashLength };
+};
+
+// Merges the sorted hashes of both files into a new file, and removes the original files
+SpillingHashSet.prototype._mergeRuns = function (runA, runB) {
+  var merged = this._createRun(runA.hashLength), chunk = [], position = 0,
+      readA = createRunReader(runA), readB = createRunReader(runB),
+      hashA = readA(), hashB = readB();
+  while (hashA !== null || hashB !== null) {
+    // Both files are sorted and have no hashes in common
+    if (hashB === null || hashA !== null && hashA < hashB) {
+      chunk.push(hashA);
+      hashA = readA();
+    }
+    else {
+      chunk.push(hashB);
+      hashB = readB();
+    }
+    if (chunk.length === MERGE_CHUNK_SIZE || hashA === null && hashB === null) {
+      position += fs.writeSync(merged.fd, chunk.join(''), position, 'ascii');
+      chunk = [];
+    }
+  }
+  merged.count = runA.count + runB.count;
+  removeRun(runA);
+  removeRun(runB);
+  return merged;
+};
+
+// Checks whether the hash was spilled to disk
+SpillingHashSet.prototype._isSpilled = function (hash) {
+  var bloomFilter = this._bloomFilter;
+  if (!bloomFilter || !getBloomFilterBits(hash).every(function (bit) {
+    return bloomFilter[bit >>> 3] & (1 << (bit & 7));
+  }))
+    return false;
+  // Perform a binary search in each of the sorted files
+  var buffer = this._lookupBuffer || (this._lookupBuffer = allocBuffer(hash.length));
+  return this._runs.some(function (run) {
+    var low = 0, high = run.count - 1, middle, spilledHash;
+    while (low <= high) {
+      middle = (low + high) >>> 1;
+      fs.readSync(run.fd, buffer, 0, run.hashLength, middle * run.hashLength);
+      spilledHash = buffer.toString('ascii');
+      if (spilledHash === hash)
+        return true;
+      spilledHash < hash ? low = middle + 1 : high = middle - 1;
+    }
+    return false;
+  });
+};
+
+/** Removes all hashes from the set, including those on disk. */
+SpillingHashSet.prototype.clear = function () {
+  this._runs.forEach(removeRun);
+  this._runs = [];
+  this._bloomFilter = null;
+  this._hashes = Object.create(null);
+  this._hashCount = 0;
+};
+
+// Creates a function that reads the hashes of the file in order, returning null after the last one
+function createRunReader(run) {
+  var hashLength = run.hashLength, buffer = allocBuffer(MERGE_CHUNK_SIZE * hashLength),
+      position = 0, chunk = '', index = 0;
+  return function () {
+    // Read the next chunk of hashes if the current one has been consumed
+    if (index === chunk.length) {
+      var count = Math.min(MERGE_CHUNK_SIZE, run.count - position);
+      if (count === 0)
+        return null;
+      fs.readSync(run.fd, buffer, 0, count * hashLength, position * hashLength);
+      chunk = buffer.toString('ascii', 0, count * hashLength);
+      position += count;
+      index = 0;
+    }
+    index += hashLength;
+    return chunk.substr(index - hashLength, hashLength);
+  };
+}
+
+// Closes and removes the file
+function removeRun(run) {
+  try { fs.closeSync(run.fd), fs.unlinkSync(run.file); }
+  catch (error) { /* ignore files that were already removed */ }
+}
+
+// Returns the bits of the Bloom filter for the hash, using seeded FNV-1a hashes
+function getBloomFilterBits(hash) {
+  var bits = new Array(BLOOM_FILTER_HASHES);
+  for (var i = 0; i < BLOOM_FILTER_HASHES; i++) {
+    var value = (2166136261 ^ i) >>> 0;
+    for (var j = 0; j < hash.length; j++)
+      value = Math.imul(value ^ hash.charCodeAt(j), 16777619) >>> 0;
+    bits[i] = value % BLOOM_FILTER_BITS;
+  }
+  return bits;
+}
+
+module.exports = SpillingHashSet;
@@ -0,0 +1,23 @@
+/*! @license MIT ©2015-2016 Ruben Verborgh, Ghent University - imec */
+var browserCrypto = require('../../lib/browser/crypto');
+
+var crypto = require('crypto');
+
+describe('browser crypto', function () {
+  describe('createHash', function () {
+    it('should throw an error for an unsupported algorithm', function () {
+      (function () { browserCrypto.createHash('whirlpool'); })
+        .should.throw('Digest method not supported');
+    });
+
+    var strings = ['', 'abc', 'héllo wörld ☺', new Array(56).join('a'), new Array(200).join('b')];
+    ['md5', 'sha1', 'sha256', 'sha384', 'sha512'].forEach(function (algorithm) {
+      it('should return the same ' + algorithm + ' digests as Node.js', function () {
+        strings.forEach(function (string) {
+          browserCrypto.createHash(algorithm).update(string).digest()
+            .should.equal(crypto.createHash(algorithm).update(string).digest('hex'));
+        });
+      });
+    });
+  });
+});
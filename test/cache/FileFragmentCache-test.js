@@ -0,0 +1,166 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var FileFragmentCache = require('../../lib/cache/FileFragmentCache');
+
+var FragmentCache = require('../../lib/cache/FragmentCache'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+var directory = path.join(os.tmpdir(), 'ldf-client-cache-test-' + process.pid);
+
+// Creates a page with the given URL and number of data triples
+function createPage(url, tripleCount) {
+  var triples = [];
+  for (var i = 0; i < tripleCount; i++)
+    triples.push({ subject: url, predicate: 'urn:p', object: '"' + i + '"' });
+  return { url: url, triples: triples, metadata: [], etag: '"v1"', expires: Date.now() + 60000 };
+}
+
+describe('FileFragmentCache', function () {
+  after(function () { fs.rmdirSync(directory); });
+
+  describe('The FileFragmentCache module', function () {
+    it('should make FileFragmentCache objects', function () {
+      FileFragmentCache({ directory: directory }).should.be.an.instanceof(FileFragmentCache);
+    });
+
+    it('should be a FileFragmentCache constructor', function () {
+      new FileFragmentCache({ directory: directory }).should.be.an.instanceof(FileFragmentCache);
+    });
+
+    it('should make FragmentCache objects', function () {
+      new FileFragmentCache({ directory: directory }).should.be.an.instanceof(FragmentCache);
+    });
+
+    it('should be instantiable through its type name', function () {
+      FragmentCache.instantiate({ type: 'file', directory: directory }).should.be.an.instanceof(FileFragmentCache);
+    });
+  });
+
+  describe('A FileFragmentCache', function () {
+    var cache = new FileFragmentCache({ directory: directory }), page = createPage('urn:page1', 2);
+    before(function (done) { cache.set('urn:page1', page, done); });
+    after(function (done) { cache.clear(done); });
+
+    it('should return a stored page', function (done) {
+      cache.get('urn:page1', function (error, cachedPage) {
+        cachedPage.should.deep.equal(page);
+        done(error);
+      });
+    });
+
+    it('should return null for a page that was not stored', function (done) {
+      cache.get('urn:page2', function (error, cachedPage) {
+        expect(cachedPage).to.be.null;
+        done(error);
+      });
+    });
+
+    it('should share its pages with a new cache in the same directory', function (done) {
+      new FileFragmentCache({ directory: directory }).get('urn:page1', function (error, cachedPage) {
+        cachedPage.should.deep.equal(page);
+        done(error);
+      });
+    });
+
+    it('should not leave temporary files', function () {
+      fs.readdirSync(directory).should.have.length(1);
+    });
+
+    it('should only allow the current user to access the files', function () {
+      var file = path.join(directory, fs.readdirSync(directory)[0]);
+      (fs.statSync(file).mode & parseInt('777', 8)).should.equal(parseInt('600', 8));
+      (fs.statSync(directory).mode & parseInt('777', 8)).should.equal(parseInt('700', 8));
+    });
+  });
+
+  describe('A FileFragmentCache with a maximum number of entries', function () {
+    var cache = new FileFragmentCache({ directory: directory, maxEntries: 2 });
+    before(function (done) {
+      cache.set('urn:page1', createPage('urn:page1', 1), function () {
+        cache.set('urn:page2', createPage('urn:page2', 1), function () {
+          // Use the first page such that the second one is the least recently used
+          cache.get('urn:page1', function () {
+            cache.set('urn:page3', createPage('urn:page3', 1), done);
+          });
+        });
+      });
+    });
+    after(function (done) { cache.clear(done); });
+
+    it('should evict the least recently used page', function (done) {
+      cache.get('urn:page2', function (error, cachedPage) {
+        expect(cachedPage).to.be.null;
+        done(error);
+      });
+    });
+
+    it('should keep the other pages', function (done) {
+      cache.get('urn:page1', function (error, cachedPage) {
+        cachedPage.should.have.property('url', 'urn:page1');
+        cache.get('urn:page3', function (error, cachedPage) {
+          cachedPage.should.have.property('url', 'urn:page3');
+          done(error);
+        });
+      });
+    });
+
+    it('should have removed the evicted file', function () {
+      fs.readdirSync(directory).should.have.length(2);
+    });
+  });
+
+  describe('A FileFragmentCache with a maximum size', function () {
+    var cache = new FileFragmentCache({ directory: directory, maxSize: 6400 });
+    before(function (done) {
+      cache.set('urn:small', createPage('urn:small', 1), function () {
+        cache.set('urn:medium', createPage('urn:medium', 100), done);
+      });
+    });
+    after(function (done) { cache.clear(done); });
+
+    it('should keep the most recently used pages that fit', function (done) {
+      cache.get('urn:medium', function (error, cachedPage) {
+        cachedPage.should.have.property('url', 'urn:medium');
+        done(error);
+      });
+    });
+
+    it('should evict the least recently used pages that do not fit', function (done) {
+      cache.get('urn:small', function (error, cachedPage) {
+        expect(cachedPage).to.be.null;
+        done(error);
+      });
+    });
+  });
+
+  describe('A FileFragmentCache that shares its directory with a simultaneous run', function () {
+    var cache = new FileFragmentCache({ directory: directory }), other;
+    before(function (done) {
+      other = new FileFragmentCache({ directory: directory });
+      other.set('urn:other', createPage('urn:other', 1), done);
+    });
+    after(function (done) { cache.clear(done); });
+
+    it('should read the pages that the other run stored', function (done) {
+      cache.get('urn:other', function (error, cachedPage) {
+        cachedPage.should.have.property('url', 'urn:other');
+        done(error);
+      });
+    });
+  });
+
+  describe('A FileFragmentCache in a directory that other users can write to', function () {
+    var sharedDirectory = directory + '-shared';
+    before(function () {
+      fs.mkdirSync(sharedDirectory);
+      fs.chmodSync(sharedDirectory, parseInt('777', 8));
+    });
+    after(function () { fs.rmdirSync(sharedDirectory); });
+
+    it('should refuse the directory', function () {
+      (function () { FileFragmentCache({ directory: sharedDirectory }); })
+        .should.throw('The cache directory ' + sharedDirectory + ' is writable by other users');
+    });
+  });
+});
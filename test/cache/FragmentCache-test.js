@@ -0,0 +1,67 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var FragmentCache = require('../../lib/cache/FragmentCache');
+
+var MemoryFragmentCache = require('../../lib/cache/MemoryFragmentCache');
+
+describe('FragmentCache', function () {
+  describe('The FragmentCache module', function () {
+    it('should make FragmentCache objects', function () {
+      FragmentCache().should.be.an.instanceof(FragmentCache);
+    });
+
+    it('should be a FragmentCache constructor', function () {
+      new FragmentCache().should.be.an.instanceof(FragmentCache);
+    });
+
+    it('should instantiate a memory cache by default', function () {
+      FragmentCache.instantiate({}).should.be.an.instanceof(MemoryFragmentCache);
+    });
+
+    it('should return existing caches as-is', function () {
+      var cache = new MemoryFragmentCache();
+      FragmentCache.instantiate(cache).should.equal(cache);
+    });
+
+    it('should throw an error for unknown types', function () {
+      (function () { FragmentCache.instantiate({ type: 'unknown' }); })
+        .should.throw('No fragment cache available of type unknown.');
+    });
+  });
+
+  describe('A FragmentCache without default maximum age', function () {
+    var cache = new FragmentCache(), now = Date.parse('2016-01-01T00:00:00Z');
+
+    it('should not store pages with no-store', function () {
+      expect(cache.getExpiry({ 'cache-control': 'private, no-store' }, now)).to.be.null;
+    });
+
+    it('should expire pages with no-cache immediately', function () {
+      cache.getExpiry({ 'cache-control': 'no-cache, max-age=60' }, now).should.equal(now);
+    });
+
+    it('should expire pages after their max-age', function () {
+      cache.getExpiry({ 'cache-control': 'public, max-age=60' }, now).should.equal(now + 60000);
+    });
+
+    it('should expire pages at their Expires date relative to the response date', function () {
+      cache.getExpiry({ date: 'Fri, 01 Jan 2016 00:00:00 GMT', expires: 'Fri, 01 Jan 2016 01:00:00 GMT' }, now + 5000)
+        .should.equal(now + 5000 + 3600000);
+    });
+
+    it('should expire pages without freshness information immediately', function () {
+      cache.getExpiry({}, now).should.equal(now);
+    });
+  });
+
+  describe('A FragmentCache with a default maximum age', function () {
+    var cache = new FragmentCache({ defaultMaxAge: 3600 }), now = Date.parse('2016-01-01T00:00:00Z');
+
+    it('should expire pages without freshness information after the default maximum age', function () {
+      cache.getExpiry({}, now).should.equal(now + 3600000);
+    });
+
+    it('should expire pages with freshness information according to that information', function () {
+      cache.getExpiry({ 'cache-control': 'max-age=10' }, now).should.equal(now + 10000);
+    });
+  });
+});
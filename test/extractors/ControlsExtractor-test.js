@@ -86,5 +86,65 @@ describe('ControlsExtractor', function () {
         result.should.equal('http://data.linkeddatafragments.org/dbpedia?subject=a&object=b');
       });
     });
+
+    describe('extracting from a quad pattern fragment', function () {
+      var controls;
+      before(function (done) {
+        var hydra = 'http://www.w3.org/ns/hydra/core#', fragmentUrl = 'http://example.org/qpf',
+            triples = [
+              rdf.triple('http://example.org/dataset', hydra + 'search', '_:form'),
+              rdf.triple('_:form', hydra + 'template', '"http://example.org/qpf{?s,p,o,g}"'),
+            ];
+        ['s', 'p', 'o', 'g'].forEach(function (variable, i) {
+          var property = [rdf.RDF_SUBJECT, rdf.RDF_PREDICATE, rdf.RDF_OBJECT, rdf.SD_GRAPH][i];
+          triples.push(rdf.triple('_:form', hydra + 'mapping', '_:' + variable),
+                       rdf.triple('_:' + variable, hydra + 'variable', '"' + variable + '"'),
+                       rdf.triple('_:' + variable, hydra + 'property', property));
+        });
+        controlsExtractor.extract({ fragmentUrl: fragmentUrl }, AsyncIterator.fromArray(triples),
+                                  function (error, c) { controls = c, done(error); });
+      });
+
+      it('should indicate that graphs are supported', function () {
+        controls.should.have.property('supportsGraphs', true);
+      });
+
+      it('should give a getFragmentUrl function that gives the URL for a quad pattern', function () {
+        var result = controls.getFragmentUrl({ subject: 'a', object: 'b', graph: 'c' });
+        result.should.equal('http://example.org/qpf?s=a&o=b&g=c');
+      });
+    });
+
+    describe('extracting from a bindings-restricted triple pattern fragment', function () {
+      var controls;
+      before(function (done) {
+        var hydra = 'http://www.w3.org/ns/hydra/core#', fragmentUrl = 'http://example.org/brtpf',
+            triples = [
+              rdf.triple('http://example.org/dataset', hydra + 'search', '_:form'),
+              rdf.triple('_:form', hydra + 'template', '"http://example.org/brtpf{?s,p,o,values}"'),
+            ];
+        ['s', 'p', 'o', 'values'].forEach(function (variable, i) {
+          var property = [rdf.RDF_SUBJECT, rdf.RDF_PREDICATE, rdf.RDF_OBJECT, rdf.SPARQL_VALUES][i];
+          triples.push(rdf.triple('_:form', hydra + 'mapping', '_:' + variable),
+                       rdf.triple('_:' + variable, hydra + 'variable', '"' + variable + '"'),
+                       rdf.triple('_:' + variable, hydra + 'property', property));
+        });
+        controlsExtractor.extract({ fragmentUrl: fragmentUrl }, AsyncIterator.fromArray(triples),
+                                  function (error, c) { controls = c, done(error); });
+      });
+
+      it('should indicate that bindings are supported', function () {
+        controls.should.have.property('supportsBindings', true);
+      });
+
+      it('should indicate that graphs are not supported', function () {
+        controls.should.have.property('supportsGraphs', false);
+      });
+
+      it('should give a getFragmentUrl function that gives the URL for a pattern with values', function () {
+        var result = controls.getFragmentUrl({ subject: '?x', object: 'b', values: 'VALUES ?x { <a> }' });
+        result.should.equal('http://example.org/brtpf?s=%3Fx&o=b&values=VALUES%20%3Fx%20%7B%20%3Ca%3E%20%7D');
+      });
+    });
   });
 });
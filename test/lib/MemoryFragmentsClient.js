@@ -0,0 +1,21 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+/* Dummy implementation of FragmentsClient that reads fragments from triples in memory. */
+
+var AsyncIterator = require('asynciterator'),
+    N3 = require('n3'),
+    rdf = require('../../lib/util/RdfUtil');
+
+function MemoryFragmentsClient(turtle) {
+  this._triples = new N3.Parser().parse(turtle || '');
+  this.requestedPatterns = [];
+}
+
+MemoryFragmentsClient.prototype.getFragmentByPattern = function (pattern) {
+  var triples = this._triples.filter(rdf.tripleFilter(pattern)),
+      fragment = AsyncIterator.fromArray(triples);
+  this.requestedPatterns.push(pattern);
+  fragment.setProperty('metadata', { totalTriples: triples.length });
+  return fragment;
+};
+
+module.exports = MemoryFragmentsClient;
@@ -0,0 +1,195 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var AggregateIterator = require('../../lib/sparql/AggregateIterator');
+
+var AsyncIterator = require('asynciterator');
+
+var XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+var bindings = [
+  { '?x': 'a', '?t': 'T1', '?v': '"1"^^' + XSD + 'integer' },
+  { '?x': 'b', '?t': 'T1', '?v': '"2.5"^^' + XSD + 'decimal' },
+  { '?x': 'c', '?t': 'T2', '?v': '"10"^^' + XSD + 'integer' },
+  { '?x': 'd', '?t': 'T2', '?v': '"9"^^' + XSD + 'integer' },
+  { '?x': 'e', '?t': 'T2' },
+];
+
+function aggregate(aggregation, expression, options) {
+  var aggregate = { type: 'aggregate', aggregation: aggregation, expression: expression };
+  for (var key in options)
+    aggregate[key] = options[key];
+  return aggregate;
+}
+
+describe('AggregateIterator', function () {
+  describe('The AggregateIterator module', function () {
+    it('should make AggregateIterator objects', function () {
+      AggregateIterator().should.be.an.instanceof(AggregateIterator);
+    });
+
+    it('should be an AggregateIterator constructor', function () {
+      new AggregateIterator().should.be.an.instanceof(AggregateIterator);
+    });
+
+    it('should make AsyncIterator objects', function () {
+      AggregateIterator().should.be.an.instanceof(AsyncIterator);
+    });
+
+    it('should be an AsyncIterator constructor', function () {
+      new AggregateIterator().should.be.an.instanceof(AsyncIterator);
+    });
+  });
+
+  describe('An AggregateIterator with an unsupported aggregate', function () {
+    it('should throw an error', function () {
+      (function () {
+        AggregateIterator(null, [], [{ variable: '?a', expression: aggregate('median', '?v') }]);
+      }).should.throw('Unsupported aggregate: median');
+    });
+  });
+
+  describe('An AggregateIterator without grouping conditions', function () {
+    describe('with an empty source', function () {
+      var iterator = new AggregateIterator(AsyncIterator.empty(), [], [
+        { variable: '?count', expression: aggregate('count', '*') },
+        { variable: '?sum', expression: aggregate('sum', '?v') },
+        { variable: '?min', expression: aggregate('min', '?v') },
+      ]);
+      it('should return a single group with the aggregates of no values', function (done) {
+        iterator.should.be.an.iteratorOf([{
+          '?count': '"0"^^' + XSD + 'integer',
+          '?sum': '"0"^^' + XSD + 'integer',
+        }], done);
+      });
+    });
+
+    describe('with a non-empty source', function () {
+      var iterator = new AggregateIterator(AsyncIterator.fromArray(bindings), [], [
+        { variable: '?count', expression: aggregate('count', '*') },
+        { variable: '?values', expression: aggregate('count', '?v') },
+        { variable: '?types', expression: aggregate('count', '?t', { distinct: true }) },
+        { variable: '?double', expression: {
+          type: 'operation', operator: '*',
+          args: [aggregate('count', '*'), '"2"^^' + XSD + 'integer'],
+        } },
+      ]);
+      it('should return a single group with the aggregates of all values', function (done) {
+        iterator.should.be.an.iteratorOf([{
+          '?count': '"5"^^' + XSD + 'integer',
+          '?values': '"4"^^' + XSD + 'integer',
+          '?types': '"2"^^' + XSD + 'integer',
+          '?double': '"10"^^' + XSD + 'integer',
+        }], done);
+      });
+    });
+  });
+
+  describe('An AggregateIterator grouping by a variable', function () {
+    describe('with an empty source', function () {
+      var iterator = new AggregateIterator(AsyncIterator.empty(), [{ expression: '?t' }], [
+        { variable: '?count', expression: aggregate('count', '*') },
+      ]);
+      it('should return no groups', function (done) {
+        iterator.should.be.an.iteratorOf([], done);
+      });
+    });
+
+    describe('with a non-empty source', function () {
+      var iterator = new AggregateIterator(AsyncIterator.fromArray(bindings), [{ expression: '?t' }], [
+        { variable: '?sum', expression: aggregate('sum', '?v') },
+        { variable: '?avg', expression: aggregate('avg', '?v') },
+        { variable: '?min', expression: aggregate('min', '?v') },
+        { variable: '?max', expression: aggregate('max', '?v') },
+        { variable: '?sample', expression: aggregate('sample', '?x') },
+        { variable: '?concat', expression: aggregate('group_concat', '?x', { separator: ', ' }) },
+      ]);
+      it('should return the aggregates for each group', function (done) {
+        iterator.should.be.an.iteratorOf([
+          {
+            '?t': 'T1',
+            '?sum': '"3.5"^^' + XSD + 'decimal',
+            '?avg': '"1.75"^^' + XSD + 'decimal',
+            '?min': '"1"^^' + XSD + 'integer',
+            '?max': '"2.5"^^' + XSD + 'decimal',
+            '?sample': 'a',
+            '?concat': '"a, b"',
+          },
+          {
+            '?t': 'T2',
+            '?sum': '"19"^^' + XSD + 'integer',
+            '?avg': '"9.5"^^' + XSD + 'decimal',
+            '?min': '"9"^^' + XSD + 'integer',
+            '?max': '"10"^^' + XSD + 'integer',
+            '?sample': 'c',
+            '?concat': '"c, d, e"',
+          },
+        ], done);
+      });
+    });
+  });
+
+  describe('An AggregateIterator grouping by an expression', function () {
+    var iterator = new AggregateIterator(AsyncIterator.fromArray(bindings), [{
+      expression: { type: 'operation', operator: 'bound', args: ['?v'] },
+      variable: '?hasValue',
+    }], [
+      { variable: '?count', expression: aggregate('count', '*') },
+    ]);
+    it('should bind the value of the expression to its variable', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?hasValue': '"true"^^' + XSD + 'boolean', '?count': '"4"^^' + XSD + 'integer' },
+        { '?hasValue': '"false"^^' + XSD + 'boolean', '?count': '"1"^^' + XSD + 'integer' },
+      ], done);
+    });
+  });
+
+  describe('An AggregateIterator summing non-numeric values', function () {
+    var iterator = new AggregateIterator(AsyncIterator.fromArray(bindings), [], [
+      { variable: '?sum', expression: aggregate('sum', '?x') },
+      { variable: '?count', expression: aggregate('count', '?x') },
+    ]);
+    it('should leave the aggregate unbound', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?count': '"5"^^' + XSD + 'integer' }], done);
+    });
+  });
+
+  describe('An AggregateIterator over values of different kinds', function () {
+    var iterator = new AggregateIterator(AsyncIterator.fromArray([
+      { '?v': '"1.5e0"^^' + XSD + 'double' },
+      { '?v': '"2"^^' + XSD + 'int' },
+      { '?v': 'http://example.org/a' },
+      { '?v': '"a"' },
+    ]), [], [
+      { variable: '?min', expression: aggregate('min', '?v') },
+      { variable: '?max', expression: aggregate('max', '?v') },
+    ]);
+    it('should compare the values like ORDER BY does', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?min': 'http://example.org/a', '?max': '"a"' }], done);
+    });
+  });
+
+  describe('An AggregateIterator summing values of derived and floating-point types', function () {
+    var iterator = new AggregateIterator(AsyncIterator.fromArray([
+      { '?v': '"2"^^' + XSD + 'int' },
+      { '?v': '"1.5e0"^^' + XSD + 'double' },
+    ]), [], [
+      { variable: '?sum', expression: aggregate('sum', '?v') },
+    ]);
+    it('should promote the sum like arithmetic does', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?sum': '"3.5"^^' + XSD + 'double' }], done);
+    });
+  });
+
+  describe('An AggregateIterator with expressions that use the options', function () {
+    var now = new Date(Date.UTC(2016, 0, 1)),
+        iterator = new AggregateIterator(AsyncIterator.fromArray(bindings), [], [
+          { variable: '?now', expression: { type: 'operation', operator: 'now', args: [] } },
+          { variable: '?iri', expression: { type: 'operation', operator: 'iri', args: ['"a"'] } },
+        ], { now: now, baseIRI: 'http://example.org/' });
+    it('should evaluate them with the options', function (done) {
+      iterator.should.be.an.iteratorOf([{
+        '?now': '"2016-01-01T00:00:00.000Z"^^' + XSD + 'dateTime',
+        '?iri': 'http://example.org/a',
+      }], done);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 /*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
 var DistinctIterator = require('../../lib/sparql/DistinctIterator');
 
-var AsyncIterator = require('asynciterator');
+var AsyncIterator = require('asynciterator'),
+    SpillingHashSet = require('../../lib/util/SpillingHashSet');
 
 describe('DistinctIterator', function () {
   describe('The DistinctIterator module', function () {
@@ -44,4 +45,48 @@ describe('DistinctIterator', function () {
       });
     });
   });
+  describe('A DistinctIterator with a window', function () {
+    var iterator = new DistinctIterator(AsyncIterator.fromArray([1, 2, 1, 3, 1, 3, 2]), { window: 2 });
+    it('should only remove duplicates of recent unique items', function (done) {
+      iterator.should.be.an.iteratorOf([1, 2, 3, 1, 2], done);
+    });
+  });
+
+  describe('A DistinctIterator with a memory limit', function () {
+    var items = [], i;
+    for (i = 0; i < 50; i++) items.push(i % 20);
+    var iterator = new DistinctIterator(AsyncIterator.fromArray(items), { memoryLimit: 3 });
+    it('should return the unique items', function (done) {
+      var uniques = [];
+      for (i = 0; i < 20; i++) uniques.push(i);
+      iterator.should.be.an.iteratorOf(uniques, done);
+    });
+  });
+
+  describe('A DistinctIterator with a memory limit that is closed', function () {
+    var items = [], i;
+    for (i = 0; i < 50; i++) items.push(i);
+    var iterator = new DistinctIterator(AsyncIterator.fromArray(items), { memoryLimit: 3 });
+    before(function (done) {
+      sinon.spy(SpillingHashSet.prototype, 'clear');
+      // Read enough items for hashes to be spilled
+      var count = 0;
+      iterator.on('readable', readItems);
+      readItems();
+      function readItems() {
+        while (count < 10 && iterator.read() !== null) {
+          if (++count === 10) {
+            iterator.removeListener('readable', readItems);
+            done();
+          }
+        }
+      }
+    });
+    after(function () { SpillingHashSet.prototype.clear.restore(); });
+
+    it('should remove the spilled hashes', function () {
+      iterator.close();
+      SpillingHashSet.prototype.clear.should.have.been.called;
+    });
+  });
 });
@@ -0,0 +1,67 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var ExistsIterator = require('../../lib/sparql/ExistsIterator');
+
+var AsyncIterator = require('asynciterator');
+
+// Creates iterators that have solutions if the pattern contains the value of ?a
+function createPatternIterator(pattern, bindings) {
+  return pattern.indexOf(bindings['?a']) < 0 ? AsyncIterator.empty() :
+         AsyncIterator.fromArray([bindings, bindings]);
+}
+
+describe('ExistsIterator', function () {
+  describe('The ExistsIterator module', function () {
+    it('should make ExistsIterator objects', function () {
+      ExistsIterator().should.be.an.instanceof(ExistsIterator);
+    });
+
+    it('should be an ExistsIterator constructor', function () {
+      new ExistsIterator().should.be.an.instanceof(ExistsIterator);
+    });
+
+    it('should make AsyncIterator objects', function () {
+      ExistsIterator().should.be.an.instanceof(AsyncIterator);
+    });
+
+    it('should be an AsyncIterator constructor', function () {
+      new ExistsIterator().should.be.an.instanceof(AsyncIterator);
+    });
+  });
+
+  describe('An ExistsIterator with an empty source', function () {
+    var iterator = new ExistsIterator(AsyncIterator.empty(), [[1]], createPatternIterator,
+                                      function () { return true; });
+    it('should not return any bindings', function (done) {
+      iterator.should.be.an.iteratorOf([], done);
+    });
+  });
+
+  describe('An ExistsIterator with a single pattern', function () {
+    var source = [{ '?a': 1 }, { '?a': 2 }, { '?a': 3 }, { '?a': 4 }];
+
+    describe('passing bindings for which the pattern has solutions', function () {
+      var iterator = new ExistsIterator(AsyncIterator.fromArray(source), [[2, 4]], createPatternIterator,
+                                        function (bindings, exists) { return exists[0]; });
+      it('should return those bindings', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?a': 2 }, { '?a': 4 }], done);
+      });
+    });
+
+    describe('passing bindings for which the pattern has no solutions', function () {
+      var iterator = new ExistsIterator(AsyncIterator.fromArray(source), [[2, 4]], createPatternIterator,
+                                        function (bindings, exists) { return !exists[0]; });
+      it('should return those bindings', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?a': 1 }, { '?a': 3 }], done);
+      });
+    });
+  });
+
+  describe('An ExistsIterator with multiple patterns', function () {
+    var source = [{ '?a': 1 }, { '?a': 2 }, { '?a': 3 }, { '?a': 4 }],
+        iterator = new ExistsIterator(AsyncIterator.fromArray(source), [[1, 2], [2, 3]], createPatternIterator,
+                                      function (bindings, exists) { return exists[0] !== exists[1]; });
+    it('should pass the results of all patterns to the filter', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?a': 1 }, { '?a': 3 }], done);
+    });
+  });
+});
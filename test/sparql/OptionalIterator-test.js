@@ -0,0 +1,76 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var OptionalIterator = require('../../lib/sparql/OptionalIterator');
+
+var AsyncIterator = require('asynciterator');
+
+// Extends ?a bindings with ?b bindings for each of the given values
+function extendWith(values) {
+  return function (source) {
+    return source.transform(function (bindings, done) {
+      (values[bindings['?a']] || []).forEach(function (value) {
+        this._push({ '?a': bindings['?a'], '?b': value });
+      }, this);
+      done();
+    });
+  };
+}
+
+describe('OptionalIterator', function () {
+  describe('The OptionalIterator module', function () {
+    it('should make OptionalIterator objects', function () {
+      OptionalIterator().should.be.an.instanceof(OptionalIterator);
+    });
+
+    it('should be an OptionalIterator constructor', function () {
+      new OptionalIterator().should.be.an.instanceof(OptionalIterator);
+    });
+
+    it('should make AsyncIterator objects', function () {
+      OptionalIterator().should.be.an.instanceof(AsyncIterator);
+    });
+
+    it('should be an AsyncIterator constructor', function () {
+      new OptionalIterator().should.be.an.instanceof(AsyncIterator);
+    });
+  });
+
+  describe('An OptionalIterator with an empty source', function () {
+    var iterator = new OptionalIterator(AsyncIterator.empty(), extendWith({}));
+    it('should not return any bindings', function (done) {
+      iterator.should.be.an.iteratorOf([], done);
+    });
+  });
+
+  describe('An OptionalIterator with a pattern that always has solutions', function () {
+    var iterator = new OptionalIterator(AsyncIterator.fromArray([{ '?a': 1 }, { '?a': 2 }]),
+                                        extendWith({ 1: ['x', 'y'], 2: ['z'] }));
+    it('should return the extended bindings', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?a': 1, '?b': 'x' },
+        { '?a': 1, '?b': 'y' },
+        { '?a': 2, '?b': 'z' },
+      ], done);
+    });
+  });
+
+  describe('An OptionalIterator with a pattern that sometimes has solutions', function () {
+    var iterator = new OptionalIterator(AsyncIterator.fromArray([{ '?a': 1 }, { '?a': 2 }, { '?a': 3 }]),
+                                        extendWith({ 2: ['x', 'y'] }));
+    it('should return the original bindings if the pattern has no solutions', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?a': 1 },
+        { '?a': 2, '?b': 'x' },
+        { '?a': 2, '?b': 'y' },
+        { '?a': 3 },
+      ], done);
+    });
+  });
+
+  describe('An OptionalIterator with a pattern that never has solutions', function () {
+    var iterator = new OptionalIterator(AsyncIterator.fromArray([{ '?a': 1 }, { '?a': 2 }]),
+                                        extendWith({}));
+    it('should return the original bindings', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?a': 1 }, { '?a': 2 }], done);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var PropertyPathIterator = require('../../lib/sparql/PropertyPathIterator');
+
+var AsyncIterator = require('asynciterator'),
+    MemoryFragmentsClient = require('../lib/MemoryFragmentsClient');
+
+var client = new MemoryFragmentsClient([
+  '<urn:a> <urn:p> <urn:b>.',
+  '<urn:b> <urn:p> <urn:c>.',
+  '<urn:c> <urn:p> <urn:a>.',
+  '<urn:c> <urn:q> <urn:d>.',
+  '<urn:d> <urn:r> <urn:e>.',
+].join('\n'));
+
+function path(pathType) {
+  return { type: 'path', pathType: pathType, items: Array.prototype.slice.call(arguments, 1) };
+}
+
+function createIterator(pattern, bindings) {
+  return new PropertyPathIterator(AsyncIterator.fromArray(bindings || [{}]), pattern,
+                                  { fragmentsClient: client });
+}
+
+describe('PropertyPathIterator', function () {
+  describe('The PropertyPathIterator module', function () {
+    it('should make PropertyPathIterator objects', function () {
+      PropertyPathIterator().should.be.an.instanceof(PropertyPathIterator);
+    });
+
+    it('should be a PropertyPathIterator constructor', function () {
+      new PropertyPathIterator().should.be.an.instanceof(PropertyPathIterator);
+    });
+
+    it('should make AsyncIterator objects', function () {
+      PropertyPathIterator().should.be.an.instanceof(AsyncIterator);
+    });
+
+    it('should be an AsyncIterator constructor', function () {
+      new PropertyPathIterator().should.be.an.instanceof(AsyncIterator);
+    });
+  });
+
+  describe('A PropertyPathIterator with an empty source', function () {
+    var iterator = createIterator({ subject: '?s', predicate: path('*', 'urn:p'), object: '?o' }, []);
+    it('should not return any bindings', function (done) {
+      iterator.should.be.an.iteratorOf([], done);
+    });
+  });
+
+  describe('A PropertyPathIterator for an inverse path', function () {
+    var iterator = createIterator({ subject: 'urn:d', predicate: path('^', 'urn:q'), object: '?o' });
+    it('should return the subjects of the predicate', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?o': 'urn:c' }], done);
+    });
+  });
+
+  describe('A PropertyPathIterator for a sequence path', function () {
+    var sequence = path('/', 'urn:p', 'urn:q', 'urn:r');
+
+    describe('with a bound subject', function () {
+      var iterator = createIterator({ subject: 'urn:b', predicate: sequence, object: '?o' });
+      it('should return the nodes at the end of the sequence', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?o': 'urn:e' }], done);
+      });
+    });
+
+    describe('with a bound object', function () {
+      var iterator = createIterator({ subject: '?s', predicate: sequence, object: 'urn:e' });
+      it('should return the nodes at the start of the sequence', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?s': 'urn:b' }], done);
+      });
+    });
+  });
+
+  describe('A PropertyPathIterator for an alternative path', function () {
+    var iterator = createIterator({ subject: 'urn:c', predicate: path('|', 'urn:p', 'urn:q'), object: '?o' });
+    it('should return the nodes of all alternatives', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?o': 'urn:a' }, { '?o': 'urn:d' }], done);
+    });
+  });
+
+  describe('A PropertyPathIterator for a negated property set', function () {
+    describe('with a forward predicate', function () {
+      var iterator = createIterator({ subject: 'urn:c', predicate: path('!', 'urn:p'), object: '?o' });
+      it('should return the nodes connected by other predicates', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?o': 'urn:d' }], done);
+      });
+    });
+
+    describe('with an inverse predicate', function () {
+      var iterator = createIterator({ subject: 'urn:d', predicate: path('!', path('^', 'urn:r')), object: '?o' });
+      it('should return the nodes connected by other inverse predicates', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?o': 'urn:c' }], done);
+      });
+    });
+  });
+
+  describe('A PropertyPathIterator for a zero-or-one path', function () {
+    var iterator = createIterator({ subject: 'urn:a', predicate: path('?', 'urn:p'), object: '?o' });
+    it('should return the node itself and its neighbours', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?o': 'urn:a' }, { '?o': 'urn:b' }], done);
+    });
+  });
+
+  describe('A PropertyPathIterator for a zero-or-more path', function () {
+    describe('with a bound subject in a cycle', function () {
+      var iterator = createIterator({ subject: 'urn:a', predicate: path('*', 'urn:p'), object: '?o' });
+      it('should return every reachable node once', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?o': 'urn:a' }, { '?o': 'urn:b' }, { '?o': 'urn:c' }], done);
+      });
+    });
+
+    describe('with a bound object', function () {
+      var alternatives = path('*', path('|', 'urn:p', 'urn:q')),
+          iterator = createIterator({ subject: '?s', predicate: alternatives, object: 'urn:d' });
+      it('should return every node from which the object is reachable', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?s': 'urn:d' }, { '?s': 'urn:c' }, { '?s': 'urn:b' }, { '?s': 'urn:a' },
+        ], done);
+      });
+    });
+
+    describe('with a bound subject and object', function () {
+      var iterator = createIterator({ subject: '?s', predicate: path('*', 'urn:p'), object: 'urn:c' },
+                                    [{ '?s': 'urn:a' }, { '?s': 'urn:d' }]);
+      it('should return the bindings for which the object is reachable', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?s': 'urn:a' }], done);
+      });
+    });
+
+    describe('with an unbound subject and object', function () {
+      var iterator = createIterator({ subject: '?s', predicate: path('*', 'urn:q'), object: '?o' });
+      it('should return the pairs of connected nodes', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?s': 'urn:c', '?o': 'urn:c' },
+          { '?s': 'urn:c', '?o': 'urn:d' },
+          { '?s': 'urn:d', '?o': 'urn:d' },
+        ], done);
+      });
+    });
+
+    describe('with the same variable as subject and object', function () {
+      var iterator = createIterator({ subject: '?x', predicate: path('*', 'urn:q'), object: '?x' });
+      it('should return the nodes connected to themselves', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?x': 'urn:c' }, { '?x': 'urn:d' }], done);
+      });
+    });
+  });
+
+  describe('A PropertyPathIterator for a one-or-more path', function () {
+    describe('with a node in a cycle', function () {
+      var iterator = createIterator({ subject: 'urn:b', predicate: path('+', 'urn:p'), object: '?o' });
+      it('should return every reachable node once', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?o': 'urn:c' }, { '?o': 'urn:a' }, { '?o': 'urn:b' }], done);
+      });
+    });
+
+    describe('with a node outside of a cycle', function () {
+      var sequences = path('+', path('/', 'urn:q', 'urn:r')),
+          iterator = createIterator({ subject: 'urn:c', predicate: sequences, object: '?o' });
+      it('should not return the node itself', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?o': 'urn:e' }], done);
+      });
+    });
+  });
+});
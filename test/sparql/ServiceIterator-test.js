@@ -0,0 +1,156 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var ServiceIterator = require('../../lib/sparql/ServiceIterator');
+
+var AsyncIterator = require('asynciterator'),
+    SparqlIterator = require('../../lib/sparql/SparqlIterator'),
+    MemoryFragmentsClient = require('../lib/MemoryFragmentsClient'),
+    rdf = require('../../lib/util/RdfUtil'),
+    url = require('url');
+
+var TPF = 'http://tpf.example.org/dataset',
+    SPARQL = 'http://sparql.example.org/sparql';
+
+var tpfTriples = [
+  rdf.triple('urn:a', 'urn:name', '"Alice"'),
+  rdf.triple('urn:b', 'urn:name', '"Bob"'),
+];
+
+var tpfControls = [
+  '@prefix hydra: <http://www.w3.org/ns/hydra/core#>.',
+  '@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>.',
+  '<' + TPF + '#dataset> hydra:search [',
+  '  hydra:template "' + TPF + '{?subject,predicate,object}";',
+  '  hydra:mapping [ hydra:variable "subject"; hydra:property rdf:subject ],',
+  '                [ hydra:variable "predicate"; hydra:property rdf:predicate ],',
+  '                [ hydra:variable "object"; hydra:property rdf:object ]',
+  '].',
+].join('\n');
+
+var sparqlResults = { head: { vars: ['s', 'label'] }, results: { bindings: [
+  { s: { type: 'uri', value: 'urn:a' }, label: { 'type': 'literal', 'value': 'A', 'xml:lang': 'en' } },
+  { s: { type: 'uri', value: 'urn:b' }, label: { type: 'literal', value: '2', datatype: 'urn:int' } },
+  { s: { type: 'uri', value: 'urn:d' }, label: { type: 'literal', value: 'D' } },
+] } };
+
+// Creates a stub HTTP client for a Triple Pattern Fragments interface and a SPARQL endpoint
+function createHttpClient(sparqlStatusCode) {
+  return {
+    get: sinon.spy(function (requestUrl) {
+      var parameters = url.parse(requestUrl, true).query, statusCode = 200, contentType, body;
+      // Serve the start fragment with controls, or the fragment of a triple pattern
+      if (requestUrl.indexOf(TPF) === 0) {
+        var pattern = rdf.triple(parameters.subject || '?s', parameters.predicate || '?p',
+                                 parameters.object || '?o');
+        contentType = 'text/turtle';
+        body = (requestUrl === TPF ? tpfControls : '') + tpfTriples.filter(rdf.tripleFilter(pattern))
+          .map(function (t) { return '<' + t.subject + '> <' + t.predicate + '> ' + t.object + '.\n'; }).join('');
+      }
+      // Serve the results of a query, or a bad request without query
+      else if (parameters.query) {
+        statusCode = sparqlStatusCode || 200;
+        contentType = 'application/sparql-results+json';
+        body = JSON.stringify(sparqlResults);
+      }
+      else
+        statusCode = 400, contentType = 'text/html', body = '';
+
+      var response = AsyncIterator.fromArray([body]);
+      response.setProperties({ statusCode: statusCode, contentType: contentType });
+      return response;
+    }),
+  };
+}
+
+// Returns the queries that were sent to the SPARQL endpoint
+function getQueries(httpClient) {
+  return httpClient.get.args.map(function (args) { return url.parse(args[0], true).query.query; })
+                            .filter(Boolean);
+}
+
+describe('ServiceIterator', function () {
+  var service = { type: 'service', name: SPARQL, silent: false, patterns: [
+    { type: 'bgp', triples: [rdf.triple('?s', 'urn:label', '?label')] },
+  ] };
+
+  describe('The ServiceIterator module', function () {
+    var options = { httpClient: createHttpClient() };
+
+    it('should make ServiceIterator objects', function () {
+      ServiceIterator(AsyncIterator.empty(), service, null, options).should.be.an.instanceof(ServiceIterator);
+    });
+
+    it('should be a ServiceIterator constructor', function () {
+      new ServiceIterator(AsyncIterator.empty(), service, null, options).should.be.an.instanceof(ServiceIterator);
+    });
+
+    it('should make AsyncIterator objects', function () {
+      ServiceIterator(AsyncIterator.empty(), service, null, options).should.be.an.instanceof(AsyncIterator);
+    });
+  });
+
+  describe('A ServiceIterator for a SPARQL endpoint', function () {
+    var httpClient = createHttpClient(),
+        source = AsyncIterator.fromArray([{ '?s': 'urn:a' }, { '?s': 'urn:b' }, { '?s': 'urn:c', '?x': 'urn:x' }]),
+        iterator = new ServiceIterator(source, service, null, { httpClient: httpClient, serviceBatchSize: 2 });
+
+    it('should extend the bindings with the compatible solutions', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': 'urn:a', '?label': '"A"@en' },
+        { '?s': 'urn:b', '?label': '"2"^^urn:int' },
+      ], done);
+    });
+
+    it('should send batches of bindings as VALUES', function () {
+      var queries = getQueries(httpClient);
+      queries.should.have.length(2);
+      queries[0].should.match(/VALUES \(\?s\) \{\s*\(<urn:a>\)\s*\(<urn:b>\)\s*\}/);
+      queries[1].should.match(/VALUES \(\?s\) \{\s*\(<urn:c>\)\s*\}/);
+      queries[1].should.not.contain('urn:x');
+    });
+  });
+
+  describe('A ServiceIterator for a SPARQL endpoint that fails', function () {
+    it('should emit an error', function (done) {
+      var source = AsyncIterator.fromArray([{ '?s': 'urn:a' }]),
+          iterator = new ServiceIterator(source, service, null, { httpClient: createHttpClient(500) });
+      iterator.on('error', function (error) {
+        error.message.should.equal('Could not evaluate the query at ' + SPARQL + ' (500)');
+        done();
+      });
+    });
+  });
+
+  describe('A silent ServiceIterator for a SPARQL endpoint that fails', function () {
+    var source = AsyncIterator.fromArray([{ '?s': 'urn:a' }]),
+        silentService = { type: 'service', name: SPARQL, silent: true, patterns: service.patterns },
+        iterator = new ServiceIterator(source, silentService, null, { httpClient: createHttpClient(500) });
+
+    it('should pass on the bindings unchanged', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?s': 'urn:a' }], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with SERVICE patterns', function () {
+    var httpClient = createHttpClient(),
+        fragmentsClient = new MemoryFragmentsClient('<urn:a> a <urn:T>. <urn:b> a <urn:T>. <urn:c> a <urn:T>.'),
+        iterator = new SparqlIterator('SELECT * { ?s a <urn:T>. ' +
+                                      'SERVICE <' + TPF + '> { ?s <urn:name> ?name } ' +
+                                      'SERVICE <' + SPARQL + '> { ?s <urn:label> ?label } }',
+                                      { fragmentsClient: fragmentsClient, httpClient: httpClient });
+
+    it('should join the solutions of the local source and both services', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': 'urn:a', '?name': '"Alice"', '?label': '"A"@en' },
+        { '?s': 'urn:b', '?name': '"Bob"', '?label': '"2"^^urn:int' },
+      ], done);
+    });
+
+    it('should have requested the triple pattern at the Triple Pattern Fragments interface', function () {
+      httpClient.get.should.have.been.calledWith(TPF + '?subject=urn%3Aa&predicate=urn%3Aname');
+    });
+
+    it('should not have requested the local patterns at the services', function () {
+      fragmentsClient.requestedPatterns.should.have.length(1);
+    });
+  });
+});
@@ -0,0 +1,488 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var SparqlIterator = require('../../lib/sparql/SparqlIterator');
+
+var AsyncIterator = require('asynciterator'),
+    MemoryFragmentsClient = require('../lib/MemoryFragmentsClient'),
+    fs = require('fs'),
+    path = require('path'),
+    _ = require('lodash');
+
+var XSD = 'http://www.w3.org/2001/XMLSchema#',
+    EX = 'http://example.org/';
+
+var prefixes = { ex: EX, xsd: XSD };
+var configPrefixes = require('../../config-default.json').prefixes;
+var testClient = new MemoryFragmentsClient([
+  '@prefix ex: <http://example.org/>.',
+  'ex:a ex:value 1; ex:name "Alice"@en.',
+  'ex:b ex:value 2; ex:name "Bob".',
+  'ex:c ex:value 3.',
+].join('\n'));
+
+function createIterator(query) {
+  return new SparqlIterator(query, { fragmentsClient: testClient, prefixes: prefixes });
+}
+
+describe('SparqlIterator', function () {
+  describe('The SparqlIterator module', function () {
+    it('should make SparqlIterator objects', function () {
+      SparqlIterator('SELECT * { ?s ?p ?o }').should.be.an.instanceof(SparqlIterator);
+    });
+
+    it('should be a SparqlIterator constructor', function () {
+      new SparqlIterator('SELECT * { ?s ?p ?o }').should.be.an.instanceof(SparqlIterator);
+    });
+
+    it('should make AsyncIterator objects', function () {
+      SparqlIterator('SELECT * { ?s ?p ?o }').should.be.an.instanceof(AsyncIterator);
+    });
+  });
+
+  describe('A SparqlIterator for an invalid query', function () {
+    it('should throw an InvalidQueryError', function () {
+      (function () { createIterator('SELECT { ?s ?p ?o'); })
+        .should.throw(SparqlIterator.InvalidQueryError);
+    });
+  });
+
+  describe('A SparqlIterator for a query with BIND', function () {
+    var iterator = createIterator('SELECT ?s ?double { ?s ex:value ?v. BIND(?v * 2 AS ?double) }');
+    it('should bind the value of the expression', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': EX + 'a', '?double': '"2"^^' + XSD + 'integer' },
+        { '?s': EX + 'b', '?double': '"4"^^' + XSD + 'integer' },
+        { '?s': EX + 'c', '?double': '"6"^^' + XSD + 'integer' },
+      ], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with BIND to an erroring expression', function () {
+    var iterator = createIterator('SELECT ?s ?lang { ?s ex:value ?v. BIND(LANG(?name) AS ?lang) }');
+    it('should leave the variable unbound', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': EX + 'a', '?lang': null },
+        { '?s': EX + 'b', '?lang': null },
+        { '?s': EX + 'c', '?lang': null },
+      ], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with a BIND that is filtered on', function () {
+    var iterator = createIterator('SELECT ?s { ?s ex:value ?v. BIND(?v + 1 AS ?next) FILTER(?next > 2) }');
+    it('should filter on the bound variable', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?s': EX + 'b' }, { '?s': EX + 'c' }], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with a projected expression', function () {
+    var iterator = createIterator('SELECT ?s (STR(?s) AS ?label) (?v - 1 AS ?previous)' +
+                                  '{ ?s ex:value ?v }');
+    it('should have the expression variables', function () {
+      iterator.getProperty('variables').should.deep.equal(['?s', '?label', '?previous']);
+    });
+    it('should project the values of the expressions', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': EX + 'a', '?label': '"' + EX + 'a"', '?previous': '"0"^^' + XSD + 'integer' },
+        { '?s': EX + 'b', '?label': '"' + EX + 'b"', '?previous': '"1"^^' + XSD + 'integer' },
+        { '?s': EX + 'c', '?label': '"' + EX + 'c"', '?previous': '"2"^^' + XSD + 'integer' },
+      ], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with inline VALUES', function () {
+    var client = new MemoryFragmentsClient('<urn:a> <urn:p> 1, 2. <urn:b> <urn:p> 3. <urn:c> <urn:p> 4.'),
+        iterator = new SparqlIterator('SELECT * { VALUES ?s { <urn:a> <urn:b> <urn:d> } ?s <urn:p> ?o }',
+                                      { fragmentsClient: client });
+    it('should return the matching bindings', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': 'urn:a', '?o': '"1"^^' + XSD + 'integer' },
+        { '?s': 'urn:a', '?o': '"2"^^' + XSD + 'integer' },
+        { '?s': 'urn:b', '?o': '"3"^^' + XSD + 'integer' },
+      ], done);
+    });
+    it('should only have requested fragments with the values', function () {
+      client.requestedPatterns.should.deep.equal([
+        { subject: 'urn:a', predicate: 'urn:p', object: '?o' },
+        { subject: 'urn:b', predicate: 'urn:p', object: '?o' },
+        { subject: 'urn:d', predicate: 'urn:p', object: '?o' },
+      ]);
+    });
+  });
+
+  describe('A SparqlIterator for a query with trailing VALUES', function () {
+    var client = new MemoryFragmentsClient('<urn:a> <urn:p> 1, 2. <urn:b> <urn:p> 3. <urn:c> <urn:p> 4.'),
+        iterator = new SparqlIterator('SELECT * { ?s <urn:p> ?o } VALUES (?s ?o) { (<urn:a> UNDEF) (UNDEF 4) }',
+                                      { fragmentsClient: client });
+    it('should return the matching bindings', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': 'urn:a', '?o': '"1"^^' + XSD + 'integer' },
+        { '?s': 'urn:a', '?o': '"2"^^' + XSD + 'integer' },
+        { '?s': 'urn:c', '?o': '"4"^^' + XSD + 'integer' },
+      ], done);
+    });
+    it('should only have requested fragments with the values', function () {
+      client.requestedPatterns.should.deep.equal([
+        { subject: 'urn:a', predicate: 'urn:p', object: '?o' },
+        { subject: '?s', predicate: 'urn:p', object: '"4"^^' + XSD + 'integer' },
+      ]);
+    });
+  });
+
+  describe('A SparqlIterator for a query with property paths', function () {
+    var client = new MemoryFragmentsClient([
+          '<urn:City> <urn:subClassOf> <urn:Settlement>.',
+          '<urn:Settlement> <urn:subClassOf> <urn:Place>.',
+          '<urn:Ghent> <urn:type> <urn:City>; <urn:name> "Ghent".',
+        ].join('\n')),
+        iterator = new SparqlIterator('SELECT * { ?city <urn:type>/<urn:subClassOf>* ?class; ' +
+                                      '^<urn:name>|<urn:name> ?name }', { fragmentsClient: client });
+    it('should return the matching bindings', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?city': 'urn:Ghent', '?class': 'urn:City', '?name': '"Ghent"' },
+        { '?city': 'urn:Ghent', '?class': 'urn:Settlement', '?name': '"Ghent"' },
+        { '?city': 'urn:Ghent', '?class': 'urn:Place', '?name': '"Ghent"' },
+      ], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with a subquery', function () {
+    var client = new MemoryFragmentsClient([
+      '<urn:a> <urn:type> <urn:Person>; <urn:score> 1, 3, 2.',
+      '<urn:b> <urn:type> <urn:Person>; <urn:score> 4.',
+      '<urn:c> <urn:score> 5.',
+    ].join('\n'));
+
+    describe('that is independent', function () {
+      var iterator = new SparqlIterator('SELECT * { { SELECT ?person { ?person <urn:score> ?score } ' +
+                                        'ORDER BY DESC(?score) LIMIT 2 } }', { fragmentsClient: client });
+      it('should return the projected bindings of the subquery', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?person': 'urn:c' }, { '?person': 'urn:b' }], done);
+      });
+    });
+
+    describe('that is joined with the outer bindings', function () {
+      var iterator = new SparqlIterator('SELECT ?person ?score { ?person <urn:type> <urn:Person>. ' +
+                                        '{ SELECT ?person ?score { ?person <urn:score> ?score } ' +
+                                        'ORDER BY DESC(?score) LIMIT 2 } }', { fragmentsClient: client });
+      it('should join the outer bindings with the results of the entire subquery', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?person': 'urn:b', '?score': '"4"^^' + XSD + 'integer' },
+        ], done);
+      });
+    });
+
+    describe('with a LIMIT that is joined with multiple outer bindings', function () {
+      var iterator = new SparqlIterator('SELECT ?person ?score { ?person <urn:type> <urn:Person>. ' +
+                                        '{ SELECT ?score { ?any <urn:score> ?score } ORDER BY ?score LIMIT 2 } }',
+                                        { fragmentsClient: client });
+      it('should apply the LIMIT to the subquery as a whole', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?person': 'urn:a', '?score': '"1"^^' + XSD + 'integer' },
+          { '?person': 'urn:a', '?score': '"2"^^' + XSD + 'integer' },
+          { '?person': 'urn:b', '?score': '"1"^^' + XSD + 'integer' },
+          { '?person': 'urn:b', '?score': '"2"^^' + XSD + 'integer' },
+        ], done);
+      });
+    });
+
+    describe('that binds skolemized blank nodes', function () {
+      var skolemClient = new MemoryFragmentsClient([
+        '<http://ex.org/.well-known/genid/b1> <urn:score> 7.',
+        '<http://ex.org/.well-known/genid/b1> <urn:name> "Blank".',
+      ].join('\n'));
+      var iterator = new SparqlIterator('SELECT ?name { { SELECT ?s { ?s <urn:score> 7 } } ?s <urn:name> ?name }',
+                                        { fragmentsClient: skolemClient });
+      it('should use the skolemized IRIs in the outer query', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?name': '"Blank"' }], done);
+      });
+    });
+  });
+
+  describe('A SparqlIterator for a query with OPTIONAL and FILTER', function () {
+    var client = new MemoryFragmentsClient([
+      '@prefix dbpedia: <http://dbpedia.org/resource/>.',
+      '@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#>.',
+      'dbpedia:Mickey_Mouse <urn:friend> dbpedia:Minnie_Mouse; <urn:creator> dbpedia:Walt_Disney; <urn:age> 90.',
+      'dbpedia:Minnie_Mouse rdfs:label "Minnie Mouse"@en, "Minnie"@fr.',
+      'dbpedia:Walt_Disney rdfs:label "Walt Disney"@fr.',
+    ].join('\n'));
+    var options = { fragmentsClient: client, prefixes: configPrefixes };
+
+    describe('outside of the OPTIONAL group', function () {
+      var query = fs.readFileSync(path.join(__dirname, '../../queries/optional-filter.sparql'), 'utf8'),
+          iterator = new SparqlIterator(query, options);
+      it('should remove the rows that do not match the filter', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?p': 'urn:friend', '?o': 'http://dbpedia.org/resource/Minnie_Mouse', '?l': '"Minnie Mouse"@en' },
+        ], done);
+      });
+    });
+
+    describe('inside of the OPTIONAL group', function () {
+      var query = fs.readFileSync(path.join(__dirname, '../../queries/optional-filter.sparql'), 'utf8')
+                    .replace(/\}\s*(FILTER.*)/, '$1 }'),
+          iterator = new SparqlIterator(query, options);
+      it('should keep all outer rows, and only bind the matching optional values', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?p': 'urn:friend', '?o': 'http://dbpedia.org/resource/Minnie_Mouse', '?l': '"Minnie Mouse"@en' },
+          { '?p': 'urn:creator', '?o': 'http://dbpedia.org/resource/Walt_Disney' },
+          { '?p': 'urn:age', '?o': '"90"^^http://www.w3.org/2001/XMLSchema#integer' },
+        ], done);
+      });
+    });
+
+    describe('inside of the OPTIONAL group on an outer variable', function () {
+      var iterator = new SparqlIterator('SELECT * { dbpedia:Mickey_Mouse ?p ?o. ' +
+                                        'OPTIONAL { ?o rdfs:label ?l FILTER(?p = <urn:creator>) } }', options);
+      it('should evaluate the filter with the outer bindings', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?p': 'urn:friend', '?o': 'http://dbpedia.org/resource/Minnie_Mouse' },
+          { '?p': 'urn:creator', '?o': 'http://dbpedia.org/resource/Walt_Disney', '?l': '"Walt Disney"@fr' },
+          { '?p': 'urn:age', '?o': '"90"^^http://www.w3.org/2001/XMLSchema#integer' },
+        ], done);
+      });
+    });
+  });
+
+  describe('A SparqlIterator for a query with MINUS', function () {
+    var client = new MemoryFragmentsClient([
+      '<urn:a> <urn:type> <urn:Person>; <urn:name> "a".',
+      '<urn:b> <urn:type> <urn:Person>; <urn:name> "b".',
+      '<urn:c> <urn:type> <urn:Person>.',
+      '<urn:a> <urn:banned> true.',
+    ].join('\n'));
+
+    describe('with shared variables', function () {
+      var iterator = new SparqlIterator('SELECT ?p { ?p <urn:type> <urn:Person> MINUS { ?p <urn:banned> true } }',
+                                        { fragmentsClient: client });
+      it('should remove the compatible solutions', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?p': 'urn:b' }, { '?p': 'urn:c' }], done);
+      });
+    });
+
+    describe('with a filter on an outer variable', function () {
+      var iterator = new SparqlIterator('SELECT ?p { ?p <urn:type> <urn:Person> OPTIONAL { ?p <urn:banned> ?b } ' +
+                                        'MINUS { ?p <urn:name> ?n FILTER(BOUND(?b)) } }',
+                                        { fragmentsClient: client });
+      it('should evaluate the group independently of the outer solutions', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?p': 'urn:a' }, { '?p': 'urn:b' }, { '?p': 'urn:c' }], done);
+      });
+    });
+
+    describe('without shared variables', function () {
+      var iterator = new SparqlIterator('SELECT ?p { ?p <urn:type> <urn:Person> MINUS { ?x <urn:banned> true } }',
+                                        { fragmentsClient: client });
+      it('should not remove any solutions', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?p': 'urn:a' }, { '?p': 'urn:b' }, { '?p': 'urn:c' }], done);
+      });
+    });
+  });
+
+  describe('A SparqlIterator for a query with ORDER BY', function () {
+    var client = new MemoryFragmentsClient([
+      '<urn:a> <urn:p> 10; <urn:q> "x".',
+      '<urn:b> <urn:p> 9; <urn:q> "y".',
+      '<urn:c> <urn:p> 10; <urn:q> "z".',
+      '<urn:d> <urn:p> <urn:x>.',
+    ].join('\n'));
+
+    describe('on a single key', function () {
+      var iterator = new SparqlIterator('SELECT ?s { ?s <urn:p> ?o } ORDER BY ?o', { fragmentsClient: client });
+      it('should order IRIs before literals, with numbers by value', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?s': 'urn:d' }, { '?s': 'urn:b' }, { '?s': 'urn:a' }, { '?s': 'urn:c' },
+        ], done);
+      });
+    });
+
+    describe('on multiple keys with mixed directions', function () {
+      var iterator = new SparqlIterator('SELECT ?s { ?s <urn:p> ?o; <urn:q> ?n } ORDER BY DESC(?o) ?n',
+                                        { fragmentsClient: client });
+      it('should order by the later keys if the earlier ones are equal', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?s': 'urn:a' }, { '?s': 'urn:c' }, { '?s': 'urn:b' }], done);
+      });
+    });
+
+    describe('on an unbound key', function () {
+      var iterator = new SparqlIterator('SELECT ?s { ?s <urn:p> ?o OPTIONAL { ?s <urn:q> ?n } } ORDER BY DESC(?n)',
+                                        { fragmentsClient: client });
+      it('should order unbound values last when descending', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?s': 'urn:c' }, { '?s': 'urn:b' }, { '?s': 'urn:a' }, { '?s': 'urn:d' },
+        ], done);
+      });
+    });
+  });
+
+  describe('A SparqlIterator for a query with IRI and a base IRI', function () {
+    var iterator = createIterator('BASE <http://example.org/people/> ' +
+                                  'SELECT ?iri { ex:b ex:name ?n. BIND(IRI(?n) AS ?iri) }');
+    it('should resolve the IRIs against the base IRI', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?iri': EX + 'people/Bob' }], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with COALESCE and IN', function () {
+    var iterator = createIterator('SELECT ?s ?name { ?s ex:value ?v. OPTIONAL { ?s ex:name ?n } ' +
+                                  'FILTER(?v NOT IN (2)) BIND(COALESCE(?n, "unknown") AS ?name) }');
+    it('should return the bindings with a default for missing values', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?s': EX + 'a', '?name': '"Alice"@en' },
+        { '?s': EX + 'c', '?name': '"unknown"' },
+      ], done);
+    });
+  });
+
+  describe('A SparqlIterator for a query with REDUCED', function () {
+    var iterator = createIterator('SELECT REDUCED ?p { ?s ?p ?o }');
+    it('should remove duplicate bindings', function (done) {
+      iterator.should.be.an.iteratorOf([{ '?p': EX + 'value' }, { '?p': EX + 'name' }], done);
+    });
+  });
+
+  describe('A SparqlIterator for a CONSTRUCT WHERE query', function () {
+    describe('with solutions', function () {
+      var iterator = createIterator('CONSTRUCT WHERE { ?s ex:name ?n. ex:a ex:value 1 }');
+      it('should return the triple patterns instantiated with each solution', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { subject: EX + 'a', predicate: EX + 'value', object: '"1"^^' + XSD + 'integer' },
+          { subject: EX + 'a', predicate: EX + 'name', object: '"Alice"@en' },
+          { subject: EX + 'b', predicate: EX + 'name', object: '"Bob"' },
+        ], done);
+      });
+    });
+
+    describe('without solutions', function () {
+      var iterator = createIterator('CONSTRUCT WHERE { ?s ex:name ?n. ex:a ex:value 2 }');
+      it('should not return any triples', function (done) {
+        iterator.should.be.an.iteratorOf([], done);
+      });
+    });
+  });
+
+  describe('A SparqlIterator for a DESCRIBE query', function () {
+    var client = new MemoryFragmentsClient([
+      '@prefix genid: <http://example.org/.well-known/genid/>.',
+      '<urn:a> <urn:p> genid:b1; <urn:q> "a".',
+      'genid:b1 <urn:p> genid:b2.',
+      'genid:b2 <urn:q> "b2".',
+      '<urn:c> <urn:p> <urn:a>; <urn:q> "c".',
+    ].join('\n'));
+
+    describe('of an IRI', function () {
+      var iterator = new SparqlIterator('DESCRIBE <urn:a>', { fragmentsClient: client });
+      it('should return the triples of the IRI and its blank nodes', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { subject: 'urn:a', predicate: 'urn:p', object: '_:b1' },
+          { subject: 'urn:a', predicate: 'urn:q', object: '"a"' },
+          { subject: '_:b1', predicate: 'urn:p', object: '_:b2' },
+          { subject: '_:b2', predicate: 'urn:q', object: '"b2"' },
+        ], done);
+      });
+    });
+
+    describe('of a variable with a limited depth', function () {
+      var iterator = new SparqlIterator('DESCRIBE ?s { ?s <urn:q> "a" }',
+                                        { fragmentsClient: client, describeDepth: 1 });
+      it('should only follow blank nodes up to that depth', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { subject: 'urn:a', predicate: 'urn:p', object: '_:b1' },
+          { subject: 'urn:a', predicate: 'urn:q', object: '"a"' },
+          { subject: '_:b1', predicate: 'urn:p', object: '_:b2' },
+        ], done);
+      });
+    });
+
+    describe('with incoming triples', function () {
+      var iterator = new SparqlIterator('DESCRIBE <urn:a>',
+                                        { fragmentsClient: client, describeIncoming: true, describeDepth: 0 });
+      it('should also return the triples that lead to the IRI', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { subject: 'urn:a', predicate: 'urn:p', object: '_:b1' },
+          { subject: 'urn:a', predicate: 'urn:q', object: '"a"' },
+          { subject: 'urn:c', predicate: 'urn:p', object: 'urn:a' },
+        ], done);
+      });
+    });
+  });
+
+  describe('A SparqlIterator for a query with NOW', function () {
+    var iterator = createIterator('SELECT ?s (NOW() AS ?now) { ?s ex:value ?v }');
+    it('should evaluate NOW to the same time for all bindings', function (done) {
+      var times = [];
+      iterator.on('data', function (bindings) { times.push(bindings['?now']); });
+      iterator.on('end', function () {
+        times.should.have.length(3);
+        times[1].should.equal(times[0]);
+        times[2].should.equal(times[0]);
+        done();
+      });
+    });
+  });
+  describe('A SparqlIterator for a query with BNODE', function () {
+    var iterator = createIterator('SELECT ?s (BNODE("x") AS ?a) (BNODE("x") AS ?b) (BNODE("y") AS ?c) { ?s ex:value ?v }');
+    it('should create the same blank node for the same label within a solution only', function (done) {
+      var blankNodes = [];
+      iterator.on('data', function (bindings) {
+        bindings['?a'].should.match(/^_:bnode[0-9a-f]+_\d+_\d+$/);
+        bindings['?b'].should.equal(bindings['?a']);
+        bindings['?c'].should.not.equal(bindings['?a']);
+        blankNodes.push(bindings['?a']);
+      });
+      iterator.on('end', function () {
+        _.uniq(blankNodes).should.have.length(3);
+        done();
+      });
+    });
+  });
+
+  describe('A SparqlIterator for a query over named graphs', function () {
+    var client = new MemoryFragmentsClient([
+      '<urn:a> <urn:p> 1.',
+      '<urn:g1> { <urn:a> <urn:p> 2. <urn:b> <urn:p> 3. }',
+      '<urn:g2> { <urn:a> <urn:p> 2. <urn:c> <urn:p> 4. }',
+    ].join('\n'));
+
+    describe('without a graph', function () {
+      var iterator = new SparqlIterator('SELECT * { ?s <urn:p> ?o }', { fragmentsClient: client });
+      it('should return the bindings of the default graph', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?s': 'urn:a', '?o': '"1"^^' + XSD + 'integer' }], done);
+      });
+    });
+
+    describe('with a variable graph', function () {
+      var iterator = new SparqlIterator('SELECT * { GRAPH ?g { ?s <urn:p> ?o } }', { fragmentsClient: client });
+      it('should bind the graph of each match', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?g': 'urn:g1', '?s': 'urn:a', '?o': '"2"^^' + XSD + 'integer' },
+          { '?g': 'urn:g1', '?s': 'urn:b', '?o': '"3"^^' + XSD + 'integer' },
+          { '?g': 'urn:g2', '?s': 'urn:a', '?o': '"2"^^' + XSD + 'integer' },
+          { '?g': 'urn:g2', '?s': 'urn:c', '?o': '"4"^^' + XSD + 'integer' },
+        ], done);
+      });
+    });
+
+    describe('with a fixed graph', function () {
+      var iterator = new SparqlIterator('SELECT ?s { GRAPH <urn:g2> { ?s <urn:p> ?o } }', { fragmentsClient: client });
+      it('should return the bindings of that graph', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?s': 'urn:a' }, { '?s': 'urn:c' }], done);
+      });
+    });
+
+    describe('with FROM', function () {
+      var iterator = new SparqlIterator('SELECT ?s FROM <urn:g1> FROM <urn:g2> { ?s <urn:p> 2 }',
+                                        { fragmentsClient: client });
+      it('should return the bindings of the merged graphs once', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?s': 'urn:a' }], done);
+      });
+    });
+
+    describe('with FROM NAMED', function () {
+      var iterator = new SparqlIterator('SELECT ?g ?s FROM NAMED <urn:g2> { GRAPH ?g { ?s <urn:p> ?o } }',
+                                        { fragmentsClient: client });
+      it('should only return the bindings of the named graphs', function (done) {
+        iterator.should.be.an.iteratorOf([{ '?g': 'urn:g2', '?s': 'urn:a' }, { '?g': 'urn:g2', '?s': 'urn:c' }], done);
+      });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var ValuesIterator = require('../../lib/sparql/ValuesIterator');
+
+var AsyncIterator = require('asynciterator');
+
+describe('ValuesIterator', function () {
+  describe('The ValuesIterator module', function () {
+    it('should make ValuesIterator objects', function () {
+      ValuesIterator().should.be.an.instanceof(ValuesIterator);
+    });
+
+    it('should be a ValuesIterator constructor', function () {
+      new ValuesIterator().should.be.an.instanceof(ValuesIterator);
+    });
+
+    it('should make AsyncIterator objects', function () {
+      ValuesIterator().should.be.an.instanceof(AsyncIterator);
+    });
+
+    it('should be an AsyncIterator constructor', function () {
+      new ValuesIterator().should.be.an.instanceof(AsyncIterator);
+    });
+  });
+
+  describe('A ValuesIterator with an empty source', function () {
+    var iterator = new ValuesIterator(AsyncIterator.empty(), [{ '?a': 'x' }]);
+    it('should not return any bindings', function (done) {
+      iterator.should.be.an.iteratorOf([], done);
+    });
+  });
+
+  describe('A ValuesIterator without values', function () {
+    var iterator = new ValuesIterator(AsyncIterator.single({}), []);
+    it('should not return any bindings', function (done) {
+      iterator.should.be.an.iteratorOf([], done);
+    });
+  });
+
+  describe('A ValuesIterator with an empty binding as source', function () {
+    var iterator = new ValuesIterator(AsyncIterator.single({}), [
+      { '?a': 'x' },
+      { '?a': 'y', '?b': 'z' },
+    ]);
+    it('should return the values', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?a': 'x' },
+        { '?a': 'y', '?b': 'z' },
+      ], done);
+    });
+  });
+
+  describe('A ValuesIterator with values that are partly compatible with the source', function () {
+    var iterator = new ValuesIterator(AsyncIterator.fromArray([{ '?b': 'z' }, { '?b': 'w', '?c': 'v' }]), [
+      { '?a': 'x' },
+      { '?a': 'y', '?b': 'z' },
+      { '?a': undefined },
+    ]);
+    it('should return the compatible combinations', function (done) {
+      iterator.should.be.an.iteratorOf([
+        { '?a': 'x', '?b': 'z' },
+        { '?a': 'y', '?b': 'z' },
+        { '?b': 'z' },
+        { '?a': 'x', '?b': 'w', '?c': 'v' },
+        { '?b': 'w', '?c': 'v' },
+      ], done);
+    });
+  });
+});
@@ -2,6 +2,7 @@
 var FragmentsClient = require('../../lib/triple-pattern-fragments/FragmentsClient');
 
 var AsyncIterator = require('asynciterator'),
+    MemoryFragmentCache = require('../../lib/cache/MemoryFragmentCache'),
     rdf = require('../../lib/util/RdfUtil'),
     fs = require('fs'),
     path = require('path');
@@ -197,6 +198,161 @@ describe('FragmentsClient', function () {
     });
   });
 
+  describe('A FragmentsClient with a start fragment that supports bindings', function () {
+    var startFragment = new AsyncIterator();
+    startFragment.setProperty('controls', {
+      supportsBindings: true,
+      getFragmentUrl: function (pattern) {
+        return JSON.stringify(pattern);
+      },
+    });
+    var httpClient = { get: sinon.stub().returns(AsyncIterator.empty()) },
+        client = new FragmentsClient(startFragment, { httpClient: httpClient });
+
+    describe('when asked for a pattern with bindings', function () {
+      before(function () {
+        client.getFragmentByPattern({
+          subject: '?s', predicate: 'urn:p', object: '?o',
+          bindings: [{ '?s': 'urn:a', '?o': '"x"y"@en' }, { '?o': '"1"^^urn:int' }],
+        });
+      });
+
+      it('should GET the fragment restricted to the bindings as a VALUES clause', function () {
+        httpClient.get.should.have.been.calledOnce;
+        JSON.parse(httpClient.get.getCall(0).args[0]).should.deep.equal({
+          subject: '?s', predicate: 'urn:p', object: '?o',
+          values: 'VALUES (?s ?o) { (<urn:a> "x\\"y"@en) (UNDEF "1"^^<urn:int>) }',
+        });
+      });
+    });
+  });
+
+  describe('A FragmentsClient with a page cache', function () {
+    var startFragment = new AsyncIterator(), pageCache = new MemoryFragmentCache(),
+        pattern = rdf.triple('?s', 'dbpedia-owl:birthPlace', 'dbpedia:York'),
+        pageUrl = 'http://data.linkeddatafragments.org/dbpedia?subject=&predicate=dbpedia-owl%3AbirthPlace&object=dbpedia%3AYork';
+    startFragment.setProperty('controls', { getFragmentUrl: function () { return pageUrl; } });
+    function createClient(httpClient) {
+      return new FragmentsClient(startFragment, { httpClient: httpClient, fragmentCache: pageCache });
+    }
+    // Creates an HTTP client that responds with the given status code and headers
+    function createHttpClient(statusCode, headers) {
+      return { get: sinon.spy(function () {
+        var page = statusCode !== 200 ? AsyncIterator.empty() :
+                   fromFile(path.join(__dirname, '/../data/fragments/$-birthplace-york.ttl'));
+        page.setProperties({ statusCode: statusCode, contentType: 'text/turtle', headers: headers });
+        return page;
+      }) };
+    }
+
+    describe('when fetching a fragment that is not cached yet', function () {
+      var httpClient = createHttpClient(200, { 'cache-control': 'max-age=60', 'etag': '"v1"' }), result;
+      before(function (done) {
+        result = createClient(httpClient).getFragmentByPattern(pattern);
+        result.should.be.an.iteratorWithLength(19, function () { setImmediate(done); });
+      });
+
+      it('should GET the fragment without the HTTP cache', function () {
+        httpClient.get.should.have.been.calledOnce;
+        httpClient.get.getCall(0).args[2].should.deep.equal({ cache: false });
+      });
+
+      it('should store the page with its data, metadata, and validators', function (done) {
+        pageCache.get(pageUrl, function (error, page) {
+          page.should.have.property('url', pageUrl);
+          page.should.have.property('etag', '"v1"');
+          page.triples.should.have.length(19);
+          page.metadata.should.not.be.empty;
+          page.expires.should.be.above(Date.now());
+          done(error);
+        });
+      });
+    });
+
+    describe('when fetching a fragment that is cached and fresh', function () {
+      var httpClient = createHttpClient(500), result;
+      before(function () { result = createClient(httpClient).getFragmentByPattern(pattern); });
+
+      it('should stream the data triples of the cached page', function (done) {
+        result.should.be.an.iteratorWithLength(19, done);
+      });
+
+      it('should emit the metadata of the cached page', function (done) {
+        result.getProperty('metadata', function (metadata) {
+          metadata.should.deep.equal({ totalTriples: 169 });
+          done();
+        });
+      });
+
+      it('should not GET the fragment', function () {
+        httpClient.get.should.not.have.been.called;
+      });
+    });
+
+    describe('when fetching a fragment that is cached and expired', function () {
+      var httpClient = createHttpClient(304, { 'cache-control': 'max-age=60' }), result;
+      before(function (done) {
+        pageCache.get(pageUrl, function (error, page) {
+          page.expires = Date.now() - 1000;
+          result = createClient(httpClient).getFragmentByPattern(pattern);
+          done(error);
+        });
+      });
+
+      it('should stream the data triples of the cached page', function (done) {
+        result.should.be.an.iteratorWithLength(19, done);
+      });
+
+      it('should revalidate the page with its validators', function () {
+        httpClient.get.should.have.been.calledOnce;
+        httpClient.get.getCall(0).args[1].should.have.property('if-none-match', '"v1"');
+      });
+
+      it('should renew the freshness of the cached page', function (done) {
+        pageCache.get(pageUrl, function (error, page) {
+          page.expires.should.be.above(Date.now());
+          done(error);
+        });
+      });
+    });
+  });
+
+  describe('A FragmentsClient with a page cache and credentials', function () {
+    var startFragment = new AsyncIterator(), pageCache = new MemoryFragmentCache(),
+        pattern = rdf.triple('?s', 'dbpedia-owl:birthPlace', 'dbpedia:York'),
+        pageUrl = 'http://data.linkeddatafragments.org/dbpedia?subject=&predicate=dbpedia-owl%3AbirthPlace&object=dbpedia%3AYork';
+    startFragment.setProperty('controls', { getFragmentUrl: function () { return pageUrl; } });
+    var httpClient = {
+      hasCredentials: function () { return true; },
+      get: sinon.spy(function () {
+        var page = fromFile(path.join(__dirname, '/../data/fragments/$-birthplace-york.ttl'));
+        page.setProperties({ statusCode: 200, contentType: 'text/turtle', headers: { 'cache-control': 'max-age=60' } });
+        return page;
+      }),
+    };
+    var client = new FragmentsClient(startFragment, { httpClient: httpClient, fragmentCache: pageCache });
+
+    describe('when fetching a fragment of which a fresh page is cached', function () {
+      var cachedPage = { url: pageUrl, triples: [], metadata: [], expires: Date.now() + 60000 };
+      before(function (done) {
+        pageCache.set(pageUrl, cachedPage, function () {
+          client.getFragmentByPattern(pattern).should.be.an.iteratorWithLength(19, function () { setImmediate(done); });
+        });
+      });
+
+      it('should GET the fragment instead of using the cached page', function () {
+        httpClient.get.should.have.been.calledOnce;
+      });
+
+      it('should not store the page', function (done) {
+        pageCache.get(pageUrl, function (error, page) {
+          page.should.equal(cachedPage);
+          done(error);
+        });
+      });
+    });
+  });
+
   describe('A FragmentsClient with a start fragment that errors', function () {
     var startFragment = new AsyncIterator();
     var emittedError = new Error('startfragment error');
@@ -4,6 +4,8 @@ var ReorderingGraphPatternIterator = require('../../lib/triple-pattern-fragments
 var AsyncIterator = require('asynciterator'),
     TriplePatternIterator = require('../../lib/triple-pattern-fragments/TriplePatternIterator'),
     FileFragmentsClient = require('../lib/FileFragmentsClient'),
+    MemoryFragmentsClient = require('../lib/MemoryFragmentsClient'),
+    RequestError = require('../../lib/util/HttpClient').RequestError,
     rdf = require('../../lib/util/RdfUtil');
 
 var testClient = new FileFragmentsClient();
@@ -118,4 +120,45 @@ describe('ReorderingGraphPatternIterator', function () {
       });
     });
   });
+
+  describe('a ReorderingGraphPatternIterator with a fragment that fails', function () {
+    // Creates a client whose fragments for the predicate fail with the error
+    function createClient(failingPredicate, error) {
+      var client = new MemoryFragmentsClient('<urn:a> <urn:p> <urn:b>. <urn:b> <urn:q> <urn:c>.'),
+          getFragmentByPattern = client.getFragmentByPattern;
+      client.getFragmentByPattern = function (pattern) {
+        if (pattern.predicate !== failingPredicate)
+          return getFragmentByPattern.call(client, pattern);
+        var fragment = new AsyncIterator.BufferedIterator();
+        setImmediate(function () { fragment.emit('error', error); });
+        return fragment;
+      };
+      return client;
+    }
+    var query = [rdf.triple('?s', 'urn:p', '?o'), rdf.triple('?o', 'urn:q', '?x')];
+
+    describe('because its request failed on every attempt', function () {
+      var error = new RequestError({ url: 'http://example.org/', attempts: 3 }, new Error('timeout'));
+
+      it('should emit the error of the fragment', function (done) {
+        var iterator = new ReorderingGraphPatternIterator(AsyncIterator.single({}), query,
+                                                          { fragmentsClient: createClient('urn:q', error) });
+        iterator.on('error', function (iteratorError) {
+          iteratorError.should.equal(error);
+          done();
+        });
+        iterator.read();
+      });
+    });
+
+    describe('because of another error', function () {
+      var error = new Error('Could not retrieve http://example.org/ (404)');
+
+      it('should treat the fragment as empty', function (done) {
+        var iterator = new ReorderingGraphPatternIterator(AsyncIterator.single({}), query,
+                                                          { fragmentsClient: createClient('urn:q', error) });
+        iterator.should.be.an.iteratorOf([], done);
+      });
+    });
+  });
 });
@@ -76,4 +76,35 @@ describe('TrigFragmentIterator', function () {
       fragment.metadataStream.should.be.an.iteratorWithLength(34, done);
     });
   });
+
+  describe('A TrigFragmentIterator for a fragment with named data graphs', function () {
+    var fragmentUrl = 'http://example.org/fragment', fragment;
+    before(function () {
+      var source = AsyncIterator.fromArray([[
+        '<urn:a> <urn:p> <urn:b>.',
+        '<urn:g> { <urn:a> <urn:p> <urn:c>. }',
+        '<urn:h> { <urn:a> <http://www.w3.org/ns/hydra/core#search> <urn:d>. }',
+        '<http://example.org/fragment#metadata> {',
+        '  <http://example.org/fragment> <http://rdfs.org/ns/void#triples> 3.',
+        '}',
+        '<urn:controls> {',
+        '  <urn:dataset> <http://www.w3.org/ns/hydra/core#search> <urn:form>.',
+        '  <urn:controls> <http://xmlns.com/foaf/0.1/primaryTopic> <http://example.org/fragment>.',
+        '}',
+      ].join('\n')]);
+      fragment = new TrigFragmentIterator(source, fragmentUrl);
+    });
+
+    it('should return the triples of the default graph and the named data graphs', function (done) {
+      fragment.should.be.an.iteratorOf([
+        { subject: 'urn:a', predicate: 'urn:p', object: 'urn:b', graph: '' },
+        { subject: 'urn:a', predicate: 'urn:p', object: 'urn:c', graph: 'urn:g' },
+        { subject: 'urn:a', predicate: 'http://www.w3.org/ns/hydra/core#search', object: 'urn:d', graph: 'urn:h' },
+      ], done);
+    });
+
+    it('should return the metadata graph and the graphs about the fragment in the metadata stream', function (done) {
+      fragment.metadataStream.should.be.an.iteratorWithLength(3, done);
+    });
+  });
 });
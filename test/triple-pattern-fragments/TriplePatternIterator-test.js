@@ -3,6 +3,8 @@ var TriplePatternIterator = require('../../lib/triple-pattern-fragments/TriplePa
 
 var AsyncIterator = require('asynciterator'),
     FileFragmentsClient = require('../lib/FileFragmentsClient'),
+    MemoryFragmentsClient = require('../lib/MemoryFragmentsClient'),
+    RequestError = require('../../lib/util/HttpClient').RequestError,
     rdf = require('../../lib/util/RdfUtil');
 
 var testClient = new FileFragmentsClient();
@@ -137,4 +139,89 @@ describe('TriplePatternIterator', function () {
       });
     });
   });
+
+  describe('a TriplePatternIterator with a client that supports bindings', function () {
+    // Creates a client that reports its controls and ignores the bindings in patterns
+    function createClient(supportsBindings) {
+      var client = new MemoryFragmentsClient('<urn:a> <urn:p> <urn:x>. <urn:b> <urn:p> <urn:y>. ' +
+                                             '<urn:c> <urn:q> <urn:z>.');
+      client.getControls = function (callback) {
+        setImmediate(callback, null, { supportsBindings: supportsBindings });
+      };
+      return client;
+    }
+    function createSource() {
+      return AsyncIterator.fromArray([{ '?s': 'urn:a' }, { '?s': 'urn:b', '?t': 'urn:t' }, { '?s': 'urn:c' }]);
+    }
+    var pattern = rdf.triple('?s', 'urn:p', '?o'),
+        expectedBindings = [{ '?s': 'urn:a', '?o': 'urn:x' }, { '?s': 'urn:b', '?t': 'urn:t', '?o': 'urn:y' }];
+
+    describe('when the server supports bindings', function () {
+      var client = createClient(true),
+          iterator = new TriplePatternIterator(createSource(), pattern,
+                                               { fragmentsClient: client, bindingsPerRequest: 2 });
+
+      it('should extend the bindings with the matching triples', function (done) {
+        iterator.should.be.an.iteratorOf(expectedBindings, done);
+      });
+
+      it('should request one fragment per batch of bindings', function () {
+        client.requestedPatterns.should.deep.equal([
+          { subject: '?s', predicate: 'urn:p', object: '?o', bindings: [{ '?s': 'urn:a' }, { '?s': 'urn:b' }] },
+          { subject: '?s', predicate: 'urn:p', object: '?o', bindings: [{ '?s': 'urn:c' }] },
+        ]);
+      });
+    });
+
+    describe('when some bindings do not bind any variable of the pattern', function () {
+      var client = createClient(true),
+          source = AsyncIterator.fromArray([{ '?s': 'urn:a' }, { '?z': 'urn:q' }]),
+          iterator = new TriplePatternIterator(source, pattern, { fragmentsClient: client, bindingsPerRequest: 2 });
+
+      it('should extend all of the bindings with the matching triples', function (done) {
+        iterator.should.be.an.iteratorOf([
+          { '?s': 'urn:a', '?o': 'urn:x' }, { '?z': 'urn:q', '?s': 'urn:a', '?o': 'urn:x' },
+          { '?z': 'urn:q', '?s': 'urn:b', '?o': 'urn:y' },
+        ], done);
+      });
+
+      it('should request the fragment without restricting it to the bindings', function () {
+        client.requestedPatterns.should.deep.equal([pattern]);
+      });
+    });
+
+    describe('when the server does not support bindings', function () {
+      var client = createClient(false),
+          iterator = new TriplePatternIterator(createSource(), pattern,
+                                               { fragmentsClient: client, bindingsPerRequest: 2 });
+
+      it('should extend the bindings with the matching triples', function (done) {
+        iterator.should.be.an.iteratorOf(expectedBindings, done);
+      });
+
+      it('should request one fragment per binding', function () {
+        client.requestedPatterns.should.have.length(3);
+        client.requestedPatterns[0].should.deep.equal(rdf.triple('urn:a', 'urn:p', '?o'));
+      });
+    });
+  });
+
+  describe('a TriplePatternIterator whose fragment fails', function () {
+    var error = new RequestError({ url: 'http://example.org/', attempts: 3 }, new Error('timeout')),
+        client = { getFragmentByPattern: function () {
+          var fragment = new AsyncIterator.BufferedIterator();
+          setImmediate(function () { fragment.emit('error', error); });
+          return fragment;
+        } };
+
+    it('should emit the error of the fragment', function (done) {
+      var iterator = new TriplePatternIterator(AsyncIterator.single({}), patterns.york_p_o,
+                                               { fragmentsClient: client });
+      iterator.on('error', function (iteratorError) {
+        iteratorError.should.equal(error);
+        done();
+      });
+      iterator.read();
+    });
+  });
 });
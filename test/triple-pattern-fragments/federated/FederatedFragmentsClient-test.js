@@ -4,6 +4,7 @@ var FederatedFragmentsClient = require('../../../lib/triple-pattern-fragments/fe
 var FragmentsClient = require('../../../lib/triple-pattern-fragments/FragmentsClient'),
     AsyncIterator = require('asynciterator'),
     rdf = require('../../../lib/util/RdfUtil'),
+    EventEmitter = require('events').EventEmitter,
     fs = require('fs'),
     path = require('path');
 
@@ -28,6 +29,28 @@ describe('FederatedFragmentsClient', function () {
     it('should be a FederatedFragmentsClient constructor if more than one start fragment', function () {
       new FederatedFragmentsClient(['http://data.linkeddatafragments.org/a', 'http://data.linkeddatafragments.org/b']).should.be.an.instanceof(FederatedFragmentsClient);
     });
+
+    it('should let its clients share a single HTTP client', function () {
+      var client = new FederatedFragmentsClient(['http://data.linkeddatafragments.org/a', 'http://data.linkeddatafragments.org/b']);
+      client._clients[0]._httpClient.should.equal(client._clients[1]._httpClient);
+    });
+  });
+
+  describe('A FederatedFragmentsClient with a limit for a host of several sources', function () {
+    var createRequest = sinon.spy(function () { return new EventEmitter(); });
+    var client = new FederatedFragmentsClient([
+      'http://a.example.org/one', 'http://a.example.org/two', 'http://b.example.org/three',
+    ], { request: createRequest, timeout: 0, hostLimits: { 'a.example.org': { concurrentRequests: 1 } } });
+    after(function () { client._clients[0]._httpClient.abortAll(); });
+
+    it('should only send one request to that host at a time', function (done) {
+      setImmediate(function () {
+        createRequest.should.have.been.calledTwice;
+        createRequest.args.map(function (args) { return args[0].url; })
+          .should.deep.equal(['http://a.example.org/one', 'http://b.example.org/three']);
+        done();
+      });
+    });
   });
 
   describe('A FederatedFragmentsClient with no start fragments', function () {
@@ -0,0 +1,113 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var Authenticator = require('../../lib/util/Authenticator');
+
+// Gets the headers for the URL from the authenticator, which must be known synchronously
+function getHeaders(authenticator, url) {
+  var result;
+  authenticator.getHeaders(url, function (error, headers) { result = error || headers; });
+  return result;
+}
+
+describe('Authenticator', function () {
+  describe('The Authenticator module', function () {
+    it('should make Authenticator objects', function () {
+      Authenticator().should.be.an.instanceof(Authenticator);
+    });
+
+    it('should be an Authenticator constructor', function () {
+      new Authenticator().should.be.an.instanceof(Authenticator);
+    });
+  });
+
+  describe('The getOrigin function', function () {
+    it('should return the scheme, host, and port of a URL', function () {
+      Authenticator.getOrigin('http://example.org:8080/dataset?subject=a').should.equal('http://example.org:8080');
+    });
+
+    it('should omit the default port of the scheme', function () {
+      Authenticator.getOrigin('http://example.org:80/dataset').should.equal('http://example.org');
+      Authenticator.getOrigin('https://example.org:443/dataset').should.equal('https://example.org');
+      Authenticator.getOrigin('https://example.org:80/dataset').should.equal('https://example.org:80');
+    });
+  });
+
+  describe('An Authenticator with static credentials', function () {
+    var authenticator = new Authenticator({ credentials: {
+      'https://basic.example.org': { username: 'alice', password: 'secret' },
+      'http://bearer.example.org:8080/dataset': { token: 'abc' },
+      'http://headers.example.org': { headers: { 'X-Api-Key': '123' } },
+    } });
+
+    it('should add a Basic authorization header', function () {
+      getHeaders(authenticator, 'https://basic.example.org/dataset?subject=a')
+        .should.deep.equal({ authorization: 'Basic YWxpY2U6c2VjcmV0' });
+    });
+
+    it('should add a Bearer authorization header for all URLs on the origin of a source', function () {
+      getHeaders(authenticator, 'http://bearer.example.org:8080/other')
+        .should.deep.equal({ authorization: 'Bearer abc' });
+    });
+
+    it('should add other headers', function () {
+      getHeaders(authenticator, 'http://headers.example.org:80/dataset')
+        .should.deep.equal({ 'x-api-key': '123' });
+    });
+
+    it('should not add headers for other schemes, hosts, or ports', function () {
+      expect(getHeaders(authenticator, 'http://basic.example.org/dataset')).to.be.null;
+      expect(getHeaders(authenticator, 'https://basic.example.org.attacker.org/dataset')).to.be.null;
+      expect(getHeaders(authenticator, 'https://sub.basic.example.org/dataset')).to.be.null;
+      expect(getHeaders(authenticator, 'http://bearer.example.org/dataset')).to.be.null;
+    });
+
+    it('should not be able to obtain new tokens', function () {
+      authenticator.invalidate('http://bearer.example.org:8080/', { authorization: 'Bearer abc' }).should.be.false;
+    });
+  });
+
+  describe('An Authenticator with a token hook', function () {
+    var tokens = ['first', 'second'];
+    var getToken = sinon.spy(function (callback) {
+      setImmediate(callback, null, tokens.shift());
+    });
+    var authenticator = new Authenticator({ credentials: { 'https://example.org': { getToken: getToken } } });
+
+    it('should obtain a single token for concurrent requests', function (done) {
+      var pending = 2;
+      function check(error, headers) {
+        headers.should.deep.equal({ authorization: 'Bearer first' });
+        --pending || done(error);
+      }
+      authenticator.getHeaders('https://example.org/a', check);
+      authenticator.getHeaders('https://example.org/b', check);
+      getToken.should.have.been.calledOnce;
+    });
+
+    it('should reuse the token', function () {
+      getHeaders(authenticator, 'https://example.org/c').should.deep.equal({ authorization: 'Bearer first' });
+      getToken.should.have.been.calledOnce;
+    });
+
+    it('should obtain a new token after the token is invalidated', function (done) {
+      authenticator.invalidate('https://example.org/a', { authorization: 'Bearer first' }).should.be.true;
+      authenticator.getHeaders('https://example.org/a', function (error, headers) {
+        headers.should.deep.equal({ authorization: 'Bearer second' });
+        getToken.should.have.been.calledTwice;
+        done(error);
+      });
+    });
+
+    it('should not discard a token that replaced the invalidated one', function () {
+      authenticator.invalidate('https://example.org/b', { authorization: 'Bearer first' }).should.be.true;
+      getHeaders(authenticator, 'https://example.org/b').should.deep.equal({ authorization: 'Bearer second' });
+    });
+
+    it('should send an error if no token can be obtained', function (done) {
+      authenticator.invalidate('https://example.org/a', { authorization: 'Bearer second' });
+      authenticator.getHeaders('https://example.org/a', function (error) {
+        error.message.should.equal('No token obtained for https://example.org');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var HttpCache = require('../../lib/util/HttpCache');
+
+// Creates a GET request for the URL with the given headers
+function createRequest(url, headers) {
+  return { url: url, method: 'GET', headers: headers || {} };
+}
+
+describe('HttpCache', function () {
+  describe('The HttpCache module', function () {
+    it('should make HttpCache objects', function () {
+      HttpCache().should.be.an.instanceof(HttpCache);
+    });
+
+    it('should be an HttpCache constructor', function () {
+      new HttpCache().should.be.an.instanceof(HttpCache);
+    });
+  });
+
+  describe('An HttpCache', function () {
+    var cache = new HttpCache();
+
+    it('should store and match fresh responses', function () {
+      var stored = cache.store(createRequest('urn:fresh'), 200, { 'cache-control': 'max-age=60' }, ['a', 'b']);
+      cache.match(createRequest('urn:fresh')).should.equal(stored);
+      cache.isFresh(stored).should.be.true;
+      stored.body.should.deep.equal(['a', 'b']);
+    });
+
+    it('should not consider fresh responses fresh for requests with no-cache', function () {
+      var stored = cache.match(createRequest('urn:fresh'));
+      cache.isFresh(stored, { 'cache-control': 'no-cache' }).should.be.false;
+    });
+
+    it('should not match requests with other methods', function () {
+      expect(cache.match({ url: 'urn:fresh', method: 'POST', headers: {} })).to.be.null;
+    });
+
+    it('should store stale responses with validators', function () {
+      var stored = cache.store(createRequest('urn:stale'), 200, { 'etag': '"a"', 'cache-control': 'no-cache' }, []);
+      cache.match(createRequest('urn:stale')).should.equal(stored);
+      cache.isFresh(stored).should.be.false;
+    });
+
+    it('should not store stale responses without validators', function () {
+      expect(cache.store(createRequest('urn:none'), 200, {}, [])).to.be.null;
+      expect(cache.match(createRequest('urn:none'))).to.be.null;
+    });
+
+    it('should not store responses with no-store', function () {
+      expect(cache.store(createRequest('urn:private'), 200, { 'cache-control': 'no-store' }, [])).to.be.null;
+    });
+
+    it('should not store responses with uncacheable status codes', function () {
+      expect(cache.store(createRequest('urn:error'), 500, { 'cache-control': 'max-age=60' }, [])).to.be.null;
+    });
+
+    it('should only match requests with the same values of varying headers', function () {
+      cache.store(createRequest('urn:vary', { accept: 'text/turtle' }), 200,
+                  { 'cache-control': 'max-age=60', 'vary': 'Accept' }, []);
+      cache.match(createRequest('urn:vary', { accept: 'text/turtle' })).should.be.an('object');
+      expect(cache.match(createRequest('urn:vary', { accept: 'application/trig' }))).to.be.null;
+    });
+
+    it('should update responses with the headers of a 304 response', function () {
+      var stored = cache.match(createRequest('urn:stale'));
+      cache.update(stored, { 'cache-control': 'max-age=60' });
+      stored.headers.should.have.property('etag', '"a"');
+      cache.isFresh(stored).should.be.true;
+    });
+  });
+
+  describe('The getExpiry function', function () {
+    var now = Date.parse('2016-01-01T00:00:00Z'),
+        modified = { 'date': 'Fri, 01 Jan 2016 00:00:00 GMT', 'last-modified': 'Thu, 31 Dec 2015 23:00:00 GMT' };
+
+    it('should subtract the age from the max-age', function () {
+      HttpCache.getExpiry({ 'cache-control': 'max-age=60', 'age': '20' }, now).should.equal(now + 40000);
+    });
+
+    it('should estimate the lifetime from the last modification date', function () {
+      HttpCache.getExpiry(modified, now).should.equal(now + 360000);
+    });
+
+    it('should prefer a default lifetime over an estimated lifetime', function () {
+      HttpCache.getExpiry(modified, now, 1000).should.equal(now + 1000);
+    });
+  });
+});
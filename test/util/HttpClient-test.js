@@ -2,7 +2,8 @@
 var HttpClient = require('../../lib/util/HttpClient');
 
 var EventEmitter = require('events').EventEmitter,
-    AsyncIterator = require('asynciterator');
+    AsyncIterator = require('asynciterator'),
+    _ = require('lodash');
 
 describe('HttpClient', function () {
   describe('The HttpClient module', function () {
@@ -138,12 +139,367 @@ describe('HttpClient', function () {
       request.emit('error', error);
     });
   });
+
+  describe('An HttpClient receiving a fresh response', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest });
+
+    describe('get http://example.org/foo twice', function () {
+      var first, second;
+      before(function (done) {
+        first = client.get('http://example.org/foo');
+        requests[0].emit('response', createResponse([1, 2, 3], 'text/turtle', { 'cache-control': 'max-age=60' }));
+        first.on('data', function () {}).on('end', function () {
+          second = client.get('http://example.org/foo');
+          done();
+        });
+      });
+
+      it('should only call request once', function () {
+        createRequest.should.have.been.calledOnce;
+      });
+
+      it("should return the cached response's contents", function (done) {
+        second.should.be.an.iteratorOf([1, 2, 3], done);
+      });
+
+      it('should set the status code and content type of the cached response', function () {
+        second.getProperty('statusCode').should.equal(200);
+        second.getProperty('contentType').should.equal('text/turtle');
+      });
+    });
+  });
+
+  describe('An HttpClient receiving a stale response with an ETag', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest });
+
+    describe('get http://example.org/foo twice', function () {
+      var second;
+      before(function (done) {
+        var first = client.get('http://example.org/foo');
+        requests[0].emit('response', createResponse([1, 2, 3], 'text/turtle',
+                                                    { 'cache-control': 'no-cache', 'etag': '"v1"' }));
+        first.on('data', function () {}).on('end', function () {
+          second = client.get('http://example.org/foo');
+          requests[1].emit('response', createResponse([], 'text/turtle', {}, 304));
+          done();
+        });
+      });
+
+      it('should revalidate the response with its ETag', function () {
+        createRequest.should.have.been.calledTwice;
+        createRequest.getCall(1).args[0].headers.should.have.property('if-none-match', '"v1"');
+      });
+
+      it("should return the cached response's contents if it was not modified", function (done) {
+        second.should.be.an.iteratorOf([1, 2, 3], done);
+      });
+
+      it('should set the status code of the cached response', function () {
+        second.getProperty('statusCode').should.equal(200);
+      });
+    });
+  });
+
+  describe('An HttpClient without cache receiving a fresh response', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest, httpCache: false });
+
+    describe('get http://example.org/foo twice', function () {
+      before(function (done) {
+        var first = client.get('http://example.org/foo');
+        requests[0].emit('response', createResponse([1, 2, 3], 'text/turtle', { 'cache-control': 'max-age=60' }));
+        first.on('data', function () {}).on('end', function () {
+          client.get('http://example.org/foo');
+          done();
+        });
+      });
+
+      it('should call request twice', function () {
+        createRequest.should.have.been.calledTwice;
+      });
+    });
+  });
+
+  describe('An HttpClient receiving a fresh response for a request that bypasses the cache', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest });
+
+    describe('get http://example.org/foo with and without the cache', function () {
+      before(function (done) {
+        var first = client.get('http://example.org/foo', {}, { cache: false });
+        requests[0].emit('response', createResponse([1, 2, 3], 'text/turtle', { 'cache-control': 'max-age=60' }));
+        first.on('data', function () {}).on('end', function () {
+          client.get('http://example.org/foo');
+          done();
+        });
+      });
+
+      it('should not have cached the response', function () {
+        createRequest.should.have.been.calledTwice;
+      });
+    });
+  });
+
+  describe('An HttpClient with a concurrency limit per host', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest, timeout: 0, hostLimits: { '*': { concurrentRequests: 1 } } });
+
+    describe('get two resources on one host and one on another', function () {
+      before(function () {
+        client.get('http://a.example.org/1');
+        client.get('http://a.example.org/2');
+        client.get('http://b.example.org/1');
+      });
+
+      it('should only start one request per host', function () {
+        createRequest.should.have.been.calledTwice;
+        createRequest.getCall(0).args[0].url.should.equal('http://a.example.org/1');
+        createRequest.getCall(1).args[0].url.should.equal('http://b.example.org/1');
+      });
+
+      it('should start the next request to the host when the previous one has finished', function () {
+        requests[0].emit('response', createResponse([], 'text/turtle'));
+        createRequest.should.have.been.calledThrice;
+        createRequest.getCall(2).args[0].url.should.equal('http://a.example.org/2');
+      });
+    });
+  });
+
+  describe('An HttpClient with a rate limit per host', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest, timeout: 0, hostLimits: { 'a.example.org': { requestsPerSecond: 50 } } });
+
+    describe('get two resources on the host', function () {
+      before(function () {
+        client.get('http://a.example.org/1');
+        client.get('http://a.example.org/2');
+      });
+
+      it('should start the first request immediately', function () {
+        createRequest.should.have.been.calledOnce;
+      });
+
+      it('should start the second request once the rate limit allows it', function (done) {
+        setTimeout(function () {
+          createRequest.should.have.been.calledTwice;
+          done();
+        }, 40);
+      });
+    });
+  });
+
+  describe('An HttpClient with credentials', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest, timeout: 0, credentials: {
+      'https://protected.example.org': { username: 'alice', password: 'secret', headers: { 'X-Api-Key': '123' } },
+    } });
+
+    describe('get resources on the protected origin and on another one', function () {
+      var protectedResponse;
+      before(function () {
+        protectedResponse = client.get('https://protected.example.org/foo');
+        client.get('https://other.example.org/foo');
+      });
+
+      it('should send the credentials to the protected origin', function () {
+        createRequest.getCall(0).args[0].headers.should.include({
+          'authorization': 'Basic YWxpY2U6c2VjcmV0',
+          'x-api-key': '123',
+        });
+      });
+
+      it('should not send the credentials to the other origin', function () {
+        createRequest.getCall(1).args[0].headers.should.not.have.property('authorization');
+        createRequest.getCall(1).args[0].headers.should.not.have.property('x-api-key');
+      });
+
+      it('should not cache responses obtained with credentials', function (done) {
+        var response = client.get('https://protected.example.org/public');
+        requests[2].emit('response', createResponse([1], 'text/turtle', { 'cache-control': 'public, max-age=60' }));
+        response.on('data', _.noop).on('end', function () {
+          client.get('https://protected.example.org/public');
+          createRequest.should.have.callCount(4);
+          done();
+        });
+      });
+
+      it('should pass a 401 response through', function (done) {
+        requests[0].emit('response', createResponse([], 'text/plain', {}, 401));
+        protectedResponse.getProperty('statusCode', function (statusCode) {
+          statusCode.should.equal(401);
+          createRequest.should.have.callCount(4);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('An HttpClient with a token hook', function () {
+    var tokens = ['expired', 'valid'];
+    var getToken = sinon.spy(function (callback) { setImmediate(callback, null, tokens.shift()); });
+    var createRequest = createRespondingRequestSpy([
+      _.partial(createResponse, [], 'text/plain', {}, 401),
+      _.partial(createResponse, [1, 2, 3], 'text/turtle'),
+    ]);
+    var client = new HttpClient({ request: createRequest, credentials: {
+      'https://protected.example.org': { getToken: getToken },
+    } });
+
+    it('should obtain a new token and repeat the request after a 401 response', function (done) {
+      client.get('https://protected.example.org/foo').should.be.an.iteratorOf([1, 2, 3], function () {
+        getToken.should.have.been.calledTwice;
+        createRequest.should.have.been.calledTwice;
+        createRequest.getCall(0).args[0].headers.should.have.property('authorization', 'Bearer expired');
+        createRequest.getCall(1).args[0].headers.should.have.property('authorization', 'Bearer valid');
+        done();
+      });
+    });
+  });
+
+  describe('An HttpClient with a timeout and without retries', function () {
+    var requests = [], createRequest = createRequestSpy(requests);
+    var client = new HttpClient({ request: createRequest, timeout: 10, retries: 0 });
+
+    it('should emit an error if no response arrives in time', function (done) {
+      client.get('http://example.org/foo').on('error', function (error) {
+        error.should.be.an.instanceof(HttpClient.RequestError);
+        error.should.have.property('code', 'ETIMEDOUT');
+        error.message.should.equal('Could not retrieve http://example.org/foo after 1 attempt (No response within 10ms)');
+        createRequest.should.have.been.calledOnce;
+        done();
+      });
+    });
+  });
+
+  describe('An HttpClient with retries', function () {
+    var options = { timeout: 0, retries: 2, retryDelay: 1 };
+
+    it('should retry requests that time out', function (done) {
+      var createRequest = createRespondingRequestSpy([null, _.partial(createResponse, [1, 2, 3], 'text/turtle')]);
+      var client = new HttpClient(_.assign({ request: createRequest }, options, { timeout: 10 }));
+      client.get('http://example.org/foo').should.be.an.iteratorOf([1, 2, 3], function () {
+        createRequest.should.have.been.calledTwice;
+        done();
+      });
+    });
+
+    it('should retry requests of which the connection is reset', function (done) {
+      var createRequest = createRespondingRequestSpy([createError('ECONNRESET'), _.partial(createResponse, [1, 2, 3], 'text/turtle')]);
+      var client = new HttpClient(_.assign({ request: createRequest }, options));
+      client.get('http://example.org/foo').should.be.an.iteratorOf([1, 2, 3], function () {
+        createRequest.should.have.been.calledTwice;
+        done();
+      });
+    });
+
+    it('should retry requests that receive a 503 or 429 response', function (done) {
+      var createRequest = createRespondingRequestSpy([
+        _.partial(createResponse, [], 'text/plain', {}, 503),
+        _.partial(createResponse, [], 'text/plain', { 'retry-after': new Date(0).toUTCString() }, 429),
+        _.partial(createResponse, [1, 2, 3], 'text/turtle'),
+      ]);
+      var client = new HttpClient(_.assign({ request: createRequest }, options));
+      client.get('http://example.org/foo').should.be.an.iteratorOf([1, 2, 3], function () {
+        createRequest.should.have.been.calledThrice;
+        done();
+      });
+    });
+
+    it('should not retry requests that receive a 404 response', function (done) {
+      var createRequest = createRespondingRequestSpy([_.partial(createResponse, [], 'text/plain', {}, 404)]);
+      var client = new HttpClient(_.assign({ request: createRequest }, options));
+      var response = client.get('http://example.org/foo');
+      response.getProperty('statusCode', function (statusCode) {
+        statusCode.should.equal(404);
+        createRequest.should.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should not retry if Retry-After exceeds the maximum delay', function (done) {
+      var createRequest = createRespondingRequestSpy([_.partial(createResponse, [], 'text/plain', { 'retry-after': '120' }, 503)]);
+      var client = new HttpClient(_.assign({ request: createRequest }, options));
+      client.get('http://example.org/foo').getProperty('statusCode', function (statusCode) {
+        statusCode.should.equal(503);
+        createRequest.should.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should not retry POST requests', function (done) {
+      var error = createError('ECONNRESET');
+      var createRequest = createRespondingRequestSpy([error]);
+      var client = new HttpClient(_.assign({ request: createRequest }, options));
+      client.request('http://example.org/foo', 'POST').on('error', function (e) {
+        e.cause.should.equal(error);
+        createRequest.should.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('should emit an error once all retries are exhausted', function (done) {
+      var createRequest = createRespondingRequestSpy(_.times(3, function () { return createError('ECONNRESET'); }));
+      var client = new HttpClient(_.assign({ request: createRequest }, options));
+      client.get('http://example.org/foo').on('error', function (error) {
+        error.should.be.an.instanceof(HttpClient.RequestError);
+        error.message.should.equal('Could not retrieve http://example.org/foo after 3 attempts (connection failed)');
+        createRequest.should.have.been.calledThrice;
+        done();
+      });
+    });
+
+    it('should not retry requests that are aborted', function (done) {
+      var createRequest = createRespondingRequestSpy([createError('ECONNRESET')]);
+      var client = new HttpClient(_.assign({ request: createRequest }, options, { retryDelay: 20 }));
+      client.get('http://example.org/foo');
+      setTimeout(function () { client.abortAll(); }, 10);
+      setTimeout(function () {
+        createRequest.should.have.been.calledOnce;
+        done();
+      }, 40);
+    });
+  });
 });
 
 // Creates a dummy HTTP response
-function createResponse(contents, contentType) {
+function createResponse(contents, contentType, headers, statusCode) {
   var response = AsyncIterator.fromArray(contents);
-  response.statusCode = 200;
-  response.headers = { 'content-type': contentType };
+  response.statusCode = statusCode || 200;
+  response.headers = _.assign({ 'content-type': contentType }, headers);
   return response;
 }
+
+// Creates a spy that creates dummy HTTP requests and adds them to the array
+function createRequestSpy(requests) {
+  return sinon.spy(function () {
+    var request = new EventEmitter();
+    requests.push(request);
+    return request;
+  });
+}
+
+// Creates a spy that creates dummy HTTP requests, which emit in order
+// the given errors or the responses created by the given functions (or nothing for null)
+function createRespondingRequestSpy(results) {
+  return sinon.spy(function () {
+    var request = new EventEmitter(), result = results.shift();
+    if (result) {
+      setImmediate(function () {
+        if (result instanceof Error)
+          request.emit('error', result);
+        else
+          request.emit('response', result());
+      });
+    }
+    return request;
+  });
+}
+
+// Creates an error with the given code
+function createError(code) {
+  var error = new Error('connection failed');
+  error.code = code;
+  return error;
+}
@@ -157,6 +157,39 @@ describe('RdfUtil', function () {
         filter(RdfUtil.triple('a', 'd', 'e')).should.be.false;
       });
     });
+
+    describe('with a named graph', function () {
+      var filter = RdfUtil.tripleFilter({ subject: 'a', graph: 'g' });
+      it('should match triples in that graph', function () {
+        filter({ subject: 'a', predicate: 'b', object: 'c', graph: 'g' }).should.be.true;
+      });
+      it('should not match triples in a different graph', function () {
+        filter({ subject: 'a', predicate: 'b', object: 'c', graph: 'h' }).should.be.false;
+      });
+      it('should not match triples in the default graph', function () {
+        filter(RdfUtil.triple('a', 'b', 'c')).should.be.false;
+      });
+    });
+
+    describe('with a variable graph', function () {
+      var filter = RdfUtil.tripleFilter({ subject: 'a', graph: '?g' });
+      it('should match triples in any named graph', function () {
+        filter({ subject: 'a', predicate: 'b', object: 'c', graph: 'g' }).should.be.true;
+      });
+      it('should not match triples in the default graph', function () {
+        filter({ subject: 'a', predicate: 'b', object: 'c', graph: '' }).should.be.false;
+      });
+    });
+
+    describe('with a list of graphs', function () {
+      var filter = RdfUtil.tripleFilter({ subject: 'a', graph: ['g', 'h'] });
+      it('should match triples in any of those graphs', function () {
+        filter({ subject: 'a', predicate: 'b', object: 'c', graph: 'h' }).should.be.true;
+      });
+      it('should not match triples in other graphs', function () {
+        filter({ subject: 'a', predicate: 'b', object: 'c', graph: 'i' }).should.be.false;
+      });
+    });
   });
 
   describe('applyBindings', function () {
@@ -216,6 +249,15 @@ describe('RdfUtil', function () {
         expect(pattern).to.deep.equal([RdfUtil.triple('?s', '?p', 'c'), RdfUtil.triple('a', '?p', '?s')]);
       });
     });
+
+    describe('applying bindings to a quad pattern with a variable graph', function () {
+      var bindings = { '?g': 'g' };
+      var pattern = { subject: '?s', predicate: 'p', object: 'o', graph: '?g' };
+      var boundPattern = RdfUtil.applyBindings(bindings, pattern);
+      it('should bind the graph', function () {
+        expect(boundPattern).to.deep.equal({ subject: '?s', predicate: 'p', object: 'o', graph: 'g' });
+      });
+    });
   });
 
   describe('findBindings', function () {
@@ -297,6 +339,18 @@ describe('RdfUtil', function () {
         expect(oldBindings).to.deep.equal({ '?x': 'x', '?c': 'y' });
       });
     });
+
+    describe('with a quad pattern with a variable graph', function () {
+      var pattern = { subject: '?a', predicate: 'b', object: 'c', graph: '?g' };
+      it('should bind the graph', function () {
+        var triple = { subject: 'a', predicate: 'b', object: 'c', graph: 'g' };
+        expect(RdfUtil.extendBindings({}, pattern, triple)).to.deep.equal({ '?a': 'a', '?g': 'g' });
+      });
+      it('should throw an error for a triple in the default graph', function () {
+        (function () { RdfUtil.extendBindings({}, pattern, RdfUtil.triple('a', 'b', 'c')); })
+        .should.throw('Cannot bind ?g to the default graph');
+      });
+    });
   });
 
   describe('addBinding', function () {
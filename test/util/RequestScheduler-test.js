@@ -0,0 +1,92 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var RequestScheduler = require('../../lib/util/RequestScheduler');
+
+// Takes all requests that may start from the scheduler, returning their URLs
+function takeAll(scheduler) {
+  var requests = [], request;
+  while (request = scheduler.next())
+    requests.push(request.url);
+  return requests;
+}
+
+describe('RequestScheduler', function () {
+  describe('The RequestScheduler module', function () {
+    it('should make RequestScheduler objects', function () {
+      RequestScheduler().should.be.an.instanceof(RequestScheduler);
+    });
+
+    it('should be a RequestScheduler constructor', function () {
+      new RequestScheduler().should.be.an.instanceof(RequestScheduler);
+    });
+  });
+
+  describe('A RequestScheduler with default limits', function () {
+    var scheduler = new RequestScheduler();
+    before(function () {
+      ['a/1', 'a/2', 'a/3', 'b/1', 'c/1', 'c/2'].forEach(function (path) {
+        scheduler.add({ url: 'http://' + path.replace('/', '.example.org/') });
+      });
+    });
+
+    it('should let hosts take turns', function () {
+      takeAll(scheduler).should.deep.equal([
+        'http://a.example.org/1', 'http://b.example.org/1', 'http://c.example.org/1',
+        'http://a.example.org/2', 'http://c.example.org/2', 'http://a.example.org/3',
+      ]);
+    });
+
+    it('should not have a delay without waiting requests', function () {
+      scheduler.getDelay().should.equal(Infinity);
+    });
+  });
+
+  describe('A RequestScheduler with a concurrency limit for a host', function () {
+    var scheduler = new RequestScheduler({ hostLimits: {
+      'http://a.example.org/dataset': { concurrentRequests: 2 },
+      '*': { concurrentRequests: 1 },
+    } });
+    var requests = [1, 2, 3].map(function (i) { return { url: 'http://a.example.org/' + i }; })
+                   .concat([1, 2].map(function (i) { return { url: 'http://b.example.org/' + i }; }));
+    before(function () { requests.forEach(scheduler.add, scheduler); });
+
+    it('should only start as many requests per host as allowed', function () {
+      takeAll(scheduler).should.deep.equal(['http://a.example.org/1', 'http://b.example.org/1', 'http://a.example.org/2']);
+    });
+
+    it('should start a next request once a request of that host has finished', function () {
+      scheduler.finish(requests[0]);
+      takeAll(scheduler).should.deep.equal(['http://a.example.org/3']);
+    });
+
+    it('should not start requests after they have been cleared', function () {
+      scheduler.finish(requests[3]);
+      scheduler.clear();
+      takeAll(scheduler).should.deep.equal([]);
+    });
+  });
+
+  describe('A RequestScheduler with a rate limit for a host', function () {
+    var scheduler = new RequestScheduler({ hostLimits: {
+      'a.example.org': { concurrentRequests: 10, requestsPerSecond: 20, burstSize: 2 },
+    } });
+    before(function () {
+      [1, 2, 3].forEach(function (i) { scheduler.add({ url: 'http://a.example.org/' + i }); });
+      scheduler.add({ url: 'http://b.example.org/1' });
+    });
+
+    it('should only start requests while the bucket has tokens', function () {
+      takeAll(scheduler).should.deep.equal(['http://a.example.org/1', 'http://b.example.org/1', 'http://a.example.org/2']);
+    });
+
+    it('should indicate when the next token becomes available', function () {
+      scheduler.getDelay().should.be.within(1, 50);
+    });
+
+    it('should start the next request once a token has become available', function (done) {
+      setTimeout(function () {
+        takeAll(scheduler).should.deep.equal(['http://a.example.org/3']);
+        done();
+      }, 60);
+    });
+  });
+});
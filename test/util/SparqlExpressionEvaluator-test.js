@@ -3,6 +3,9 @@ var SparqlExpressionEvaluator = require('../../lib/util/SparqlExpressionEvaluato
 
 var TRUE =  '"true"^^http://www.w3.org/2001/XMLSchema#boolean';
 var FALSE = '"false"^^http://www.w3.org/2001/XMLSchema#boolean';
+var DIVISION_BY_ZERO = { type: 'operation', operator: '/', args: [
+  '"1"^^http://www.w3.org/2001/XMLSchema#integer', '"0"^^http://www.w3.org/2001/XMLSchema#integer',
+] };
 
 describe('SparqlExpressionEvaluator', function () {
   describe('The SparqlExpressionEvaluator module', function () {
@@ -96,9 +99,60 @@ describe('SparqlExpressionEvaluator', function () {
           '?a',
         ],
       });
-      it('should return the quotient of the expressions', function () {
+      it('should return the quotient of the expressions as a decimal', function () {
         evaluator({ '?a': '"2"^^http://www.w3.org/2001/XMLSchema#integer' })
-          .should.equal('"3"^^http://www.w3.org/2001/XMLSchema#integer');
+          .should.equal('"3.0"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+
+      it('should throw an error when dividing an integer by zero', function () {
+        (function () { evaluator({ '?a': '"0"^^http://www.w3.org/2001/XMLSchema#integer' }); })
+          .should.throw('Division by zero');
+      });
+
+      it('should return infinity when dividing by a double zero', function () {
+        evaluator({ '?a': '"0.0e0"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"INF"^^http://www.w3.org/2001/XMLSchema#double');
+      });
+    });
+
+    describe('of an arithmetic operation on different numeric types', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: '+',
+        args: ['?a', '?b'],
+      });
+
+      it('should promote an integer and a decimal to a decimal', function () {
+        evaluator({
+          '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer',
+          '?b': '"1.5"^^http://www.w3.org/2001/XMLSchema#decimal',
+        }).should.equal('"2.5"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+
+      it('should promote a decimal and a float to a float', function () {
+        evaluator({
+          '?a': '"1.5"^^http://www.w3.org/2001/XMLSchema#decimal',
+          '?b': '"1"^^http://www.w3.org/2001/XMLSchema#float',
+        }).should.equal('"2.5"^^http://www.w3.org/2001/XMLSchema#float');
+      });
+
+      it('should promote a float and a double to a double', function () {
+        evaluator({
+          '?a': '"1"^^http://www.w3.org/2001/XMLSchema#double',
+          '?b': '"1"^^http://www.w3.org/2001/XMLSchema#float',
+        }).should.equal('"2"^^http://www.w3.org/2001/XMLSchema#double');
+      });
+
+      it('should treat types derived from integer as integers', function () {
+        evaluator({
+          '?a': '"1"^^http://www.w3.org/2001/XMLSchema#int',
+          '?b': '"2"^^http://www.w3.org/2001/XMLSchema#nonNegativeInteger',
+        }).should.equal('"3"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should throw an error on non-numeric arguments', function () {
+        (function () { evaluator({ '?a': '"1"', '?b': '"2"^^http://www.w3.org/2001/XMLSchema#integer' }); })
+          .should.throw('"1" is not a number');
       });
     });
 
@@ -226,6 +280,113 @@ describe('SparqlExpressionEvaluator', function () {
       });
     });
 
+    describe('of an equality comparison of different terms', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: '=',
+        args: ['?a', '?b'],
+      });
+
+      it('should compare numbers of different types by value', function () {
+        evaluator({
+          '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer',
+          '?b': '"1.0"^^http://www.w3.org/2001/XMLSchema#decimal',
+        }).should.equal(TRUE);
+      });
+
+      it('should compare simple literals and strings by value', function () {
+        evaluator({ '?a': '"a"', '?b': '"a"^^http://www.w3.org/2001/XMLSchema#string' }).should.equal(TRUE);
+      });
+
+      it('should compare language-tagged literals by value and language', function () {
+        evaluator({ '?a': '"a"@en', '?b': '"a"@EN' }).should.equal(TRUE);
+        evaluator({ '?a': '"a"@en', '?b': '"a"@fr' }).should.equal(FALSE);
+      });
+
+      it('should compare booleans by value', function () {
+        evaluator({
+          '?a': '"1"^^http://www.w3.org/2001/XMLSchema#boolean',
+          '?b': '"true"^^http://www.w3.org/2001/XMLSchema#boolean',
+        }).should.equal(TRUE);
+      });
+
+      it('should compare dates by value', function () {
+        evaluator({
+          '?a': '"2016-01-01T12:00:00Z"^^http://www.w3.org/2001/XMLSchema#dateTime',
+          '?b': '"2016-01-01T13:00:00+01:00"^^http://www.w3.org/2001/XMLSchema#dateTime',
+        }).should.equal(TRUE);
+      });
+
+      it('should compare IRIs as terms', function () {
+        evaluator({ '?a': 'http://example.org/a', '?b': 'http://example.org/a' }).should.equal(TRUE);
+        evaluator({ '?a': 'http://example.org/a', '?b': 'http://example.org/b' }).should.equal(FALSE);
+      });
+
+      it('should return false for literals of different known types', function () {
+        evaluator({ '?a': '"1"', '?b': '"1"^^http://www.w3.org/2001/XMLSchema#integer' }).should.equal(FALSE);
+      });
+
+      it('should return true for identical literals of an unknown type', function () {
+        evaluator({ '?a': '"a"^^urn:type', '?b': '"a"^^urn:type' }).should.equal(TRUE);
+      });
+
+      it('should throw an error for different literals of an unknown type', function () {
+        (function () { evaluator({ '?a': '"a"^^urn:type', '?b': '"b"^^urn:type' }); })
+          .should.throw('Cannot compare "a"^^urn:type and "b"^^urn:type');
+      });
+
+      it('should return false for NaN', function () {
+        evaluator({
+          '?a': '"NaN"^^http://www.w3.org/2001/XMLSchema#double',
+          '?b': '"NaN"^^http://www.w3.org/2001/XMLSchema#double',
+        }).should.equal(FALSE);
+      });
+    });
+
+    describe('of a less-than comparison of different terms', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: '<',
+        args: ['?a', '?b'],
+      });
+
+      it('should compare numbers of different types by value', function () {
+        evaluator({
+          '?a': '"2.5"^^http://www.w3.org/2001/XMLSchema#decimal',
+          '?b': '"10"^^http://www.w3.org/2001/XMLSchema#integer',
+        }).should.equal(TRUE);
+      });
+
+      it('should compare strings lexically', function () {
+        evaluator({ '?a': '"abc"', '?b': '"abd"^^http://www.w3.org/2001/XMLSchema#string' }).should.equal(TRUE);
+        evaluator({ '?a': '"b"', '?b': '"abc"' }).should.equal(FALSE);
+      });
+
+      it('should compare booleans by value', function () {
+        evaluator({
+          '?a': '"false"^^http://www.w3.org/2001/XMLSchema#boolean',
+          '?b': '"true"^^http://www.w3.org/2001/XMLSchema#boolean',
+        }).should.equal(TRUE);
+      });
+
+      it('should compare dates by value', function () {
+        evaluator({
+          '?a': '"2016-01-01T12:00:00+02:00"^^http://www.w3.org/2001/XMLSchema#dateTime',
+          '?b': '"2016-01-01T11:00:00Z"^^http://www.w3.org/2001/XMLSchema#dateTime',
+        }).should.equal(TRUE);
+      });
+
+      it('should throw an error on terms of different types', function () {
+        (function () { evaluator({ '?a': '"1"', '?b': '"2"^^http://www.w3.org/2001/XMLSchema#integer' }); })
+          .should.throw('Cannot compare');
+      });
+
+      it('should throw an error on IRIs', function () {
+        (function () { evaluator({ '?a': 'http://example.org/a', '?b': 'http://example.org/b' }); })
+          .should.throw('Cannot compare');
+      });
+    });
+
     describe('of the not operator', function () {
       var evaluator = SparqlExpressionEvaluator({
         type: 'operation',
@@ -263,6 +424,8 @@ describe('SparqlExpressionEvaluator', function () {
         operator: '&&',
         args: ['?a', '?b'],
       });
+      var erroringSecond = SparqlExpressionEvaluator({ type: 'operation', operator: '&&', args: ['?a', DIVISION_BY_ZERO] }),
+          erroringFirst  = SparqlExpressionEvaluator({ type: 'operation', operator: '&&', args: [DIVISION_BY_ZERO, '?a'] });
 
       it('should return false with arguments false, false', function () {
         evaluator({ '?a': FALSE, '?b': FALSE }).should.equal(FALSE);
@@ -290,6 +453,20 @@ describe('SparqlExpressionEvaluator', function () {
       it('should treat the second argument as true if it is non-boolean', function () {
         evaluator({ '?a': TRUE, '?b': 'a' }).should.equal(TRUE);
       });
+
+      it('should return false if one argument is false and the other one errors or is unbound', function () {
+        erroringSecond({ '?a': FALSE }).should.equal(FALSE);
+        erroringFirst({ '?a': FALSE }).should.equal(FALSE);
+        evaluator({ '?b': FALSE }).should.equal(FALSE);
+      });
+
+      it('should throw an error if one argument is true and the other one errors', function () {
+        (function () { erroringSecond({ '?a': TRUE }); }).should.throw('Division by zero');
+      });
+
+      it('should return undefined if one argument is true and the other one is unbound', function () {
+        expect(evaluator({ '?a': TRUE })).to.be.undefined;
+      });
     });
 
     describe('of the or operator', function () {
@@ -298,6 +475,8 @@ describe('SparqlExpressionEvaluator', function () {
         operator: '||',
         args: ['?a', '?b'],
       });
+      var erroringSecond = SparqlExpressionEvaluator({ type: 'operation', operator: '||', args: ['?a', DIVISION_BY_ZERO] }),
+          erroringFirst  = SparqlExpressionEvaluator({ type: 'operation', operator: '||', args: [DIVISION_BY_ZERO, '?a'] });
 
       it('should return false with arguments false, false', function () {
         evaluator({ '?a': FALSE, '?b': FALSE }).should.equal(FALSE);
@@ -325,6 +504,20 @@ describe('SparqlExpressionEvaluator', function () {
       it('should treat the second argument as true if it is non-boolean', function () {
         evaluator({ '?a': FALSE, '?b': 'a' }).should.equal(TRUE);
       });
+
+      it('should return true if one argument is true and the other one errors or is unbound', function () {
+        erroringSecond({ '?a': TRUE }).should.equal(TRUE);
+        erroringFirst({ '?a': TRUE }).should.equal(TRUE);
+        evaluator({ '?b': TRUE }).should.equal(TRUE);
+      });
+
+      it('should throw an error if one argument is false and the other one errors', function () {
+        (function () { erroringFirst({ '?a': FALSE }); }).should.throw('Division by zero');
+      });
+
+      it('should return undefined if one argument is false and the other one is unbound', function () {
+        expect(evaluator({ '?a': FALSE })).to.be.undefined;
+      });
     });
 
     describe('of the lang operator', function () {
@@ -394,130 +587,1273 @@ describe('SparqlExpressionEvaluator', function () {
       });
     });
 
-    describe('of the str operator', function () {
+    describe('of the regex operator with flags', function () {
       var evaluator = SparqlExpressionEvaluator({
         type: 'operation',
-        operator: 'str',
+        operator: 'regex',
+        args: ['?a', '"^a b$"', '?f'],
+      });
+
+      it('should match case-insensitively with the i flag', function () {
+        evaluator({ '?a': '"A B"@en', '?f': '"i"' }).should.equal(TRUE);
+      });
+
+      it('should ignore whitespace in the pattern with the x flag', function () {
+        evaluator({ '?a': '"ab"', '?f': '"x"' }).should.equal(TRUE);
+      });
+
+      it('should match multiple lines with the m flag', function () {
+        evaluator({ '?a': '"x\na b"', '?f': '"m"' }).should.equal(TRUE);
+      });
+
+      it('should throw an error on invalid flags', function () {
+        (function () { evaluator({ '?a': '"a b"', '?f': '"g"' }); })
+          .should.throw('Invalid regular expression flags: g');
+      });
+
+      it('should throw an error if the argument is not a string', function () {
+        (function () { evaluator({ '?a': 'http://example.org/', '?f': '""' }); })
+          .should.throw('http://example.org/ is not a string literal');
+      });
+    });
+
+    describe('of the strlen operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'strlen',
         args: ['?a'],
       });
 
-      it('should return the literal if passed a literal', function () {
-        evaluator({ '?a': '"a"' }).should.equal('"a"');
+      it('should return the number of characters of a simple literal', function () {
+        evaluator({ '?a': '"chat"' }).should.equal('"4"^^http://www.w3.org/2001/XMLSchema#integer');
       });
 
-      it('should return a stringified version if passed a number', function () {
-        evaluator({ '?a': '"3"^^http://www.w3.org/2001/XMLSchema#double' })
-          .should.equal('"3"^^http://www.w3.org/2001/XMLSchema#double');
+      it('should return the number of characters of a language-tagged literal', function () {
+        evaluator({ '?a': '"\ud83d\ude00 chat"@fr' }).should.equal('"6"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should throw an error on a non-string literal', function () {
+        (function () { evaluator({ '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer' }); })
+          .should.throw('is not a string literal');
       });
     });
 
-    describe('of the xsd:integer function', function () {
+    describe('of the substr operator', function () {
       var evaluator = SparqlExpressionEvaluator({
-        type: 'functionCall',
-        operator: 'http://www.w3.org/2001/XMLSchema#integer',
-        args: ['"123.67"'],
+        type: 'operation',
+        operator: 'substr',
+        args: ['?a', '"2"^^http://www.w3.org/2001/XMLSchema#integer', '?l'],
+      });
+
+      it('should return the substring with the given length', function () {
+        evaluator({ '?a': '"foobar"@en', '?l': '"3"^^http://www.w3.org/2001/XMLSchema#integer' })
+          .should.equal('"oob"@en');
+      });
+
+      it('should return the rest of the string without length', function () {
+        SparqlExpressionEvaluator({
+          type: 'operation',
+          operator: 'substr',
+          args: ['"foobar"^^http://www.w3.org/2001/XMLSchema#string', '"4"^^http://www.w3.org/2001/XMLSchema#integer'],
+        })().should.equal('"bar"^^http://www.w3.org/2001/XMLSchema#string');
       });
 
-      it('should return the literal as an integer', function () {
-        evaluator({}).should.equal('"123"^^http://www.w3.org/2001/XMLSchema#integer');
+      it('should round the positions', function () {
+        evaluator({ '?a': '"12345"', '?l': '"1.5"^^http://www.w3.org/2001/XMLSchema#decimal' })
+          .should.equal('"23"');
       });
     });
 
-    describe('of the xsd:double function', function () {
+    describe('of the ucase operator', function () {
       var evaluator = SparqlExpressionEvaluator({
-        type: 'functionCall',
-        operator: 'http://www.w3.org/2001/XMLSchema#double',
-        args: ['"123"'],
+        type: 'operation',
+        operator: 'ucase',
+        args: ['?a'],
       });
 
-      it('should return the literal as a double', function () {
-        evaluator({}).should.equal('"123.0"^^http://www.w3.org/2001/XMLSchema#double');
+      it('should return the string in upper case', function () {
+        evaluator({ '?a': '"foo"@en' }).should.equal('"FOO"@en');
       });
     });
 
-    describe('of the bound operator', function () {
+    describe('of the lcase operator', function () {
       var evaluator = SparqlExpressionEvaluator({
         type: 'operation',
-        operator: 'bound',
+        operator: 'lcase',
         args: ['?a'],
       });
 
-      it('should return true if the variable is bound', function () {
-        evaluator({ '?a': 'a' }).should.equal('"true"^^http://www.w3.org/2001/XMLSchema#boolean');
+      it('should return the string in lower case', function () {
+        evaluator({ '?a': '"BAR"^^http://www.w3.org/2001/XMLSchema#string' })
+          .should.equal('"bar"^^http://www.w3.org/2001/XMLSchema#string');
       });
+    });
 
-      it('should return false if the variable is not bound', function () {
-        evaluator({ '?b': 'b' }).should.equal('"false"^^http://www.w3.org/2001/XMLSchema#boolean');
+    describe('of the strstarts operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'strstarts',
+        args: ['?a', '?b'],
       });
 
-      it('should throw an error if the argument is not a variable', function () {
-        var evaluator = SparqlExpressionEvaluator({
-          type: 'operation',
-          operator: 'bound',
-          args: ['"a"'],
-        });
-        (function () { evaluator({ '?a': 'a' }); })
-          .should.throw('BOUND expects a variable but got: "a"');
+      it('should return true if the string starts with the prefix', function () {
+        evaluator({ '?a': '"foobar"@en', '?b': '"foo"' }).should.equal(TRUE);
+      });
+
+      it('should return false if the string does not start with the prefix', function () {
+        evaluator({ '?a': '"foobar"', '?b': '"bar"' }).should.equal(FALSE);
+      });
+
+      it('should throw an error if the languages are incompatible', function () {
+        (function () { evaluator({ '?a': '"foobar"@en', '?b': '"foo"@fr' }); })
+          .should.throw('"foo"@fr is not compatible with "foobar"@en');
+      });
+
+      it('should throw an error if the prefix has a language and the string has none', function () {
+        (function () { evaluator({ '?a': '"foobar"', '?b': '"foo"@en' }); })
+          .should.throw('"foo"@en is not compatible with "foobar"');
       });
     });
 
-    describe('of an unsuppported expression type', function () {
-      it('should throw an error', function () {
-        (function () { SparqlExpressionEvaluator({ type: 'invalid' }); })
-        .should.throw('Unsupported expression type: invalid');
+    describe('of the strends operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'strends',
+        args: ['?a', '?b'],
+      });
+
+      it('should return true if the string ends with the suffix', function () {
+        evaluator({ '?a': '"foobar"@en', '?b': '"bar"@en' }).should.equal(TRUE);
+      });
+
+      it('should return false if the string does not end with the suffix', function () {
+        evaluator({ '?a': '"foobar"', '?b': '"foo"' }).should.equal(FALSE);
       });
     });
 
-    describe('of an unsupported operator', function () {
-      it('should throw an error', function () {
-        (function () { SparqlExpressionEvaluator({ type: 'operation', operator: 'invalid' }); })
-          .should.throw('Unsupported operator: invalid.');
+    describe('of the strbefore operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'strbefore',
+        args: ['?a', '?b'],
+      });
+
+      it('should return the part of the string before the separator', function () {
+        evaluator({ '?a': '"abc"@en', '?b': '"bc"' }).should.equal('"a"@en');
+      });
+
+      it('should return an empty simple literal if the separator does not occur', function () {
+        evaluator({ '?a': '"abc"@en', '?b': '"z"' }).should.equal('""');
+      });
+
+      it('should return an empty string with the same language for an empty separator', function () {
+        evaluator({ '?a': '"abc"@en', '?b': '""' }).should.equal('""@en');
       });
     });
 
-    describe('of an operator with an incorrect number of arguments', function () {
-      it('should throw an error', function () {
-        (function () { SparqlExpressionEvaluator({ type: 'operation', operator: 'regex', args: [1] }); })
-          .should.throw('Invalid number of arguments for regex: 1 (expected: 2).');
+    describe('of the strafter operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'strafter',
+        args: ['?a', '?b'],
+      });
+
+      it('should return the part of the string after the separator', function () {
+        evaluator({ '?a': '"abc"^^http://www.w3.org/2001/XMLSchema#string', '?b': '"b"' })
+          .should.equal('"c"^^http://www.w3.org/2001/XMLSchema#string');
+      });
+
+      it('should return an empty simple literal if the separator does not occur', function () {
+        evaluator({ '?a': '"abc"', '?b': '"z"' }).should.equal('""');
+      });
+
+      it('should return the string for an empty separator', function () {
+        evaluator({ '?a': '"abc"@en', '?b': '""' }).should.equal('"abc"@en');
       });
     });
 
-    describe('of an operator with an invalid number of arguments', function () {
-      it('should throw an error', function () {
-        (function () {
-          SparqlExpressionEvaluator({
-            type: 'operation',
-            operator: '+',
-            args: ['"a"', '"b"', '"c"'],
-          });
-        })
-        .should.throw('Invalid number of arguments for +: 3 (expected: 2).');
+    describe('of the encode_for_uri operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'encode_for_uri',
+        args: ['?a'],
+      });
+
+      it('should percent-encode all reserved characters', function () {
+        evaluator({ '?a': '"Los Angeles (CA)!"@en' }).should.equal('"Los%20Angeles%20%28CA%29%21"');
       });
     });
-  });
-});
 
-describe('SparqlExpressionEvaluator.evaluate', function () {
-  it('should return the evaluation of an expression for the given bindings', function () {
-    SparqlExpressionEvaluator.evaluate({
-      type: 'operation',
-      operator: '+',
-      args: ['?a', '?b'],
-    }, {
-      '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer',
-      '?b': '"2"^^http://www.w3.org/2001/XMLSchema#integer',
-    })
-    .should.equal('"3"^^http://www.w3.org/2001/XMLSchema#integer');
-  });
+    describe('of the concat operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'concat',
+        args: ['?a', '?b', '?c'],
+      });
 
-  it('should return undefined when not all bindings are present', function () {
-    expect(SparqlExpressionEvaluator.evaluate({
-      type: 'operation',
-      operator: '+',
-      args: ['?a', '?b'],
-    }, {
-      '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer',
-    }))
-    .to.be.undefined;
+      it('should keep a language that all arguments have', function () {
+        evaluator({ '?a': '"a"@en', '?b': '"b"@en', '?c': '"c"@en' }).should.equal('"abc"@en');
+      });
+
+      it('should keep the xsd:string datatype if all arguments have it', function () {
+        evaluator({
+          '?a': '"a"^^http://www.w3.org/2001/XMLSchema#string',
+          '?b': '"b"^^http://www.w3.org/2001/XMLSchema#string',
+          '?c': '"c"^^http://www.w3.org/2001/XMLSchema#string',
+        }).should.equal('"abc"^^http://www.w3.org/2001/XMLSchema#string');
+      });
+
+      it('should return a simple literal for mixed arguments', function () {
+        evaluator({ '?a': '"a"@en', '?b': '"b"@fr', '?c': '"c"' }).should.equal('"abc"');
+      });
+
+      it('should return an empty simple literal without arguments', function () {
+        SparqlExpressionEvaluator({ type: 'operation', operator: 'concat', args: [] })().should.equal('""');
+      });
+    });
+
+    describe('of the replace operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'replace',
+        args: ['?a', '"(b+)"', '?r', '?f'],
+      });
+
+      it('should replace all matches', function () {
+        evaluator({ '?a': '"abbcb"@en', '?r': '"[$1]"', '?f': '""' }).should.equal('"a[bb]c[b]"@en');
+      });
+
+      it('should take into account flags', function () {
+        evaluator({ '?a': '"aBc"', '?r': '"-"', '?f': '"i"' }).should.equal('"a-c"');
+      });
+
+      it('should support escaped dollar signs', function () {
+        evaluator({ '?a': '"abc"', '?r': '"\\$"', '?f': '""' }).should.equal('"a$c"');
+      });
+
+      it('should support escaped backslashes', function () {
+        evaluator({ '?a': '"abc"', '?r': '"\\\\$1"', '?f': '""' }).should.equal('"a\\bc"');
+      });
+
+      it('should refer to the entire match with $0', function () {
+        SparqlExpressionEvaluator({ type: 'operation', operator: 'replace', args: ['"abcabc"', '"b"', '"$0x"'] })()
+          .should.equal('"abxcabxc"');
+      });
+
+      it('should not interpret JavaScript replacement patterns', function () {
+        evaluator({ '?a': '"abc"', '?r': '"\\$&"', '?f': '""' }).should.equal('"a$&c"');
+      });
+
+      it('should throw an error for an invalid replacement', function () {
+        (function () { evaluator({ '?a': '"abc"', '?r': '"$x"', '?f': '""' }); })
+          .should.throw('Invalid replacement string: $x');
+        (function () { evaluator({ '?a': '"abc"', '?r': '"\\x"', '?f': '""' }); })
+          .should.throw('Invalid replacement string: \\x');
+      });
+    });
+
+    describe('of the str operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'str',
+        args: ['?a'],
+      });
+
+      it('should return the literal if passed a literal', function () {
+        evaluator({ '?a': '"a"' }).should.equal('"a"');
+      });
+
+      it('should return a stringified version if passed a number', function () {
+        evaluator({ '?a': '"3"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"3"^^http://www.w3.org/2001/XMLSchema#double');
+      });
+    });
+
+    describe('of the xsd:string function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#string',
+        args: ['?a'],
+      });
+
+      it('should cast an IRI to its string', function () {
+        evaluator({ '?a': 'http://example.org/a' }).should.equal('"http://example.org/a"');
+      });
+
+      it('should cast a literal to its lexical form', function () {
+        evaluator({ '?a': '"abc"^^http://example.org/type' }).should.equal('"abc"');
+      });
+
+      it('should cast an integer or decimal to its canonical form', function () {
+        evaluator({ '?a': '"01"^^http://www.w3.org/2001/XMLSchema#integer' }).should.equal('"1"');
+        evaluator({ '?a': '"+1.50"^^http://www.w3.org/2001/XMLSchema#decimal' }).should.equal('"1.5"');
+        evaluator({ '?a': '"-0.0"^^http://www.w3.org/2001/XMLSchema#decimal' }).should.equal('"0"');
+        evaluator({ '?a': '".5"^^http://www.w3.org/2001/XMLSchema#decimal' }).should.equal('"0.5"');
+      });
+
+      it('should cast a floating-point number to its canonical form', function () {
+        evaluator({ '?a': '"100"^^http://www.w3.org/2001/XMLSchema#double' }).should.equal('"100"');
+        evaluator({ '?a': '"1e6"^^http://www.w3.org/2001/XMLSchema#double' }).should.equal('"1.0E6"');
+        evaluator({ '?a': '"1.5e-7"^^http://www.w3.org/2001/XMLSchema#float' }).should.equal('"1.5E-7"');
+        evaluator({ '?a': '"INF"^^http://www.w3.org/2001/XMLSchema#double' }).should.equal('"INF"');
+      });
+
+      it('should throw an error for a language-tagged literal', function () {
+        (function () { evaluator({ '?a': '"a"@en' }); })
+          .should.throw('"a"@en cannot be cast to http://www.w3.org/2001/XMLSchema#string');
+      });
+    });
+
+    describe('of the xsd:boolean function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#boolean',
+        args: ['?a'],
+      });
+
+      it('should cast a valid string', function () {
+        evaluator({ '?a': '"1"' }).should.equal(TRUE);
+        evaluator({ '?a': '"false"' }).should.equal(FALSE);
+      });
+
+      it('should cast a number by whether it is zero', function () {
+        evaluator({ '?a': '"0.0"^^http://www.w3.org/2001/XMLSchema#decimal' }).should.equal(FALSE);
+        evaluator({ '?a': '"NaN"^^http://www.w3.org/2001/XMLSchema#double' }).should.equal(FALSE);
+        evaluator({ '?a': '"-2"^^http://www.w3.org/2001/XMLSchema#integer' }).should.equal(TRUE);
+      });
+
+      it('should throw an error for an invalid string', function () {
+        (function () { evaluator({ '?a': '"yes"' }); })
+          .should.throw('"yes" cannot be cast to http://www.w3.org/2001/XMLSchema#boolean');
+      });
+
+      it('should throw an error for an IRI', function () {
+        (function () { evaluator({ '?a': 'http://example.org/a' }); })
+          .should.throw('http://example.org/a cannot be cast to http://www.w3.org/2001/XMLSchema#boolean');
+      });
+    });
+
+    describe('of the xsd:integer function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#integer',
+        args: ['?a'],
+      });
+
+      it('should truncate a number', function () {
+        evaluator({ '?a': '"123.67"^^http://www.w3.org/2001/XMLSchema#decimal' })
+          .should.equal('"123"^^http://www.w3.org/2001/XMLSchema#integer');
+        evaluator({ '?a': '"-1.5E2"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"-150"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should cast a large number without an exponent', function () {
+        evaluator({ '?a': '"1E30"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"1000000000000000000000000000000"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should cast a valid string', function () {
+        evaluator({ '?a': '" +42 "' }).should.equal('"42"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should cast a boolean', function () {
+        evaluator({ '?a': TRUE }).should.equal('"1"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should throw an error for a string that is not an integer', function () {
+        (function () { evaluator({ '?a': '"123.67"' }); })
+          .should.throw('"123.67" cannot be cast to http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should throw an error for an infinite number', function () {
+        (function () { evaluator({ '?a': '"INF"^^http://www.w3.org/2001/XMLSchema#double' }); })
+          .should.throw('cannot be cast to http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should throw an error for a number with an invalid lexical form', function () {
+        (function () { evaluator({ '?a': '"12abc"^^http://www.w3.org/2001/XMLSchema#integer' }); })
+          .should.throw('"12abc"^^http://www.w3.org/2001/XMLSchema#integer is not a valid number');
+      });
+    });
+
+    describe('of the xsd:decimal function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#decimal',
+        args: ['?a'],
+      });
+
+      it('should cast a number without an exponent', function () {
+        evaluator({ '?a': '"1.5E-7"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"0.00000015"^^http://www.w3.org/2001/XMLSchema#decimal');
+        evaluator({ '?a': '"3"^^http://www.w3.org/2001/XMLSchema#integer' })
+          .should.equal('"3.0"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+
+      it('should cast a large number without an exponent', function () {
+        evaluator({ '?a': '"1e30"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"1000000000000000000000000000000.0"^^http://www.w3.org/2001/XMLSchema#decimal');
+        evaluator({ '?a': '"-1.25E21"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"-1250000000000000000000.0"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+
+      it('should cast a valid string', function () {
+        evaluator({ '?a': '"-.5"' }).should.equal('"-0.5"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+
+      it('should throw an error for a string with an exponent', function () {
+        (function () { evaluator({ '?a': '"1E3"' }); })
+          .should.throw('"1E3" cannot be cast to http://www.w3.org/2001/XMLSchema#decimal');
+      });
+    });
+
+    describe('of the xsd:float function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#float',
+        args: ['?a'],
+      });
+
+      it('should cast a valid string', function () {
+        evaluator({ '?a': '"-INF"' }).should.equal('"-INF"^^http://www.w3.org/2001/XMLSchema#float');
+        evaluator({ '?a': '"1.5e1"' }).should.equal('"15.0"^^http://www.w3.org/2001/XMLSchema#float');
+      });
+
+      it('should throw an error for an invalid string', function () {
+        (function () { evaluator({ '?a': '"1.5.1"' }); })
+          .should.throw('"1.5.1" cannot be cast to http://www.w3.org/2001/XMLSchema#float');
+      });
+    });
+
+    describe('of the xsd:double function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#double',
+        args: ['?a'],
+      });
+
+      it('should return the literal as a double', function () {
+        evaluator({ '?a': '"123"' }).should.equal('"123.0"^^http://www.w3.org/2001/XMLSchema#double');
+      });
+
+      it('should keep the fractional part', function () {
+        evaluator({ '?a': '"123.45"^^http://www.w3.org/2001/XMLSchema#decimal' })
+          .should.equal('"123.45"^^http://www.w3.org/2001/XMLSchema#double');
+      });
+    });
+
+    describe('of the abs operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'abs', args: ['?a'] });
+
+      it('should return the absolute value with the same type', function () {
+        evaluator({ '?a': '"-3"^^http://www.w3.org/2001/XMLSchema#integer' })
+          .should.equal('"3"^^http://www.w3.org/2001/XMLSchema#integer');
+        evaluator({ '?a': '"-1.5"^^http://www.w3.org/2001/XMLSchema#decimal' })
+          .should.equal('"1.5"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+
+      it('should throw an error on non-numeric arguments', function () {
+        (function () { evaluator({ '?a': '"-3"' }); })
+          .should.throw('"-3" is not a number');
+      });
+    });
+
+    describe('of the round operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'round', args: ['?a'] });
+
+      it('should round halves towards positive infinity', function () {
+        evaluator({ '?a': '"2.5"^^http://www.w3.org/2001/XMLSchema#decimal' })
+          .should.equal('"3.0"^^http://www.w3.org/2001/XMLSchema#decimal');
+        evaluator({ '?a': '"-2.5"^^http://www.w3.org/2001/XMLSchema#double' })
+          .should.equal('"-2"^^http://www.w3.org/2001/XMLSchema#double');
+      });
+    });
+
+    describe('of the ceil operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'ceil', args: ['?a'] });
+
+      it('should return the smallest number that is not smaller and has no fractional part', function () {
+        evaluator({ '?a': '"10.5"^^http://www.w3.org/2001/XMLSchema#decimal' })
+          .should.equal('"11.0"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+    });
+
+    describe('of the floor operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'floor', args: ['?a'] });
+
+      it('should return the largest number that is not larger and has no fractional part', function () {
+        evaluator({ '?a': '"-10.5"^^http://www.w3.org/2001/XMLSchema#float' })
+          .should.equal('"-11"^^http://www.w3.org/2001/XMLSchema#float');
+      });
+    });
+
+    describe('of the rand operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'rand', args: [] });
+
+      it('should return a double between 0 and 1', function () {
+        var result = evaluator({});
+        result.should.match(/^"[^"]+"\^\^http:\/\/www\.w3\.org\/2001\/XMLSchema#double$/);
+        parseFloat(result.substr(1)).should.be.within(0, 1);
+      });
+    });
+
+    describe('of the hash operators', function () {
+      function hash(algorithm, string) {
+        return SparqlExpressionEvaluator({ type: 'operation', operator: algorithm, args: ['?a'] })({ '?a': string });
+      }
+
+      it('should return the MD5 hash', function () {
+        hash('md5', '"abc"').should.equal('"900150983cd24fb0d6963f7d28e17f72"');
+      });
+
+      it('should return the SHA-1 hash', function () {
+        hash('sha1', '"abc"').should.equal('"a9993e364706816aba3e25717850c26c9cd0d89d"');
+      });
+
+      it('should return the SHA-256 hash', function () {
+        hash('sha256', '"abc"^^http://www.w3.org/2001/XMLSchema#string')
+          .should.equal('"ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"');
+      });
+
+      it('should return the SHA-384 hash', function () {
+        hash('sha384', '"abc"').should.equal('"cb00753f45a35e8bb5a03d699ac65007272c32ab0eded163' +
+                                             '1a8b605a43ff5bed8086072ba1e7cc2358baeca134c825a7"');
+      });
+
+      it('should return the SHA-512 hash', function () {
+        hash('sha512', '"abc"').should.equal('"ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a' +
+                                             '2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f"');
+      });
+
+      it('should hash the UTF-8 encoding of the string', function () {
+        hash('md5', '"é"').should.equal('"66ddcd97cfdeabb2f6fb8a999b4bc76f"');
+      });
+
+      it('should throw an error on language-tagged literals', function () {
+        (function () { hash('md5', '"abc"@en'); }).should.throw('"abc"@en is not a simple literal');
+      });
+    });
+
+    describe('of the now operator', function () {
+      var now = new Date('2016-05-04T03:02:01.000Z'),
+          evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'now', args: [] }, { now: now });
+
+      it('should return the time of the options', function () {
+        evaluator({}).should.equal('"2016-05-04T03:02:01.000Z"^^http://www.w3.org/2001/XMLSchema#dateTime');
+      });
+
+      it('should return the same time on every evaluation without options', function (done) {
+        var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'now', args: [] }),
+            time = evaluator({});
+        setTimeout(function () {
+          evaluator({}).should.equal(time);
+          done();
+        }, 5);
+      });
+    });
+
+    describe('of the date component operators', function () {
+      var dateTime = '"2011-01-10T14:45:13.815-05:00"^^http://www.w3.org/2001/XMLSchema#dateTime',
+          date = '"1879-03-14"^^http://www.w3.org/2001/XMLSchema#date';
+      function evaluate(operator, arg) {
+        return SparqlExpressionEvaluator({ type: 'operation', operator: operator, args: [arg] })({});
+      }
+
+      it('should return the year', function () {
+        evaluate('year', dateTime).should.equal('"2011"^^http://www.w3.org/2001/XMLSchema#integer');
+        evaluate('year', date).should.equal('"1879"^^http://www.w3.org/2001/XMLSchema#integer');
+        evaluate('year', '"-0044"^^http://www.w3.org/2001/XMLSchema#gYear')
+          .should.equal('"-44"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should return the month', function () {
+        evaluate('month', dateTime).should.equal('"1"^^http://www.w3.org/2001/XMLSchema#integer');
+        evaluate('month', date).should.equal('"3"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should return the day', function () {
+        evaluate('day', dateTime).should.equal('"10"^^http://www.w3.org/2001/XMLSchema#integer');
+        evaluate('day', date).should.equal('"14"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should return the hours', function () {
+        evaluate('hours', dateTime).should.equal('"14"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should return the minutes', function () {
+        evaluate('minutes', dateTime).should.equal('"45"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should return the seconds', function () {
+        evaluate('seconds', dateTime).should.equal('"13.815"^^http://www.w3.org/2001/XMLSchema#decimal');
+      });
+
+      it('should return the timezone', function () {
+        evaluate('timezone', dateTime).should.equal('"-PT5H"^^http://www.w3.org/2001/XMLSchema#dayTimeDuration');
+        evaluate('timezone', '"2011-01-10T14:45:13Z"^^http://www.w3.org/2001/XMLSchema#dateTime')
+          .should.equal('"PT0S"^^http://www.w3.org/2001/XMLSchema#dayTimeDuration');
+        evaluate('timezone', '"2011-01-10T14:45:13+05:30"^^http://www.w3.org/2001/XMLSchema#dateTime')
+          .should.equal('"PT5H30M"^^http://www.w3.org/2001/XMLSchema#dayTimeDuration');
+      });
+
+      it('should throw an error for the timezone of a dateTime without timezone', function () {
+        (function () { evaluate('timezone', '"2011-01-10T14:45:13"^^http://www.w3.org/2001/XMLSchema#dateTime'); })
+          .should.throw('has no timezone');
+      });
+
+      it('should return the timezone string', function () {
+        evaluate('tz', dateTime).should.equal('"-05:00"');
+        evaluate('tz', '"2011-01-10T14:45:13"^^http://www.w3.org/2001/XMLSchema#dateTime').should.equal('""');
+      });
+
+      it('should throw an error for the hours of a date', function () {
+        (function () { evaluate('hours', date); }).should.throw('is not a valid');
+      });
+
+      it('should throw an error on invalid dates', function () {
+        (function () { evaluate('year', '"March 1879"^^http://www.w3.org/2001/XMLSchema#date'); })
+          .should.throw('is not a valid');
+      });
+
+      it('should throw an error on dates with components out of range', function () {
+        (function () { evaluate('year', '"2020-13-45T25:61:00"^^http://www.w3.org/2001/XMLSchema#dateTime'); })
+          .should.throw('is not a valid');
+        (function () { evaluate('year', '"2021-02-29"^^http://www.w3.org/2001/XMLSchema#date'); })
+          .should.throw('is not a valid');
+        (function () { evaluate('hours', '"2021-01-01T12:00:60"^^http://www.w3.org/2001/XMLSchema#dateTime'); })
+          .should.throw('is not a valid');
+      });
+
+      it('should accept the last day of February in a leap year', function () {
+        evaluate('day', '"2020-02-29"^^http://www.w3.org/2001/XMLSchema#date')
+          .should.equal('"29"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+    });
+
+    describe('of a comparison of dates', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: '<', args: ['?a', '?b'] });
+
+      it('should compare dates by value', function () {
+        evaluator({
+          '?a': '"1879-03-14"^^http://www.w3.org/2001/XMLSchema#date',
+          '?b': '"1879-03-15"^^http://www.w3.org/2001/XMLSchema#date',
+        }).should.equal(TRUE);
+      });
+
+      it('should compare years by value', function () {
+        evaluator({
+          '?a': '"-0044"^^http://www.w3.org/2001/XMLSchema#gYear',
+          '?b': '"0014"^^http://www.w3.org/2001/XMLSchema#gYear',
+        }).should.equal(TRUE);
+      });
+
+      it('should throw an error when comparing dates to dateTimes', function () {
+        (function () {
+          evaluator({
+            '?a': '"1879-03-14"^^http://www.w3.org/2001/XMLSchema#date',
+            '?b': '"1879-03-15T00:00:00"^^http://www.w3.org/2001/XMLSchema#dateTime',
+          });
+        }).should.throw('Cannot compare');
+      });
+    });
+
+    describe('of the xsd:dateTime function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#dateTime',
+        args: ['?a'],
+      });
+
+      it('should cast a string', function () {
+        evaluator({ '?a': '"2016-01-02T03:04:05Z"' })
+          .should.equal('"2016-01-02T03:04:05Z"^^http://www.w3.org/2001/XMLSchema#dateTime');
+      });
+
+      it('should cast a date', function () {
+        evaluator({ '?a': '"2016-01-02+01:00"^^http://www.w3.org/2001/XMLSchema#date' })
+          .should.equal('"2016-01-02T00:00:00+01:00"^^http://www.w3.org/2001/XMLSchema#dateTime');
+      });
+
+      it('should throw an error on an invalid string', function () {
+        (function () { evaluator({ '?a': '"2016-01-02"' }); }).should.throw('cannot be cast');
+      });
+
+      it('should throw an error on a string with components out of range', function () {
+        (function () { evaluator({ '?a': '"2020-13-45T25:61:00"' }); }).should.throw('cannot be cast');
+        (function () { evaluator({ '?a': '"2020-01-01T10:00:00+15:00"' }); }).should.throw('cannot be cast');
+      });
+    });
+
+    describe('of the xsd:date function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#date',
+        args: ['?a'],
+      });
+
+      it('should cast a string', function () {
+        evaluator({ '?a': '"2016-01-02"' }).should.equal('"2016-01-02"^^http://www.w3.org/2001/XMLSchema#date');
+      });
+
+      it('should cast a dateTime', function () {
+        evaluator({ '?a': '"2016-01-02T03:04:05Z"^^http://www.w3.org/2001/XMLSchema#dateTime' })
+          .should.equal('"2016-01-02Z"^^http://www.w3.org/2001/XMLSchema#date');
+      });
+
+      it('should throw an error on a day that does not exist in the month', function () {
+        (function () { evaluator({ '?a': '"2021-02-30"' }); }).should.throw('cannot be cast');
+        (function () { evaluator({ '?a': '"2021-04-31"' }); }).should.throw('cannot be cast');
+      });
+
+      it('should throw an error on a gYear', function () {
+        (function () { evaluator({ '?a': '"2016"^^http://www.w3.org/2001/XMLSchema#gYear' }); })
+          .should.throw('is not a valid');
+      });
+    });
+
+    describe('of the xsd:gYear function', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'functionCall',
+        operator: 'http://www.w3.org/2001/XMLSchema#gYear',
+        args: ['?a'],
+      });
+
+      it('should cast a dateTime', function () {
+        evaluator({ '?a': '"2016-01-02T03:04:05"^^http://www.w3.org/2001/XMLSchema#dateTime' })
+          .should.equal('"2016"^^http://www.w3.org/2001/XMLSchema#gYear');
+      });
+    });
+
+    describe('of the isiri operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'isiri', args: ['?a'] });
+
+      it('should return true for an IRI', function () {
+        evaluator({ '?a': 'http://example.org/a' }).should.equal(TRUE);
+      });
+
+      it('should return false for a literal', function () {
+        evaluator({ '?a': '"http://example.org/a"' }).should.equal(FALSE);
+      });
+
+      it('should return false for a blank node', function () {
+        evaluator({ '?a': '_:b' }).should.equal(FALSE);
+      });
+    });
+
+    describe('of the isuri operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'isuri', args: ['?a'] });
+
+      it('should return true for an IRI', function () {
+        evaluator({ '?a': 'http://example.org/a' }).should.equal(TRUE);
+      });
+    });
+
+    describe('of the isblank operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'isblank', args: ['?a'] });
+
+      it('should return true for a blank node', function () {
+        evaluator({ '?a': '_:b' }).should.equal(TRUE);
+      });
+
+      it('should return false for an IRI', function () {
+        evaluator({ '?a': 'http://example.org/a' }).should.equal(FALSE);
+      });
+    });
+
+    describe('of the isliteral operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'isliteral', args: ['?a'] });
+
+      it('should return true for a literal', function () {
+        evaluator({ '?a': '"a"@en' }).should.equal(TRUE);
+      });
+
+      it('should return false for an IRI', function () {
+        evaluator({ '?a': 'http://example.org/a' }).should.equal(FALSE);
+      });
+    });
+
+    describe('of the isnumeric operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'isnumeric', args: ['?a'] });
+
+      it('should return true for a valid numeric literal', function () {
+        evaluator({ '?a': '"12"^^http://www.w3.org/2001/XMLSchema#int' }).should.equal(TRUE);
+        evaluator({ '?a': '"1.5E3"^^http://www.w3.org/2001/XMLSchema#double' }).should.equal(TRUE);
+      });
+
+      it('should return false for a numeric literal with an invalid lexical form', function () {
+        evaluator({ '?a': '"1.5"^^http://www.w3.org/2001/XMLSchema#integer' }).should.equal(FALSE);
+      });
+
+      it('should return false for a string', function () {
+        evaluator({ '?a': '"12"' }).should.equal(FALSE);
+      });
+    });
+
+    describe('of the datatype operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'datatype', args: ['?a'] });
+
+      it('should return the datatype of a typed literal', function () {
+        evaluator({ '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer' })
+          .should.equal('http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should return xsd:string for a simple literal', function () {
+        evaluator({ '?a': '"a"' }).should.equal('http://www.w3.org/2001/XMLSchema#string');
+      });
+
+      it('should return rdf:langString for a language-tagged literal', function () {
+        evaluator({ '?a': '"a"@en' }).should.equal('http://www.w3.org/1999/02/22-rdf-syntax-ns#langString');
+      });
+
+      it('should throw an error for an IRI', function () {
+        (function () { evaluator({ '?a': 'http://example.org/a' }); })
+          .should.throw('http://example.org/a is not a literal');
+      });
+    });
+
+    describe('of the iri operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'iri', args: ['?a'] },
+                                                { baseIRI: 'http://example.org/dir/doc' });
+
+      it('should return an IRI', function () {
+        evaluator({ '?a': 'http://example.org/a' }).should.equal('http://example.org/a');
+      });
+
+      it('should resolve a string against the base IRI', function () {
+        evaluator({ '?a': '"other#x"' }).should.equal('http://example.org/dir/other#x');
+      });
+
+      it('should return an absolute IRI string', function () {
+        evaluator({ '?a': '"urn:a"^^http://www.w3.org/2001/XMLSchema#string' }).should.equal('urn:a');
+      });
+
+      it('should throw an error for a language-tagged literal', function () {
+        (function () { evaluator({ '?a': '"a"@en' }); })
+          .should.throw('"a"@en is not a simple literal');
+      });
+
+      it('should throw an error for a blank node', function () {
+        (function () { evaluator({ '?a': '_:b' }); })
+          .should.throw('_:b is not an IRI or a string');
+      });
+    });
+
+    describe('of the bnode operator', function () {
+      describe('without arguments', function () {
+        var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'BNODE', args: [] });
+
+        it('should return a different blank node on every evaluation', function () {
+          var bindings = {}, blankNode = evaluator(bindings);
+          blankNode.should.match(/^_:/);
+          evaluator(bindings).should.not.equal(blankNode);
+        });
+      });
+
+      describe('with a label', function () {
+        var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'BNODE', args: ['?a'] });
+
+        it('should return the same blank node for the same label within a solution', function () {
+          var bindings = { '?a': '"x"' }, blankNode = evaluator(bindings);
+          blankNode.should.match(/^_:/);
+          evaluator(bindings).should.equal(blankNode);
+        });
+
+        it('should return different blank nodes for different solutions', function () {
+          evaluator({ '?a': '"x"' }).should.not.equal(evaluator({ '?a': '"x"' }));
+        });
+
+        it('should return the same blank node for the same label in an extended solution', function () {
+          var bindings = { '?a': '"x"' }, blankNode = evaluator(bindings);
+          evaluator(SparqlExpressionEvaluator.extendSolution(bindings, '?b', blankNode)).should.equal(blankNode);
+        });
+
+        it('should return the same blank node across evaluators that share a scope', function () {
+          var options = { blankNodes: SparqlExpressionEvaluator.createBlankNodeScope() },
+              expression = { type: 'operation', operator: 'BNODE', args: ['"x"'] },
+              bindings = {};
+          SparqlExpressionEvaluator(expression, options)(bindings)
+            .should.equal(SparqlExpressionEvaluator(expression, options)(bindings));
+        });
+
+        it('should create scopes with different prefixes', function () {
+          SparqlExpressionEvaluator.createBlankNodeScope().prefix
+            .should.not.equal(SparqlExpressionEvaluator.createBlankNodeScope().prefix);
+        });
+
+        it('should return different blank nodes in different scopes', function () {
+          var bindings = { '?a': '"x"' },
+              other = SparqlExpressionEvaluator({ type: 'operation', operator: 'BNODE', args: ['?a'] });
+          evaluator(bindings).should.not.equal(other(bindings));
+        });
+
+        it('should throw an error for a non-string label', function () {
+          (function () { evaluator({ '?a': 'http://example.org/a' }); })
+            .should.throw('http://example.org/a is not a string literal');
+        });
+      });
+    });
+
+    describe('of the strdt operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'strdt', args: ['?a', '?b'] });
+
+      it('should return a literal with the datatype', function () {
+        evaluator({ '?a': '"123"', '?b': 'http://www.w3.org/2001/XMLSchema#integer' })
+          .should.equal('"123"^^http://www.w3.org/2001/XMLSchema#integer');
+      });
+
+      it('should throw an error for a language-tagged literal', function () {
+        (function () { evaluator({ '?a': '"123"@en', '?b': 'urn:type' }); })
+          .should.throw('"123"@en is not a simple literal');
+      });
+
+      it('should throw an error if the datatype is not an IRI', function () {
+        (function () { evaluator({ '?a': '"123"', '?b': '"urn:type"' }); })
+          .should.throw('"urn:type" is not an IRI');
+      });
+    });
+
+    describe('of the strlang operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'strlang', args: ['?a', '?b'] });
+
+      it('should return a literal with the language', function () {
+        evaluator({ '?a': '"chat"', '?b': '"en-GB"' }).should.equal('"chat"@en-gb');
+      });
+
+      it('should throw an error for a language-tagged literal', function () {
+        (function () { evaluator({ '?a': '"chat"@fr', '?b': '"en"' }); })
+          .should.throw('"chat"@fr is not a simple literal');
+      });
+
+      it('should throw an error for an invalid language tag', function () {
+        (function () { evaluator({ '?a': '"chat"', '?b': '""' }); })
+          .should.throw(' is not a valid language tag');
+      });
+    });
+
+    describe('of the uuid operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'uuid', args: [] });
+
+      it('should return a different UUID IRI on every evaluation', function () {
+        var uuid = evaluator({});
+        uuid.should.match(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        evaluator({}).should.not.equal(uuid);
+      });
+    });
+
+    describe('of the struuid operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'struuid', args: [] });
+
+      it('should return a UUID string', function () {
+        evaluator({}).should.match(/^"[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}"$/);
+      });
+    });
+
+    describe('of the sameterm operator', function () {
+      var evaluator = SparqlExpressionEvaluator({ type: 'operation', operator: 'sameterm', args: ['?a', '?b'] });
+
+      it('should return true for identical terms', function () {
+        evaluator({ '?a': '"a"@en', '?b': '"a"@en' }).should.equal(TRUE);
+      });
+
+      it('should return false for different terms with the same value', function () {
+        evaluator({
+          '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer',
+          '?b': '"01"^^http://www.w3.org/2001/XMLSchema#integer',
+        }).should.equal(FALSE);
+      });
+    });
+
+    describe('of the if operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'if',
+        args: ['?a', '"yes"', { type: 'operation', operator: 'lang', args: ['?b'] }],
+      });
+
+      it('should return the second argument if the condition is true', function () {
+        evaluator({ '?a': TRUE }).should.equal('"yes"');
+      });
+
+      it('should return the third argument if the condition is false', function () {
+        evaluator({ '?a': FALSE, '?b': '"b"@en' }).should.equal('"en"');
+      });
+
+      it('should not evaluate the argument that is not chosen', function () {
+        evaluator({ '?a': TRUE, '?b': 'http://example.org/b' }).should.equal('"yes"');
+      });
+
+      it('should return undefined if the condition is unbound', function () {
+        expect(evaluator({})).to.be.undefined;
+      });
+    });
+
+    describe('of the coalesce operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'coalesce',
+        args: [{ type: 'operation', operator: 'lang', args: ['?a'] }, '?b', '"default"'],
+      });
+
+      it('should return the value of the first argument that is bound', function () {
+        evaluator({ '?a': '"a"@en', '?b': '"b"' }).should.equal('"en"');
+      });
+
+      it('should skip arguments that are unbound', function () {
+        evaluator({ '?b': '"b"' }).should.equal('"b"');
+      });
+
+      it('should skip arguments that result in an error', function () {
+        evaluator({ '?a': 'http://example.org/a' }).should.equal('"default"');
+      });
+
+      it('should return undefined without arguments', function () {
+        expect(SparqlExpressionEvaluator({ type: 'operation', operator: 'coalesce', args: [] })({}))
+          .to.be.undefined;
+      });
+    });
+
+    describe('of the in operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'in',
+        args: ['?a', ['"1"^^http://www.w3.org/2001/XMLSchema#integer', '?b', '"2"^^http://www.w3.org/2001/XMLSchema#integer']],
+      });
+
+      it('should return true if the term is equal to an item', function () {
+        evaluator({ '?a': '"2.0"^^http://www.w3.org/2001/XMLSchema#decimal' }).should.equal(TRUE);
+      });
+
+      it('should return true if the term is equal to an item after an error', function () {
+        evaluator({ '?a': '"2"^^http://www.w3.org/2001/XMLSchema#integer' }).should.equal(TRUE);
+      });
+
+      it('should return false if the term is not equal to any item', function () {
+        evaluator({ '?a': '"3"^^http://www.w3.org/2001/XMLSchema#integer', '?b': 'http://example.org/b' })
+          .should.equal(FALSE);
+      });
+
+      it('should throw an error if the term is not equal to any item but a comparison failed', function () {
+        (function () { evaluator({ '?a': '"3"^^http://www.w3.org/2001/XMLSchema#integer' }); })
+          .should.throw('IN requires bound list items');
+      });
+
+      it('should return false for an empty list', function () {
+        SparqlExpressionEvaluator({ type: 'operation', operator: 'in', args: ['?a', []] })({ '?a': '"a"' })
+          .should.equal(FALSE);
+      });
+    });
+
+    describe('of the notin operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'notin',
+        args: ['?a', ['"a"', '"b"']],
+      });
+
+      it('should return false if the term is equal to an item', function () {
+        evaluator({ '?a': '"b"' }).should.equal(FALSE);
+      });
+
+      it('should return true if the term is not equal to any item', function () {
+        evaluator({ '?a': '"c"' }).should.equal(TRUE);
+      });
+    });
+
+    describe('of the bound operator', function () {
+      var evaluator = SparqlExpressionEvaluator({
+        type: 'operation',
+        operator: 'bound',
+        args: ['?a'],
+      });
+
+      it('should return true if the variable is bound', function () {
+        evaluator({ '?a': 'a' }).should.equal('"true"^^http://www.w3.org/2001/XMLSchema#boolean');
+      });
+
+      it('should return false if the variable is not bound', function () {
+        evaluator({ '?b': 'b' }).should.equal('"false"^^http://www.w3.org/2001/XMLSchema#boolean');
+      });
+
+      it('should throw an error if the argument is not a variable', function () {
+        var evaluator = SparqlExpressionEvaluator({
+          type: 'operation',
+          operator: 'bound',
+          args: ['"a"'],
+        });
+        (function () { evaluator({ '?a': 'a' }); })
+          .should.throw('BOUND expects a variable but got: "a"');
+      });
+    });
+
+    describe('of the exists operator', function () {
+      var pattern = { type: 'bgp', triples: [{ subject: '?a', predicate: 'b', object: '?c' }] },
+          evaluator = SparqlExpressionEvaluator({
+            type: 'operation',
+            operator: 'exists',
+            args: [pattern],
+          });
+
+      it('should return true if the pattern has solutions', function () {
+        var bindings = SparqlExpressionEvaluator.extendWithExists({ '?a': 'a' }, [pattern], [true]);
+        evaluator(bindings).should.equal(TRUE);
+      });
+
+      it('should return false if the pattern has no solutions', function () {
+        var bindings = SparqlExpressionEvaluator.extendWithExists({ '?a': 'a' }, [pattern], [false]);
+        evaluator(bindings).should.equal(FALSE);
+      });
+
+      it('should throw an error if the pattern was not evaluated', function () {
+        (function () { evaluator({ '?a': 'a' }); })
+          .should.throw('EXISTS pattern has not been evaluated for the bindings');
+      });
+    });
+
+    describe('of the notexists operator', function () {
+      var pattern = { type: 'bgp', triples: [{ subject: '?a', predicate: 'b', object: '?c' }] },
+          evaluator = SparqlExpressionEvaluator({
+            type: 'operation',
+            operator: 'notexists',
+            args: [pattern],
+          });
+
+      it('should return false if the pattern has solutions', function () {
+        var bindings = SparqlExpressionEvaluator.extendWithExists({ '?a': 'a' }, [pattern], [true]);
+        evaluator(bindings).should.equal(FALSE);
+      });
+
+      it('should return true if the pattern has no solutions', function () {
+        var bindings = SparqlExpressionEvaluator.extendWithExists({ '?a': 'a' }, [pattern], [false]);
+        evaluator(bindings).should.equal(TRUE);
+      });
+    });
+
+    describe('of an unsuppported expression type', function () {
+      it('should throw an error', function () {
+        (function () { SparqlExpressionEvaluator({ type: 'invalid' }); })
+        .should.throw('Unsupported expression type: invalid');
+      });
+    });
+
+    describe('of an unsupported operator', function () {
+      it('should throw an error', function () {
+        (function () { SparqlExpressionEvaluator({ type: 'operation', operator: 'invalid' }); })
+          .should.throw('Unsupported operator: invalid.');
+      });
+    });
+
+    describe('of an operator with an incorrect number of arguments', function () {
+      it('should throw an error', function () {
+        (function () { SparqlExpressionEvaluator({ type: 'operation', operator: 'regex', args: [1] }); })
+          .should.throw('Invalid number of arguments for regex: 1 (expected: 2 to 3).');
+      });
+    });
+
+    describe('of a variadic operator with too few arguments', function () {
+      it('should throw an error', function () {
+        (function () { SparqlExpressionEvaluator({ type: 'operation', operator: 'replace', args: [1, 2] }); })
+          .should.throw('Invalid number of arguments for replace: 2 (expected: 3 to 4).');
+      });
+    });
+
+    describe('of an operator with an invalid number of arguments', function () {
+      it('should throw an error', function () {
+        (function () {
+          SparqlExpressionEvaluator({
+            type: 'operation',
+            operator: '+',
+            args: ['"a"', '"b"', '"c"'],
+          });
+        })
+        .should.throw('Invalid number of arguments for +: 3 (expected: 2).');
+      });
+    });
+  });
+});
+
+describe('SparqlExpressionEvaluator.compareTerms', function () {
+  var compareTerms = SparqlExpressionEvaluator.compareTerms;
+
+  it('should order unbound values before blank nodes, IRIs, and literals', function () {
+    var terms = ['"a"', 'http://example.org/a', null, '_:b'];
+    terms.sort(compareTerms).should.deep.equal([null, '_:b', 'http://example.org/a', '"a"']);
+  });
+
+  it('should order numbers by value', function () {
+    compareTerms('"9"^^http://www.w3.org/2001/XMLSchema#integer',
+                 '"10"^^http://www.w3.org/2001/XMLSchema#integer').should.be.below(0);
+    compareTerms('"10.5"^^http://www.w3.org/2001/XMLSchema#decimal',
+                 '"9"^^http://www.w3.org/2001/XMLSchema#integer').should.be.above(0);
+  });
+
+  it('should order dates by value', function () {
+    compareTerms('"2016-01-01T12:00:00+02:00"^^http://www.w3.org/2001/XMLSchema#dateTime',
+                 '"2016-01-01T11:00:00Z"^^http://www.w3.org/2001/XMLSchema#dateTime').should.be.below(0);
+  });
+
+  it('should order IRIs and incomparable literals by their string', function () {
+    compareTerms('http://example.org/b', 'http://example.org/a').should.be.above(0);
+    compareTerms('"b"', '"1"^^http://www.w3.org/2001/XMLSchema#integer').should.be.above(0);
+  });
+
+  it('should consider equal terms equal', function () {
+    compareTerms('"a"', '"a"').should.equal(0);
+    compareTerms(undefined, undefined).should.equal(0);
+  });
+});
+
+describe('SparqlExpressionEvaluator.evaluate', function () {
+  it('should return the evaluation of an expression for the given bindings', function () {
+    SparqlExpressionEvaluator.evaluate({
+      type: 'operation',
+      operator: '+',
+      args: ['?a', '?b'],
+    }, {
+      '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer',
+      '?b': '"2"^^http://www.w3.org/2001/XMLSchema#integer',
+    })
+    .should.equal('"3"^^http://www.w3.org/2001/XMLSchema#integer');
+  });
+
+  it('should return undefined when not all bindings are present', function () {
+    expect(SparqlExpressionEvaluator.evaluate({
+      type: 'operation',
+      operator: '+',
+      args: ['?a', '?b'],
+    }, {
+      '?a': '"1"^^http://www.w3.org/2001/XMLSchema#integer',
+    }))
+    .to.be.undefined;
+  });
+});
+
+describe('SparqlExpressionEvaluator.findExistsPatterns', function () {
+  it('should return the patterns of all EXISTS and NOT EXISTS operations', function () {
+    var patternA = { type: 'bgp', triples: [] }, patternB = { type: 'group', patterns: [] };
+    SparqlExpressionEvaluator.findExistsPatterns({
+      type: 'operation',
+      operator: '||',
+      args: [
+        { type: 'operation', operator: 'exists', args: [patternA] },
+        { type: 'operation', operator: '!', args: [
+          { type: 'operation', operator: 'notexists', args: [patternB] },
+        ] },
+      ],
+    })
+    .should.deep.equal([patternA, patternB]);
+  });
+
+  it('should return the patterns of EXISTS operations in argument lists', function () {
+    var pattern = { type: 'bgp', triples: [] };
+    SparqlExpressionEvaluator.findExistsPatterns({
+      type: 'operation',
+      operator: 'in',
+      args: ['?a', [{ type: 'operation', operator: 'exists', args: [pattern] }]],
+    })
+    .should.deep.equal([pattern]);
+  });
+
+  it('should return an empty array if there are no such operations', function () {
+    SparqlExpressionEvaluator.findExistsPatterns('?a').should.deep.equal([]);
   });
 });
@@ -0,0 +1,80 @@
+/*! @license MIT ©2014-2016 Ruben Verborgh, Ghent University - imec */
+var SpillingHashSet = require('../../lib/util/SpillingHashSet');
+
+var fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+describe('SpillingHashSet', function () {
+  describe('The SpillingHashSet module', function () {
+    it('should make SpillingHashSet objects', function () {
+      SpillingHashSet().should.be.an.instanceof(SpillingHashSet);
+    });
+
+    it('should be a SpillingHashSet constructor', function () {
+      new SpillingHashSet().should.be.an.instanceof(SpillingHashSet);
+    });
+  });
+
+  describe('A SpillingHashSet without memory limit', function () {
+    var hashes = new SpillingHashSet();
+    it('should add new hashes', function () {
+      hashes.add('aa').should.be.true;
+      hashes.add('bb').should.be.true;
+    });
+    it('should not add existing hashes', function () {
+      hashes.add('aa').should.be.false;
+    });
+  });
+
+  describe('A SpillingHashSet with a memory limit', function () {
+    var directory = createDirectory('limit'),
+        hashes = new SpillingHashSet({ memoryLimit: 2, directory: directory });
+    after(function () { fs.rmdirSync(directory); });
+
+    it('should add new hashes', function () {
+      ['cc', 'aa', 'ee', 'bb', 'dd'].forEach(function (hash) { hashes.add(hash).should.be.true; });
+    });
+    it('should have spilled hashes to disk, merging files of the same size', function () {
+      fs.readdirSync(directory).should.have.length(1);
+    });
+    it('should not add existing hashes, whether in memory or on disk', function () {
+      ['aa', 'bb', 'cc', 'dd', 'ee'].forEach(function (hash) { hashes.add(hash).should.be.false; });
+    });
+    it('should remove the spilled hashes when cleared', function () {
+      hashes.clear();
+      fs.readdirSync(directory).should.have.length(0);
+      hashes.add('aa').should.be.true;
+    });
+  });
+
+  describe('A SpillingHashSet that spills many times', function () {
+    var directory = createDirectory('merge'),
+        hashes = new SpillingHashSet({ memoryLimit: 10, directory: directory }),
+        values = [];
+    for (var i = 0; i < 1000; i++)
+      values.push(String(10000 + (i * 7919) % 1000));
+    after(function () { hashes.clear(); fs.rmdirSync(directory); });
+
+    it('should add new hashes', function () {
+      values.forEach(function (hash) { hashes.add(hash).should.be.true; });
+    });
+    it('should keep a logarithmic number of files', function () {
+      fs.readdirSync(directory).length.should.be.at.most(7);
+    });
+    it('should not add existing hashes', function () {
+      values.forEach(function (hash) { hashes.add(hash).should.be.false; });
+    });
+    it('should still add other hashes', function () {
+      hashes.add('09999').should.be.true;
+      hashes.add('11000').should.be.true;
+    });
+  });
+});
+
+// Creates an empty directory for the test
+function createDirectory(name) {
+  var directory = path.join(os.tmpdir(), 'ldf-test-' + process.pid + '-' + name);
+  fs.mkdirSync(directory);
+  return directory;
+}